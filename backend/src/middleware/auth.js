@@ -0,0 +1,40 @@
+const { verifyToken } = require('../services/authService');
+const { hasRole } = require('../utils/roles');
+
+/**
+ * Require a valid bearer token and populate `req.user`.
+ */
+async function requireAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+
+  try {
+    req.user = await verifyToken(token);
+    return next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token.' });
+  }
+}
+
+/**
+ * Require the authenticated user to have at least `role` (see utils/roles.js).
+ * Must run after requireAuth.
+ * @param {'viewer' | 'editor' | 'admin'} role
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role.` });
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requireRole,
+};
@@ -0,0 +1,45 @@
+const { CircuitOpenError } = require('../utils/resilience');
+
+const UNAVAILABLE_MESSAGE = 'The assistant is temporarily unavailable. Please try again in a moment.';
+
+/**
+ * Status and body for a request that failed with `error`. While a dependency's circuit breaker is
+ * open calls fail fast, so that is reported as 503 "temporarily unavailable" with the time the
+ * breaker allows a trial call (`retryAt`); anything else is a 500 with `message`.
+ *
+ * @param {Error} error
+ * @param {string} message - Error message for unexpected failures.
+ * @returns {{ status: number, error: string, retryAt?: string }}
+ */
+const failureResponse = (error, message) => {
+  if (error instanceof CircuitOpenError) {
+    return { status: 503, error: UNAVAILABLE_MESSAGE, retryAt: new Date(error.retryAt).toISOString() };
+  }
+  return { status: 500, error: message };
+};
+
+/**
+ * Send failureResponse() for `error`, with a Retry-After header on 503s. Route handlers log the
+ * error first and return the result:
+ *
+ *   log.error('Knowledge search error', { error });
+ *   return sendFailure(res, error, 'Failed to search knowledge base.');
+ *
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} message - Error message for unexpected failures.
+ * @param {object} [extra] - Additional fields for the response body.
+ * @returns {import('express').Response}
+ */
+const sendFailure = (res, error, message, extra = {}) => {
+  const { status, ...body } = failureResponse(error, message);
+  if (error instanceof CircuitOpenError) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+  }
+  return res.status(status).json({ ...body, ...extra });
+};
+
+module.exports = {
+  failureResponse,
+  sendFailure,
+};
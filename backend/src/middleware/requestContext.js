@@ -0,0 +1,40 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger, requestContext } = require('../utils/logger');
+
+// Incoming ids (e.g. from a proxy or the caller) are reused only if they look like an id.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an id and run the rest of its handling in that request's logging context
+ * (see utils/logger.js). The id is taken from an incoming X-Request-Id header when present and
+ * returned in the X-Request-Id response header; `req.id` holds it too.
+ *
+ * Each request is logged once it completes, with its method, path (without the query string),
+ * status, duration and user.
+ */
+function requestContextMiddleware(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    requestContext.run({ requestId }, () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+        userId: req.user?.id,
+      });
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+}
+
+module.exports = {
+  requestContextMiddleware,
+};
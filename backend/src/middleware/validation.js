@@ -0,0 +1,27 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Send a 400 with the express-validator errors for `req`, if there are any.
+ * Route handlers return early when this returns a response:
+ *
+ *   const validationError = handleValidationErrors(req, res);
+ *   if (validationError) return validationError;
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {import('express').Response | null}
+ */
+const handleValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  return null;
+};
+
+module.exports = {
+  handleValidationErrors,
+};
@@ -0,0 +1,116 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { findKnowledgeGapTopics } = require('../services/knowledgeGapService');
+const { getUsageSummary, getDocumentUsage } = require('../services/usageAnalyticsService');
+const { requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { sendFailure } = require('../middleware/errors');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'routes/analytics' });
+
+const router = express.Router();
+
+const dateRangeValidators = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date.'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date.'),
+];
+
+/**
+ * GET /api/analytics/knowledge-gaps
+ * Query: ?from=...&to=... (ISO 8601) &threshold=0.5-1 &limit=1-100 (default 20)
+ *
+ * The most frequently asked topics the knowledge base could not answer: low-confidence answers and
+ * answers saying the information is not in the knowledge base, clustered by question similarity.
+ * Responds { total, topics: [{ label, count, users, reasons, firstAskedAt, lastAskedAt, examples }] }.
+ */
+router.get(
+  '/knowledge-gaps',
+  requireRole('editor'),
+  [
+    ...dateRangeValidators,
+    query('threshold')
+      .optional()
+      .isFloat({ min: 0.5, max: 1 })
+      .withMessage('threshold must be between 0.5 and 1.')
+      .toFloat(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100.').toInt(),
+  ],
+  async (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    try {
+      const { total, topics } = await findKnowledgeGapTopics({
+        from: req.query.from,
+        to: req.query.to,
+        threshold: req.query.threshold,
+        limit: req.query.limit,
+      });
+      return res.json({ total, topics });
+    } catch (error) {
+      log.error('Knowledge gaps error', { error });
+      return sendFailure(res, error, 'Failed to build the knowledge-gap report.');
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/usage
+ * Query: ?from=...&to=... (ISO 8601) &interval=hour|day (default day)
+ *
+ * Chat usage over the period: totals (requests, errors, aborted streams, users, conversations), request
+ * volume per interval (empty intervals included), latency percentiles (ms) for the whole request and its
+ * rewrite, retrieval (and its embedding, vector search and rerank parts), generation and first-token
+ * stages, token counts, and retrieval scores/confidence. Admin only.
+ */
+router.get(
+  '/usage',
+  requireRole('admin'),
+  [
+    ...dateRangeValidators,
+    query('interval').optional().isIn(['hour', 'day']).withMessage("interval must be 'hour' or 'day'."),
+  ],
+  (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    try {
+      return res.json(getUsageSummary({ from: req.query.from, to: req.query.to, interval: req.query.interval }));
+    } catch (error) {
+      log.error('Usage analytics error', { error });
+      return res.status(500).json({ error: 'Failed to load usage analytics.' });
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/usage/documents
+ * Query: ?from=...&to=... (ISO 8601) &limit=1-100 (default 10)
+ *
+ * Documents most often retrieved into answers (with citation counts and average score) and documents
+ * never retrieved in the period. Admin only.
+ * Responds { documents, requests, mostUsed, neverRetrievedCount, neverRetrieved }.
+ */
+router.get(
+  '/usage/documents',
+  requireRole('admin'),
+  [
+    ...dateRangeValidators,
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100.').toInt(),
+  ],
+  async (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    try {
+      const usage = await getDocumentUsage({ from: req.query.from, to: req.query.to, limit: req.query.limit });
+      return res.json(usage);
+    } catch (error) {
+      log.error('Document usage analytics error', { error });
+      return sendFailure(res, error, 'Failed to load document usage.');
+    }
+  }
+);
+
+module.exports = router;
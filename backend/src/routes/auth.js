@@ -0,0 +1,134 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
+const userStore = require('../utils/userStore');
+const { ROLES } = require('../utils/roles');
+const { issueToken, isRegistrationOpen } = require('../services/authService');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'routes/auth' });
+
+const router = express.Router();
+
+// Rate limiting: max 10 login/registration attempts per minute per IP
+const authLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const toUserResponse = (user) => ({ id: user.id, username: user.username, role: user.role });
+
+const credentialValidators = [
+  body('username')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 64 })
+    .withMessage('Username must be 3-64 characters.')
+    .matches(/^[\w.@-]+$/)
+    .withMessage('Username may only contain letters, numbers and . _ @ -'),
+  body('password').isString().isLength({ min: 8, max: 256 }).withMessage('Password must be at least 8 characters.'),
+];
+
+const loginValidators = [
+  body('username').isString().trim().notEmpty().withMessage('Username is required.'),
+  body('password').isString().notEmpty().withMessage('Password is required.'),
+];
+
+/**
+ * GET /api/auth/status
+ * Tells the login screen whether self-registration is available.
+ */
+router.get('/status', (_req, res) => res.json({ registrationOpen: isRegistrationOpen() }));
+
+/**
+ * POST /api/auth/login
+ * Body: { username: string, password: string }
+ */
+router.post('/login', authLimiter, loginValidators, async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const user = await userStore.verifyCredentials(req.body.username, req.body.password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password.' });
+    }
+
+    return res.json({ token: issueToken(user), user: toUserResponse(user) });
+  } catch (error) {
+    log.error('Login error', { error });
+    return res.status(500).json({ error: 'Failed to log in.' });
+  }
+});
+
+/**
+ * POST /api/auth/register
+ * Body: { username: string, password: string }
+ */
+router.post('/register', authLimiter, credentialValidators, async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  if (!isRegistrationOpen()) {
+    return res.status(403).json({ error: 'Registration is disabled. Ask an administrator for an account.' });
+  }
+
+  try {
+    // The first account on a fresh install administers the rest.
+    const user = await userStore.createUser(req.body.username, req.body.password, undefined, {
+      firstUserRole: 'admin',
+    });
+    return res.status(201).json({ token: issueToken(user), user: toUserResponse(user) });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    log.error('Registration error', { error });
+    return res.status(500).json({ error: 'Failed to register.' });
+  }
+});
+
+/**
+ * GET /api/auth/users
+ * Local accounts and their roles. Admin only.
+ */
+router.get('/users', requireAuth, requireRole('admin'), (_req, res) => res.json({ users: userStore.listUsers() }));
+
+/**
+ * PATCH /api/auth/users/:id
+ * Body: { role: 'viewer' | 'editor' | 'admin' }. Admin only.
+ */
+router.patch(
+  '/users/:id',
+  requireAuth,
+  requireRole('admin'),
+  [
+    param('id').isString().trim().notEmpty(),
+    body('role').isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}.`),
+  ],
+  async (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    if (req.params.id === req.user.id && req.body.role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role.' });
+    }
+
+    try {
+      const user = await userStore.setRole(req.params.id, req.body.role);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found.' });
+      }
+      return res.json({ user: toUserResponse(user) });
+    } catch (error) {
+      log.error('Update user role error', { error });
+      return res.status(500).json({ error: 'Failed to update user role.' });
+    }
+  }
+);
+
+module.exports = router;
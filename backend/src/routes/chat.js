@@ -1,13 +1,29 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate: validateUuid } = require('uuid');
 const sessionManager = require('../utils/sessionManager');
-const { generateRAGResponse } = require('../services/ragService');
+const feedbackStore = require('../utils/feedbackStore');
+const { generateRAGResponse, streamRAGResponse } = require('../services/ragService');
+const { generateConversationTitle } = require('../services/titleService');
+const { recordKnowledgeGap } = require('../services/knowledgeGapService');
+const { recordChatRequest } = require('../services/usageAnalyticsService');
+const { requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { failureResponse, sendFailure } = require('../middleware/errors');
+const { normalizeFilter } = require('../utils/metadataFilter');
+const { RETRIEVAL_MODES } = require('../services/retrievalService');
+const { CHAT_MODEL, isModelInstalled, isEmbeddingModel } = require('../services/ollamaService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'routes/chat' });
 
 const router = express.Router();
 
-// Rate limiting: max 20 requests per minute per IP
+const CHAT_FAILURE_MESSAGE = 'Failed to process chat request.';
+
+// Rate limiting: max 20 generated answers per minute per IP.
+// Applied to the answering routes only, so browsing conversations doesn't eat into the budget.
 const chatLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 20,
@@ -15,93 +31,374 @@ const chatLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-router.use(chatLimiter);
+const chatValidators = [
+  body('message').isString().trim().notEmpty().withMessage('Message is required.'),
+  body('conversationId')
+    .optional()
+    .custom((value) => validateUuid(value))
+    .withMessage('conversationId must be a valid UUID.'),
+  body('filters').optional().isObject().withMessage('filters must be an object.'),
+  body('filters.source').optional().isString(),
+  body('filters.from').optional().isISO8601().withMessage('filters.from must be an ISO 8601 date.'),
+  body('filters.to').optional().isISO8601().withMessage('filters.to must be an ISO 8601 date.'),
+  body('retrievalMode')
+    .optional()
+    .isIn(RETRIEVAL_MODES)
+    .withMessage(`retrievalMode must be one of: ${RETRIEVAL_MODES.join(', ')}.`),
+  body('model')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('model must be a non-empty string.')
+    .bail()
+    .custom(async (value) => {
+      if (isEmbeddingModel(value)) {
+        throw new Error(`Model "${value}" is the embedding model and can't be used for chat.`);
+      }
+      let installed;
+      try {
+        installed = await isModelInstalled(value);
+      } catch (error) {
+        throw new Error('Unable to verify the model: Ollama is unavailable.');
+      }
+      if (!installed) throw new Error(`Model "${value}" is not installed.`);
+      return true;
+    }),
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('temperature must be a number between 0 and 2.')
+    .toFloat(),
+];
+
+/**
+ * Generation overrides from the request body; the deployment defaults (OLLAMA_CHAT_MODEL,
+ * OLLAMA_TEMPERATURE) apply to anything left out.
+ */
+const generationOverrides = (req) => ({
+  model: req.body.model,
+  temperature: req.body.temperature,
+});
+
+const conversationIdParam = param('conversationId')
+  .custom((value) => validateUuid(value))
+  .withMessage('Invalid conversationId.');
 
-const handleValidationErrors = (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array(),
+/**
+ * Look up a conversation owned by the authenticated user. Conversations belonging to
+ * someone else are reported as missing so their ids can't be probed.
+ * @returns {{ messages: object[], metadata: object } | null}
+ */
+const getOwnedConversation = (req, conversationId, limit) => {
+  const conversation = sessionManager.getConversation(conversationId, limit);
+  if (!conversation || conversation.metadata.userId !== req.user.id) return null;
+  return conversation;
+};
+
+/**
+ * After the first exchange, replace the provisional title (the first question) with a
+ * model-generated one. Runs in the background; failures only cost the nicer title.
+ */
+const autoTitleConversation = (conversationId, userMessage, assistantMessage) => {
+  const conversation = sessionManager.getConversation(conversationId, null);
+  if (!conversation || conversation.messages.length !== 2) return;
+
+  generateConversationTitle(userMessage, assistantMessage)
+    .then((title) => {
+      if (title) sessionManager.setTitle(conversationId, title, { auto: true });
+    })
+    .catch((error) => {
+      log.error('Conversation title generation failed', { error });
     });
+};
+
+/**
+ * Log the answer for the knowledge-gap report if the knowledge base could not answer it
+ * (see knowledgeGapService).
+ */
+const logKnowledgeGap = (req, conversationId, question, ragResult, assistantMessage) => {
+  if (!ragResult.rewrittenQuery) return; // the request failed before retrieval
+  // Low confidence during a vector store outage says nothing about what the knowledge base lacks.
+  if (ragResult.retrievalFailed) return;
+
+  try {
+    recordKnowledgeGap({
+      question,
+      retrievalQuery: ragResult.rewrittenQuery,
+      response: ragResult.response,
+      confidence: ragResult.confidence,
+      sources: ragResult.sources,
+      userId: req.user.id,
+      conversationId,
+      messageId: assistantMessage.id,
+    });
+  } catch (error) {
+    log.error('Failed to record knowledge gap', { error });
   }
-  return null;
 };
 
+/**
+ * Record the request's metrics for usage analytics (see usageAnalyticsService).
+ */
+const logUsage = (req, endpoint, startedAt, fields) => {
+  recordChatRequest({
+    endpoint,
+    userId: req.user.id,
+    model: req.body.model || CHAT_MODEL,
+    totalMs: Date.now() - startedAt,
+    ...fields,
+  });
+};
+
+const formatSources = (sources) =>
+  (sources || []).map((s) => ({
+    id: s.id,
+    documentId: s.metadata?.parentId || s.id,
+    title: s.metadata?.title || s.metadata?.source || null,
+    section: s.metadata?.section || null,
+    text: s.metadata?.text || '',
+    score: s.score,
+    rerankScore: s.rerankScore ?? null,
+  }));
+
 /**
  * POST /api/chat
- * Body: { message: string, conversationId?: string }
+ * Body: {
+ *   message: string,
+ *   conversationId?: string,
+ *   filters?: { category?: string | string[], source?: string, from?: string, to?: string },
+ *   retrievalMode?: 'vector' | 'keyword' | 'hybrid',
+ *   model?: string,
+ *   temperature?: number,
+ * }
+ * `filters` restricts which knowledge base documents are retrieved for this answer;
+ * `retrievalMode` overrides the default (RETRIEVAL_MODE, hybrid). `model` must be an installed
+ * Ollama model other than the embedding model (see GET /api/models) and `temperature` is between
+ * 0 and 2.
+ *
+ * The response's `rewrittenQuery` is the standalone query used for retrieval: follow-up questions are
+ * rewritten using the conversation so far (see QUERY_REWRITE).
+ *
+ * Responds 503 `{ error, retryAt, conversationId }` with a Retry-After header while Ollama's circuit
+ * breaker is open. A failed request doesn't keep its question, so it can be retried in `conversationId`.
  */
-router.post(
-  '/',
-  [
-    body('message').isString().trim().notEmpty().withMessage('Message is required.'),
-    body('conversationId')
-      .optional()
-      .custom((value) => validateUuid(value))
-      .withMessage('conversationId must be a valid UUID.'),
-  ],
-  async (req, res) => {
-    const validationError = handleValidationErrors(req, res);
-    if (validationError) return;
+router.post('/', chatLimiter, chatValidators, async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
 
-    const { message } = req.body;
-    let { conversationId } = req.body;
+  const { message } = req.body;
+  let { conversationId } = req.body;
 
-    if (!conversationId) {
-      conversationId = sessionManager.createSession(null);
-    }
+  if (!conversationId) {
+    conversationId = sessionManager.createSession(req.user.id);
+  }
 
-    const conversation = sessionManager.getConversation(conversationId);
-    if (!conversation) {
-      return res.status(404).json({ error: 'Conversation not found.' });
-    }
+  // Full history: ragService picks the window that fits its token budget.
+  const conversation = getOwnedConversation(req, conversationId, null);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found.' });
+  }
+
+  const startedAt = Date.now();
+  let userMessage = null;
+  try {
+    userMessage = sessionManager.addMessage(conversationId, 'user', message);
+
+    const historyForRag = conversation.messages || [];
+
+    const ragResult = await generateRAGResponse(message, historyForRag, {
+      filter: normalizeFilter(req.body.filters),
+      mode: req.body.retrievalMode,
+      ...generationOverrides(req),
+    });
+    const sources = formatSources(ragResult.sources);
+    const model = req.body.model || CHAT_MODEL;
+
+    const assistantMessage = sessionManager.addMessage(conversationId, 'assistant', ragResult.response, {
+      sources,
+      citations: ragResult.citations,
+      confidence: ragResult.confidence,
+      model,
+    });
+    autoTitleConversation(conversationId, message, ragResult.response);
+    logKnowledgeGap(req, conversationId, message, ragResult, assistantMessage);
+    logUsage(req, 'chat', startedAt, {
+      // generateRAGResponse answers failures with an apology instead of throwing.
+      status: ragResult.metrics ? 'ok' : 'error',
+      conversationId,
+      messageId: assistantMessage.id,
+      metrics: ragResult.metrics,
+      confidence: ragResult.confidence,
+      sources,
+      citations: ragResult.citations,
+    });
+
+    return res.json({
+      conversationId,
+      messageId: assistantMessage.id,
+      response: ragResult.response,
+      sources,
+      citations: ragResult.citations,
+      confidence: ragResult.confidence,
+      model,
+      rewrittenQuery: ragResult.rewrittenQuery,
+      timestamp: assistantMessage.timestamp,
+    });
+  } catch (error) {
+    log.error('Chat route error', { error });
+    logUsage(req, 'chat', startedAt, { status: 'error', conversationId });
+    // Keep every stored turn a question/answer pair; the client can retry in the same conversation.
+    if (userMessage) sessionManager.removeMessage(conversationId, userMessage.id);
+    return sendFailure(res, error, CHAT_FAILURE_MESSAGE, { conversationId });
+  }
+});
+
+/**
+ * POST /api/chat/stream
+ * Body: same as POST /api/chat
+ *
+ * Server-Sent Events stream:
+ *   event: context -> { conversationId, sources, confidence, rewrittenQuery }
+ *   event: token   -> { token }
+ *   event: done    -> { conversationId, messageId, response, citations, model, timestamp }
+ *   event: error   -> { status, error, retryAt?, conversationId }
+ *
+ * `response` in `done` is the final text with invalid citations removed; clients should
+ * replace the streamed tokens with it. `status` in `error` is 503, with the time the service
+ * may be back in `retryAt`, while Ollama's circuit breaker is open, and 500 otherwise.
+ * A failed or aborted request doesn't keep its question, so it can be retried in the conversation.
+ */
+router.post('/stream', chatLimiter, chatValidators, async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  const { message } = req.body;
+  let { conversationId } = req.body;
+
+  if (!conversationId) {
+    conversationId = sessionManager.createSession(req.user.id);
+  }
 
-    try {
-      sessionManager.addMessage(conversationId, 'user', message);
+  // Full history: ragService picks the window that fits its token budget.
+  const conversation = getOwnedConversation(req, conversationId, null);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found.' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-      const historyForRag = conversation.messages || [];
+  const sendEvent = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-      const ragResult = await generateRAGResponse(message, historyForRag);
+  // Stop generating if the client goes away mid-stream.
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
 
-      sessionManager.addMessage(conversationId, 'assistant', ragResult.response);
+  const startedAt = Date.now();
+  let userMessage = null;
+  try {
+    userMessage = sessionManager.addMessage(conversationId, 'user', message);
 
-      const timestamp = new Date().toISOString();
+    const historyForRag = conversation.messages || [];
+    let sources = [];
+
+    const ragResult = await streamRAGResponse(message, historyForRag, {
+      signal: abortController.signal,
+      filter: normalizeFilter(req.body.filters),
+      mode: req.body.retrievalMode,
+      ...generationOverrides(req),
+      onContext: (context) => {
+        sources = formatSources(context.sources);
+        sendEvent('context', {
+          conversationId,
+          sources,
+          confidence: context.confidence,
+          rewrittenQuery: context.rewrittenQuery,
+        });
+      },
+      onToken: (token) => sendEvent('token', { token }),
+    });
 
-      const sources =
-        (ragResult.sources || []).map((s) => ({
-          text: s.metadata?.text || '',
-          score: s.score,
-        })) || [];
+    const model = req.body.model || CHAT_MODEL;
+    const assistantMessage = sessionManager.addMessage(conversationId, 'assistant', ragResult.response, {
+      sources,
+      citations: ragResult.citations,
+      confidence: ragResult.confidence,
+      model,
+    });
+    autoTitleConversation(conversationId, message, ragResult.response);
+    logKnowledgeGap(req, conversationId, message, ragResult, assistantMessage);
+    logUsage(req, 'stream', startedAt, {
+      status: 'ok',
+      conversationId,
+      messageId: assistantMessage.id,
+      metrics: ragResult.metrics,
+      confidence: ragResult.confidence,
+      sources,
+      citations: ragResult.citations,
+    });
 
-      return res.json({
-        conversationId,
-        response: ragResult.response,
-        sources,
-        confidence: ragResult.confidence,
-        timestamp,
-      });
-    } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error('Chat route error:', error);
-      return res.status(500).json({ error: 'Failed to process chat request.' });
+    sendEvent('done', {
+      conversationId,
+      messageId: assistantMessage.id,
+      response: ragResult.response,
+      citations: ragResult.citations,
+      model,
+      timestamp: assistantMessage.timestamp,
+    });
+  } catch (error) {
+    // Keep every stored turn a question/answer pair, so a retry doesn't put two questions in a row
+    // into the history window.
+    if (userMessage) sessionManager.removeMessage(conversationId, userMessage.id);
+    if (abortController.signal.aborted) {
+      logUsage(req, 'stream', startedAt, { status: 'aborted', conversationId });
+      return undefined;
     }
+    log.error('Chat stream route error', { error });
+    logUsage(req, 'stream', startedAt, { status: 'error', conversationId });
+    sendEvent('error', { ...failureResponse(error, CHAT_FAILURE_MESSAGE), conversationId });
   }
-);
+
+  return res.end();
+});
+
+/**
+ * GET /api/chat/conversations
+ * Query: ?q=search_term (matches titles and message content)
+ */
+router.get('/conversations', [query('q').optional().isString().trim()], (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  const conversations = sessionManager.listConversations({ userId: req.user.id, query: req.query.q });
+  return res.json({ conversations });
+});
 
 /**
  * GET /api/chat/history/:conversationId
+ * Returns the full message history.
  */
 router.get(
   '/history/:conversationId',
-  [param('conversationId').custom((value) => validateUuid(value)).withMessage('Invalid conversationId.')],
+  [conversationIdParam],
   (req, res) => {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
 
     const { conversationId } = req.params;
 
-    const conversation = sessionManager.getConversation(conversationId);
+    const conversation = getOwnedConversation(req, conversationId, null);
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found.' });
     }
@@ -114,31 +411,133 @@ router.get(
   }
 );
 
+/**
+ * PATCH /api/chat/:conversationId
+ * Body: { title: string }
+ */
+router.patch(
+  '/:conversationId',
+  [
+    conversationIdParam,
+    body('title')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Title is required.')
+      .isLength({ max: 200 })
+      .withMessage('Title must be at most 200 characters.'),
+  ],
+  (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const { conversationId } = req.params;
+
+    if (!getOwnedConversation(req, conversationId, null)) {
+      return res.status(404).json({ error: 'Conversation not found.' });
+    }
+
+    sessionManager.setTitle(conversationId, req.body.title);
+    const conversation = sessionManager.getConversation(conversationId, null);
+    return res.json({ conversationId, title: conversation.metadata.title });
+  }
+);
+
 /**
  * DELETE /api/chat/:conversationId
  */
 router.delete(
   '/:conversationId',
-  [param('conversationId').custom((value) => validateUuid(value)).withMessage('Invalid conversationId.')],
+  [conversationIdParam],
   (req, res) => {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
 
     const { conversationId } = req.params;
 
-    const deleted = sessionManager.deleteSession(conversationId);
-    if (!deleted) {
+    if (!getOwnedConversation(req, conversationId, null)) {
       return res.status(404).json({ error: 'Conversation not found.' });
     }
 
+    sessionManager.deleteSession(conversationId);
     return res.json({ success: true });
   }
 );
 
+const MAX_FEEDBACK_COMMENT_LENGTH = 2000;
+
+/**
+ * POST /api/chat/:conversationId/messages/:messageId/feedback
+ * Body: { rating: 'up' | 'down', comment?: string }
+ *
+ * Rates an assistant answer; `comment` is an optional correction. Rating again replaces the
+ * earlier feedback. The feedback is stored with the question, the retrieved sources and the
+ * model, so it outlives the conversation (see GET /api/feedback).
+ */
+router.post(
+  '/:conversationId/messages/:messageId/feedback',
+  [
+    conversationIdParam,
+    param('messageId')
+      .custom((value) => validateUuid(value))
+      .withMessage('Invalid messageId.'),
+    body('rating').isIn(['up', 'down']).withMessage("rating must be 'up' or 'down'."),
+    body('comment')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: MAX_FEEDBACK_COMMENT_LENGTH })
+      .withMessage(`comment must be at most ${MAX_FEEDBACK_COMMENT_LENGTH} characters.`),
+  ],
+  (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const { conversationId, messageId } = req.params;
+    const conversation = getOwnedConversation(req, conversationId, null);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found.' });
+    }
+
+    const index = conversation.messages.findIndex((m) => m.id === messageId);
+    const answer = conversation.messages[index];
+    if (!answer || answer.role !== 'assistant') {
+      return res.status(404).json({ error: 'Message not found.' });
+    }
+    const question = conversation.messages
+      .slice(0, index)
+      .reverse()
+      .find((m) => m.role === 'user');
+
+    const { rating } = req.body;
+    const comment = req.body.comment || null;
+    const sources = answer.sources || [];
+
+    const feedback = feedbackStore.record({
+      conversationId,
+      messageId,
+      userId: req.user.id,
+      username: req.user.username || null,
+      rating,
+      comment,
+      question: question?.content || null,
+      answer: answer.content,
+      sourceIds: sources.map((source) => source.id),
+      documentIds: [...new Set(sources.map((source) => source.documentId))],
+      model: answer.model || null,
+      confidence: answer.confidence || null,
+    });
+    sessionManager.updateMessage(conversationId, messageId, { feedback: { rating, comment } });
+
+    return res.json({ feedback });
+  }
+);
+
 /**
  * POST /api/chat/clear-all
+ * Deletes every user's conversations. Admin only.
  */
-router.post('/clear-all', (_req, res) => {
+router.post('/clear-all', requireRole('admin'), (_req, res) => {
   const cleared = sessionManager.clearAll();
   return res.json({ cleared });
 });
@@ -0,0 +1,74 @@
+const express = require('express');
+const { query } = require('express-validator');
+const feedbackStore = require('../utils/feedbackStore');
+const { requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+const CSV_COLUMNS = [
+  'updatedAt',
+  'rating',
+  'username',
+  'question',
+  'answer',
+  'comment',
+  'model',
+  'confidence',
+  'documentIds',
+  'sourceIds',
+  'conversationId',
+  'messageId',
+];
+
+const csvCell = (value) => {
+  let text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+  // Keep spreadsheets from evaluating user-supplied text as a formula.
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (entries) =>
+  [CSV_COLUMNS.join(','), ...entries.map((entry) => CSV_COLUMNS.map((col) => csvCell(entry[col])).join(','))]
+    .join('\r\n');
+
+/**
+ * GET /api/feedback
+ * Query: ?rating=down|up|all (default down) &from=...&to=... (ISO 8601) &format=json|csv (default json)
+ *
+ * Exports answer feedback, newest first, for finding knowledge gaps: each entry has the question,
+ * answer, correction comment, retrieved source and document ids, and model. Admin only.
+ * JSON: { total, feedback: [...] }; CSV is sent as a file download.
+ */
+router.get(
+  '/',
+  requireRole('admin'),
+  [
+    query('rating').optional().isIn(['up', 'down', 'all']).withMessage("rating must be 'up', 'down' or 'all'."),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date.'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date.'),
+    query('format').optional().isIn(['json', 'csv']).withMessage("format must be 'json' or 'csv'."),
+  ],
+  (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const rating = req.query.rating || 'down';
+    const feedback = feedbackStore.list({
+      rating: rating === 'all' ? undefined : rating,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    if (req.query.format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="feedback-${rating}-${date}.csv"`);
+      return res.send(toCsv(feedback));
+    }
+
+    return res.json({ total: feedback.length, feedback });
+  }
+);
+
+module.exports = router;
@@ -1,35 +1,59 @@
 const express = require('express');
-const { body, query, param, validationResult } = require('express-validator');
-const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const { body, query, param } = require('express-validator');
+const { validate: validateUuid } = require('uuid');
+const { retrieve, RETRIEVAL_MODES } = require('../services/retrievalService');
 const {
-  upsertDocument,
-  deleteDocument,
-  listAllDocuments,
-  searchSimilar,
-} = require('../services/pineconeService');
-const { generateEmbedding } = require('../services/ollamaService');
+  ingestDocument,
+  getIngestedDocument,
+  updateIngestedDocument,
+  listDocumentVersions,
+  getDocumentVersion,
+  listDocuments,
+  listDeletedDocuments,
+  restoreDocumentVersion,
+  deleteIngestedDocument,
+} = require('../services/ingestionService');
+const { extractFileSegments } = require('../services/fileExtractionService');
+const { enqueueBulkIngestion, getJob, listJobs, retryFailed } = require('../services/jobQueueService');
+const { findDuplicateClusters } = require('../services/duplicateService');
+const { requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const { sendFailure } = require('../middleware/errors');
+const { normalizeFilter } = require('../utils/metadataFilter');
+const { hasRole } = require('../utils/roles');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'routes/knowledge' });
 
 const router = express.Router();
 
-const MAX_TEXT_LENGTH = 5000;
+// Long documents are split into chunks on ingestion, so this only guards against abuse.
+const MAX_TEXT_LENGTH = 200_000;
 
-const handleValidationErrors = (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array(),
-    });
-  }
-  return null;
-};
+const MAX_UPLOAD_FILES = 10;
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+// Files with more sections than this (e.g. large CSVs) are ingested by a background job.
+const MAX_INLINE_UPLOAD_SECTIONS = 20;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_UPLOAD_FILES, fileSize: MAX_UPLOAD_BYTES },
+});
+
+const forceValidator = body('force').optional().isBoolean().withMessage('force must be a boolean.').toBoolean();
 
 /**
  * POST /api/knowledge/add
- * Body: { text: string, category?: string, source?: string }
+ * Body: { text: string, category?: string, source?: string, title?: string, force?: boolean }
+ *
+ * The text is split into overlapping chunks which are stored under a shared document id.
+ * Duplicates of existing documents are rejected with 409 { error, duplicates } unless `force`
+ * is set (or DUPLICATE_POLICY=warn); duplicates that were let through are listed in the response.
  */
 router.post(
   '/add',
+  requireRole('editor'),
   [
     body('text')
       .isString()
@@ -40,41 +64,49 @@ router.post(
       .withMessage(`Text must be at most ${MAX_TEXT_LENGTH} characters.`),
     body('category').optional().isString(),
     body('source').optional().isString(),
+    body('title').optional().isString(),
+    forceValidator,
   ],
   async (req, res) => {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
 
-    const { text, category, source } = req.body;
+    const { text, category, source, title, force } = req.body;
 
     try {
-      const [embedding] = await generateEmbedding(text);
-      const id = uuidv4();
-
-      await upsertDocument(id, text, embedding, {
-        category,
-        source,
-      });
+      const { id, chunks, duplicates } = await ingestDocument(
+        { text, category, source, title },
+        { editor: req.user, force }
+      );
 
       return res.json({
         id,
+        chunks,
         success: true,
         message: 'Knowledge added',
+        ...(duplicates.length ? { duplicates } : {}),
       });
     } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error('Knowledge add error:', error);
-      return res.status(500).json({ error: 'Failed to add knowledge document.' });
+      if (error.status === 409) {
+        return res.status(409).json({ error: error.message, duplicates: error.duplicates });
+      }
+      log.error('Knowledge add error', { error });
+      return sendFailure(res, error, 'Failed to add knowledge document.');
     }
   }
 );
 
 /**
  * POST /api/knowledge/bulk-add
- * Body: { documents: [{ text, category, source }] }
+ * Body: { documents: [{ text, category, source, title }], force?: boolean }
+ *
+ * Queues the documents for background ingestion and responds 202 with the job
+ * (see GET /api/knowledge/jobs/:id for progress). Duplicates fail individually, with the
+ * matches in the item's `duplicates`, unless `force` is set.
  */
 router.post(
   '/bulk-add',
+  requireRole('editor'),
   [
     body('documents').isArray({ min: 1 }).withMessage('documents must be a non-empty array.'),
     body('documents.*.text')
@@ -86,61 +118,195 @@ router.post(
       .withMessage(`Text must be at most ${MAX_TEXT_LENGTH} characters.`),
     body('documents.*.category').optional().isString(),
     body('documents.*.source').optional().isString(),
+    body('documents.*.title').optional().isString(),
+    forceValidator,
   ],
+  (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    const job = enqueueBulkIngestion(req.body.documents, { user: req.user, force: req.body.force });
+    return res.status(202).json({ jobId: job.id, job });
+  }
+);
+
+/**
+ * Look up a job the user may see: their own, or any job for admins.
+ * @returns {object | null}
+ */
+const getVisibleJob = (req, id) => {
+  const job = getJob(id);
+  if (!job || (job.createdBy !== req.user.id && !hasRole(req.user.role, 'admin'))) return null;
+  return job;
+};
+
+const jobIdParam = param('id')
+  .custom((value) => validateUuid(value))
+  .withMessage('Invalid job id.');
+
+/**
+ * GET /api/knowledge/jobs
+ * The user's ingestion jobs (every user's for admins), newest first, without per-document items.
+ */
+router.get('/jobs', requireRole('editor'), (req, res) => {
+  const userId = hasRole(req.user.role, 'admin') ? undefined : req.user.id;
+  return res.json({ jobs: listJobs({ userId }) });
+});
+
+/**
+ * GET /api/knowledge/jobs/:id
+ * Job status with per-document progress:
+ *   { id, status: 'queued' | 'running' | 'completed' | 'completed_with_errors', progress, items, ... }
+ * Each item has { index, title, status, attempts, documentId, chunks, error }.
+ */
+router.get('/jobs/:id', requireRole('editor'), [jobIdParam], (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  const job = getVisibleJob(req, req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+  return res.json({ job });
+});
+
+/**
+ * POST /api/knowledge/jobs/:id/retry
+ * Body: { force?: boolean } - set to ingest documents that failed as duplicates anyway.
+ * Re-queues the job's failed documents. 409 while the job is active or if nothing failed.
+ */
+router.post('/jobs/:id/retry', requireRole('editor'), [jobIdParam, forceValidator], (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  if (!getVisibleJob(req, req.params.id)) {
+    return res.status(404).json({ error: 'Job not found.' });
+  }
+
+  try {
+    const job = retryFailed(req.params.id, { force: req.body.force });
+    return res.status(202).json({ jobId: job.id, job });
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    log.error('Job retry error', { error });
+    return sendFailure(res, error, 'Failed to retry job.');
+  }
+});
+
+/**
+ * POST /api/knowledge/upload
+ * Multipart form: files (PDF, DOCX, Markdown, HTML, CSV or plain text), category?, force?
+ *
+ * PDFs are ingested per page and CSVs per row; `source` records the filename and page/row.
+ * Each file is reported separately so one bad file doesn't fail the whole upload. Sections that
+ * duplicate existing documents are skipped (counted in `skipped`, matches in `duplicates`)
+ * unless `force` is set.
+ *
+ * Files with more than MAX_INLINE_UPLOAD_SECTIONS sections are queued as an ingestion job instead:
+ * their result has `queued: true`, `documents` (the number of sections) and the `job` (see
+ * GET /api/knowledge/jobs/:id). Duplicate sections then fail individually, as in bulk-add.
+ */
+router.post(
+  '/upload',
+  requireRole('editor'),
+  (req, res, next) => {
+    upload.array('files', MAX_UPLOAD_FILES)(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: `Upload failed: ${error.message}` });
+      }
+      return next(error);
+    });
+  },
+  [body('category').optional().isString(), forceValidator],
   async (req, res) => {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
 
-    const { documents } = req.body;
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required.' });
+    }
+
+    const { category, force } = req.body;
+    const results = [];
 
-    let added = 0;
-    let failed = 0;
+    // Files and their segments are processed one at a time to avoid overloading local Ollama.
+    // eslint-disable-next-line no-restricted-syntax
+    for (const file of files) {
+      const result = {
+        filename: file.originalname,
+        success: false,
+        documents: 0,
+        chunks: 0,
+        skipped: 0,
+        duplicates: [],
+      };
 
-    try {
-      const texts = documents.map((d) => d.text);
-      const embeddings = await generateEmbedding(texts);
-
-      const upsertPromises = documents.map((doc, index) => {
-        const id = uuidv4();
-        const embedding = embeddings[index];
-
-        return upsertDocument(id, doc.text, embedding, {
-          category: doc.category,
-          source: doc.source,
-        })
-          .then(() => {
-            added += 1;
-          })
-          .catch((error) => {
-            failed += 1;
-            // eslint-disable-next-line no-console
-            console.error('Bulk add document failed:', error);
-          });
-      });
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const segments = await extractFileSegments(file);
+        if (segments.length === 0) {
+          throw new Error('No text could be extracted from this file.');
+        }
 
-      await Promise.all(upsertPromises);
+        if (segments.length > MAX_INLINE_UPLOAD_SECTIONS) {
+          result.queued = true;
+          result.documents = segments.length;
+          result.job = enqueueBulkIngestion(
+            segments.map((segment) => ({ ...segment, category })),
+            { user: req.user, force, type: 'upload' }
+          );
+        } else {
+          // eslint-disable-next-line no-restricted-syntax
+          for (const segment of segments) {
+            try {
+              // eslint-disable-next-line no-await-in-loop
+              const { chunks } = await ingestDocument({ ...segment, category }, { editor: req.user, force });
+              result.documents += 1;
+              result.chunks += chunks;
+            } catch (error) {
+              if (error.status !== 409) throw error;
+              result.skipped += 1;
+              result.duplicates.push({ source: segment.source, duplicates: error.duplicates });
+            }
+          }
+        }
 
-      return res.json({
-        added,
-        failed,
-      });
-    } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error('Bulk add error:', error);
-      return res.status(500).json({ error: 'Failed to bulk add knowledge documents.' });
+        result.success = true;
+      } catch (error) {
+        log.error(`Knowledge upload failed for ${file.originalname}`, { error });
+        result.error = error.message || 'Failed to ingest file.';
+      }
+
+      results.push(result);
     }
+
+    return res.json({ files: results });
   }
 );
 
 /**
  * GET /api/knowledge/search
  * Query: ?q=search_term&limit=5
+ * Optional filters: &category=HR,Sales (or repeated) &source=... &from=2024-01-01 &to=2024-12-31
+ * Optional &mode=vector|keyword|hybrid (default RETRIEVAL_MODE, hybrid)
  */
 router.get(
   '/search',
+  requireRole('viewer'),
   [
     query('q').isString().trim().notEmpty().withMessage('q (search term) is required.'),
     query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+    query('category').optional(),
+    query('source').optional().isString().trim(),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date.'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date.'),
+    query('mode')
+      .optional()
+      .isIn(RETRIEVAL_MODES)
+      .withMessage(`mode must be one of: ${RETRIEVAL_MODES.join(', ')}.`),
   ],
   async (req, res) => {
     const validationError = handleValidationErrors(req, res);
@@ -148,24 +314,28 @@ router.get(
 
     const { q } = req.query;
     const limit = req.query.limit || 5;
+    const filter = normalizeFilter(req.query);
 
     try {
-      const [embedding] = await generateEmbedding(q);
-      const matches = await searchSimilar(embedding, limit);
+      const matches = await retrieve(q, { topK: limit, filter, mode: req.query.mode });
 
       const results = matches.map((m) => ({
         id: m.id,
         text: m.metadata?.text || '',
         category: m.metadata?.category || 'general',
         source: m.metadata?.source || 'unknown',
+        parentId: m.metadata?.parentId || m.id,
+        section: m.metadata?.section || null,
+        chunkIndex: m.metadata?.chunkIndex ?? null,
+        timestamp: m.metadata?.timestamp || null,
         score: m.score,
+        scores: m.scores,
       }));
 
       return res.json({ results });
     } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error('Knowledge search error:', error);
-      return res.status(500).json({ error: 'Failed to search knowledge base.' });
+      log.error('Knowledge search error', { error });
+      return sendFailure(res, error, 'Failed to search knowledge base.');
     }
   }
 );
@@ -173,9 +343,14 @@ router.get(
 /**
  * GET /api/knowledge/list
  * Paginated: ?page=1&limit=50
+ *
+ * One item per document (not per chunk), most recently updated first; `total` counts documents.
+ * Response: { page, limit, total, items: [{ id, title, source, category, chunkCount, createdAt,
+ *   updatedAt, preview }] }
  */
 router.get(
   '/list',
+  requireRole('viewer'),
   [
     query('page').optional().isInt({ min: 1 }).toInt(),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
@@ -188,11 +363,7 @@ router.get(
     const limit = req.query.limit || 50;
 
     try {
-      const docs = await listAllDocuments();
-      const total = docs.length;
-      const start = (page - 1) * limit;
-      const end = start + limit;
-      const items = docs.slice(start, end);
+      const { total, items } = await listDocuments({ page, limit });
 
       return res.json({
         page,
@@ -201,19 +372,228 @@ router.get(
         items,
       });
     } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error('Knowledge list error:', error);
-      return res.status(500).json({ error: 'Failed to list knowledge documents.' });
+      log.error('Knowledge list error', { error });
+      return sendFailure(res, error, 'Failed to list knowledge documents.');
+    }
+  }
+);
+
+/**
+ * GET /api/knowledge/duplicates
+ * Optional ?threshold=0.9 (similarity, default DUPLICATE_SIMILARITY_THRESHOLD)
+ *
+ * Clusters of duplicate and near-duplicate documents, largest first:
+ * { clusters: [{ exact, maxSimilarity, documents: [{ id, title, source, category, createdAt, chunkCount,
+ *   preview, similarity }] }] } - documents oldest first, similarity relative to the oldest.
+ */
+router.get(
+  '/duplicates',
+  requireRole('admin'),
+  [
+    query('threshold')
+      .optional()
+      .isFloat({ min: 0.5, max: 1 })
+      .withMessage('threshold must be between 0.5 and 1.')
+      .toFloat(),
+  ],
+  async (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    try {
+      const clusters = await findDuplicateClusters({ threshold: req.query.threshold });
+      return res.json({ clusters });
+    } catch (error) {
+      log.error('Knowledge duplicates error', { error });
+      return sendFailure(res, error, 'Failed to find duplicate documents.');
+    }
+  }
+);
+
+/**
+ * GET /api/knowledge/deleted
+ * Deleted documents, most recently deleted first, for restoring from their version history:
+ * { documents: [{ id, title, source, category, createdAt, deletedAt, deletedBy, version, textLength }] }
+ */
+router.get('/deleted', requireRole('editor'), (_req, res) => res.json({ documents: listDeletedDocuments() }));
+
+const documentIdParam = param('id').isString().trim().notEmpty().withMessage('id is required.');
+
+const documentFieldValidators = (textRequired) => [
+  (textRequired ? body('text') : body('text').optional())
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Text is required.')
+    .isLength({ max: MAX_TEXT_LENGTH })
+    .withMessage(`Text must be at most ${MAX_TEXT_LENGTH} characters.`),
+  body('category').optional().isString(),
+  body('source').optional().isString(),
+  body('title').optional().isString(),
+];
+
+/**
+ * Shared handler for PUT and PATCH: apply the given fields, keeping the document id.
+ */
+const updateDocumentHandler = async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  const { text, category, source, title } = req.body;
+  if ([text, category, source, title].every((value) => value === undefined)) {
+    return res.status(400).json({ error: 'Nothing to update: provide text, category, source or title.' });
+  }
+
+  try {
+    const document = await updateIngestedDocument(
+      req.params.id,
+      { text, category, source, title },
+      { editor: req.user }
+    );
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+    return res.json({ document });
+  } catch (error) {
+    log.error('Knowledge update error', { error });
+    return sendFailure(res, error, 'Failed to update knowledge document.');
+  }
+};
+
+/**
+ * GET /api/knowledge/:id
+ * The document with its full text: { document: { id, text, category, source, title, createdAt,
+ * updatedAt, chunkCount, textReconstructed? } }
+ */
+router.get('/:id', requireRole('viewer'), [documentIdParam], async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const document = await getIngestedDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+    return res.json({ document });
+  } catch (error) {
+    log.error('Knowledge get error', { error });
+    return sendFailure(res, error, 'Failed to load knowledge document.');
+  }
+});
+
+/**
+ * PUT /api/knowledge/:id
+ * Body: { text: string, category?: string, source?: string, title?: string }
+ *
+ * Replaces the document's text, re-embedding it under the same id. Omitted metadata is kept.
+ */
+router.put(
+  '/:id',
+  requireRole('editor'),
+  [documentIdParam, ...documentFieldValidators(true)],
+  updateDocumentHandler
+);
+
+/**
+ * PATCH /api/knowledge/:id
+ * Body: any of { text, category, source, title }
+ *
+ * Metadata-only changes are applied without re-embedding; a changed text is re-embedded.
+ */
+router.patch(
+  '/:id',
+  requireRole('editor'),
+  [documentIdParam, ...documentFieldValidators(false)],
+  updateDocumentHandler
+);
+
+const versionParam = param('version').isInt({ min: 1 }).withMessage('version must be a positive integer.').toInt();
+
+/**
+ * GET /api/knowledge/:id/versions
+ * The document's version history, newest first:
+ * { document, versions: [{ version, action, category, source, title, editedBy, editedAt, textLength,
+ *   restoredFrom? }] }
+ * Deleted documents keep their history (`document.deletedAt` is set).
+ */
+router.get('/:id/versions', requireRole('viewer'), [documentIdParam], async (req, res) => {
+  const validationError = handleValidationErrors(req, res);
+  if (validationError) return;
+
+  try {
+    const history = await listDocumentVersions(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Document not found.' });
+    }
+    return res.json(history);
+  } catch (error) {
+    log.error('Knowledge versions error', { error });
+    return sendFailure(res, error, 'Failed to load document versions.');
+  }
+});
+
+/**
+ * GET /api/knowledge/:id/versions/:version
+ * One version including its text: { version: { version, action, text, ... } }
+ */
+router.get(
+  '/:id/versions/:version',
+  requireRole('viewer'),
+  [documentIdParam, versionParam],
+  async (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    try {
+      const version = await getDocumentVersion(req.params.id, req.params.version);
+      if (!version) {
+        return res.status(404).json({ error: 'Version not found.' });
+      }
+      return res.json({ version });
+    } catch (error) {
+      log.error('Knowledge version error', { error });
+      return sendFailure(res, error, 'Failed to load document version.');
+    }
+  }
+);
+
+/**
+ * POST /api/knowledge/:id/versions/:version/restore
+ * Re-embeds the document from the given version, recorded as a new version. Also restores
+ * deleted documents. Responds with { document }.
+ */
+router.post(
+  '/:id/versions/:version/restore',
+  requireRole('editor'),
+  [documentIdParam, versionParam],
+  async (req, res) => {
+    const validationError = handleValidationErrors(req, res);
+    if (validationError) return;
+
+    try {
+      const document = await restoreDocumentVersion(req.params.id, req.params.version, { editor: req.user });
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found.' });
+      }
+      return res.json({ document });
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(404).json({ error: error.message });
+      }
+      log.error('Knowledge restore error', { error });
+      return sendFailure(res, error, 'Failed to restore document version.');
     }
   }
 );
 
 /**
  * DELETE /api/knowledge/:id
+ * Deletes the document and all of its chunks. Its version history is kept.
  */
 router.delete(
   '/:id',
-  [param('id').isString().trim().notEmpty().withMessage('id is required.')],
+  requireRole('admin'),
+  [documentIdParam],
   async (req, res) => {
     const validationError = handleValidationErrors(req, res);
     if (validationError) return;
@@ -221,12 +601,11 @@ router.delete(
     const { id } = req.params;
 
     try {
-      await deleteDocument(id);
+      await deleteIngestedDocument(id, { editor: req.user });
       return res.json({ success: true });
     } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error('Knowledge delete error:', error);
-      return res.status(500).json({ error: 'Failed to delete knowledge document.' });
+      log.error('Knowledge delete error', { error });
+      return sendFailure(res, error, 'Failed to delete knowledge document.');
     }
   }
 );
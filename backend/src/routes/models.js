@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  CHAT_MODEL,
+  EMBEDDING_MODEL,
+  DEFAULT_TEMPERATURE,
+  listModels,
+  isEmbeddingModel,
+} = require('../services/ollamaService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'routes/models' });
+
+const router = express.Router();
+
+/**
+ * GET /api/models
+ * Lists the installed Ollama models and the deployment defaults. `embedding` marks the model
+ * used for knowledge base vectors, which can't answer chat requests.
+ * Response: {
+ *   models: Array<{ name, size, modifiedAt, family, parameterSize, embedding }>,
+ *   defaults: { chatModel, embeddingModel, temperature },
+ * }
+ */
+router.get('/', async (_req, res) => {
+  try {
+    const models = await listModels();
+
+    return res.json({
+      models: models.map((m) => ({ ...m, embedding: isEmbeddingModel(m.name) })),
+      defaults: {
+        chatModel: CHAT_MODEL,
+        embeddingModel: EMBEDDING_MODEL,
+        temperature: DEFAULT_TEMPERATURE,
+      },
+    });
+  } catch (error) {
+    log.error('List models error', { error });
+    return res.status(503).json({ error: 'Unable to list models: Ollama is unavailable.' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,45 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const morgan = require('morgan');
 const helmet = require('helmet');
 const dotenv = require('dotenv');
 
 dotenv.config();
 
-const { checkOllama } = require('./services/ollamaService');
-const { checkPinecone } = require('./services/pineconeService');
+const { checkOllama, getEmbeddingCacheStats, flushEmbeddingCache } = require('./services/ollamaService');
+const { checkVectorStore, backfillFilterFields } = require('./services/vectorStoreService');
+const { backfillEmbeddings } = require('./services/duplicateService');
+const sessionManager = require('./utils/sessionManager');
+const documentStore = require('./utils/documentStore');
+const feedbackStore = require('./utils/feedbackStore');
+const knowledgeGapStore = require('./utils/knowledgeGapStore');
+const usageStore = require('./utils/usageStore');
+const { ensureBootstrapUser } = require('./services/authService');
+const { requireAuth } = require('./middleware/auth');
+const { requestContextMiddleware } = require('./middleware/requestContext');
+const { logger } = require('./utils/logger');
+const metrics = require('./utils/metrics');
+const { getCircuitBreakerStates } = require('./utils/resilience');
+const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const knowledgeRoutes = require('./routes/knowledge');
+const modelRoutes = require('./routes/models');
+const feedbackRoutes = require('./routes/feedback');
+const analyticsRoutes = require('./routes/analytics');
+
+/**
+ * Whether the request's bearer token is METRICS_TOKEN. Both sides are hashed so they have the
+ * same length for the constant-time comparison.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function hasMetricsToken(req) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(
+    digest(req.get('Authorization') || ''),
+    digest(`Bearer ${process.env.METRICS_TOKEN}`)
+  );
+}
 
 async function createApp() {
   const app = express();
@@ -21,33 +51,57 @@ async function createApp() {
     })
   );
   app.use(helmet());
+  app.use(requestContextMiddleware);
+  app.use(metrics.httpMetrics);
   app.use(express.json({ limit: '1mb' }));
-  app.use(morgan('dev'));
+
+  // Prometheus scrape endpoint: requires `Authorization: Bearer <METRICS_TOKEN>`, and is disabled
+  // while METRICS_TOKEN is unset.
+  app.get('/metrics', async (req, res) => {
+    if (!process.env.METRICS_TOKEN) {
+      return res.status(404).json({ error: 'Metrics are disabled; set METRICS_TOKEN to enable them.' });
+    }
+    if (!hasMetricsToken(req)) {
+      return res.status(401).json({ error: 'Unauthorized.' });
+    }
+    res.set('Content-Type', metrics.register.contentType);
+    return res.send(await metrics.register.metrics());
+  });
 
   app.get('/api/health', async (_req, res) => {
     try {
-      const [ollamaStatus, pineconeStatus] = await Promise.all([checkOllama(), checkPinecone()]);
+      const [ollamaStatus, vectorStoreStatus] = await Promise.all([checkOllama(), checkVectorStore()]);
 
       return res.json({
         status: 'ok',
         ollama: ollamaStatus.status,
-        pinecone: pineconeStatus.status,
+        vectorStore: vectorStoreStatus.status,
+        vectorStoreBackend: vectorStoreStatus.backend,
+        embeddingCache: getEmbeddingCacheStats(),
+        circuitBreakers: getCircuitBreakerStates(),
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      // eslint-disable-next-line no-console
-      console.error('Health check error:', error);
+      logger.error('Health check error', { error });
       return res.status(500).json({
         status: 'error',
         ollama: 'unknown',
-        pinecone: 'unknown',
+        vectorStore: 'unknown',
+        vectorStoreBackend: 'unknown',
         timestamp: new Date().toISOString(),
       });
     }
   });
 
-  app.use('/api/chat', chatRoutes);
-  app.use('/api/knowledge', knowledgeRoutes);
+  app.use('/api/auth', authRoutes);
+
+  app.get('/api/me', requireAuth, (req, res) => res.json({ user: req.user }));
+
+  app.use('/api/chat', requireAuth, chatRoutes);
+  app.use('/api/knowledge', requireAuth, knowledgeRoutes);
+  app.use('/api/models', requireAuth, modelRoutes);
+  app.use('/api/feedback', requireAuth, feedbackRoutes);
+  app.use('/api/analytics', requireAuth, analyticsRoutes);
 
   // 404 handler
   app.use((req, res, next) => {
@@ -58,8 +112,7 @@ async function createApp() {
   // Error handler
   // eslint-disable-next-line no-unused-vars
   app.use((err, _req, res, _next) => {
-    // eslint-disable-next-line no-console
-    console.error('Unhandled error:', err);
+    logger.error('Unhandled error', { error: err });
     const status = err.status || 500;
     const message = err.message || 'Internal server error';
     res.status(status).json({ error: message, status });
@@ -73,38 +126,57 @@ async function startServer() {
 
   const PORT = process.env.PORT || 3000;
 
+  await ensureBootstrapUser();
+
+  if (!process.env.METRICS_TOKEN) {
+    logger.warn('METRICS_TOKEN is not set; /metrics is disabled.');
+  }
+
   // Startup checks
-  const [ollamaStatus, pineconeStatus] = await Promise.all([checkOllama(), checkPinecone()]);
-
-  // eslint-disable-next-line no-console
-  console.log(
-    `Ollama: ${ollamaStatus.status}${
-      ollamaStatus.models && ollamaStatus.models.length
-        ? ` (models: ${ollamaStatus.models.join(', ')})`
-        : ''
-    }`
-  );
-  // eslint-disable-next-line no-console
-  console.log(`Pinecone: ${pineconeStatus.status} (index: ${pineconeStatus.indexName || 'unknown'})`);
+  const [ollamaStatus, vectorStoreStatus] = await Promise.all([checkOllama(), checkVectorStore()]);
+
+  logger.info(`Ollama: ${ollamaStatus.status}`, { models: ollamaStatus.models || [] });
+  logger.info(`Vector store (${vectorStoreStatus.backend}): ${vectorStoreStatus.status}`, {
+    indexName: vectorStoreStatus.indexName,
+    path: vectorStoreStatus.path,
+  });
 
   const server = app.listen(PORT, () => {
-    // eslint-disable-next-line no-console
-    console.log(`Backend server listening on port ${PORT}`);
+    logger.info(`Backend server listening on port ${PORT}`);
   });
 
+  // Embed documents stored without an embedding before duplicate checks need them.
+  backfillEmbeddings().catch((error) => {
+    logger.error('Document embedding backfill failed', { error });
+  });
+
+  // Give vectors stored before source and date filters existed the metadata those filters use.
+  backfillFilterFields()
+    .then(({ updated }) => {
+      if (updated) logger.info(`Added filter metadata to ${updated} vector(s)`);
+    })
+    .catch((error) => {
+      logger.error('Vector filter metadata backfill failed', { error });
+    });
+
   const shutdown = (signal) => {
-    // eslint-disable-next-line no-console
-    console.log(`Received ${signal}. Shutting down gracefully...`);
-    server.close(() => {
-      // eslint-disable-next-line no-console
-      console.log('Server closed.');
+    logger.info(`Received ${signal}. Shutting down gracefully...`);
+    server.close(async () => {
+      await Promise.all([
+        sessionManager.flush(),
+        documentStore.flush(),
+        feedbackStore.flush(),
+        knowledgeGapStore.flush(),
+        usageStore.flush(),
+        flushEmbeddingCache(),
+      ]);
+      logger.info('Server closed.');
       process.exit(0);
     });
 
     // Force exit if not closed in 10 seconds
     setTimeout(() => {
-      // eslint-disable-next-line no-console
-      console.error('Forcing shutdown.');
+      logger.error('Forcing shutdown.');
       process.exit(1);
     }, 10_000).unref();
   };
@@ -114,8 +186,7 @@ async function startServer() {
 }
 
 startServer().catch((error) => {
-  // eslint-disable-next-line no-console
-  console.error('Failed to start server:', error);
+  logger.error('Failed to start server', { error });
   process.exit(1);
 });
 
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwksClient = require('jwks-rsa');
+const userStore = require('../utils/userStore');
+const { DEFAULT_ROLE, highestRole } = require('../utils/roles');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/authService' });
+
+const LOCAL_ISSUER = 'enterprise-ai-assistant';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  log.warn('JWT_SECRET is not set; using a random secret. Issued tokens will not survive a restart.');
+}
+
+/**
+ * Token verifiers, tried in order. Each receives the raw token and the decoded (unverified)
+ * payload, and returns:
+ *   - a user object `{ id, username, role, provider }` if it accepts the token,
+ *   - null if the token is not meant for it (e.g. a different issuer),
+ *   - or throws if the token is meant for it but invalid.
+ */
+const verifiers = [];
+
+/**
+ * Register an additional token verifier (see `verifiers` above).
+ * @param {(token: string, payload: object) => Promise<object | null>} verifier
+ */
+function registerVerifier(verifier) {
+  verifiers.push(verifier);
+}
+
+/**
+ * Issue a JWT for a local user.
+ * @param {{ id: string, username: string }} user
+ * @returns {string}
+ */
+function issueToken(user) {
+  return jwt.sign({ username: user.username }, JWT_SECRET, {
+    subject: user.id,
+    issuer: LOCAL_ISSUER,
+    expiresIn: JWT_EXPIRES_IN,
+    algorithm: 'HS256',
+  });
+}
+
+// Tokens issued by this server for local accounts.
+registerVerifier(async (token, payload) => {
+  if (payload.iss !== LOCAL_ISSUER) return null;
+
+  const claims = jwt.verify(token, JWT_SECRET, { issuer: LOCAL_ISSUER, algorithms: ['HS256'] });
+  const user = userStore.findById(claims.sub);
+  if (!user) {
+    throw new Error('User no longer exists.');
+  }
+  // Roles are read from the store rather than the token so changes apply immediately.
+  return { id: user.id, username: user.username, role: user.role, provider: 'local' };
+});
+
+// Tokens from an external identity provider, verified against its JWKS endpoint or a static public key.
+const EXTERNAL_JWT_JWKS_URI = process.env.EXTERNAL_JWT_JWKS_URI;
+const EXTERNAL_JWT_PUBLIC_KEY = process.env.EXTERNAL_JWT_PUBLIC_KEY;
+const EXTERNAL_JWT_ISSUER = process.env.EXTERNAL_JWT_ISSUER;
+const EXTERNAL_JWT_AUDIENCE = process.env.EXTERNAL_JWT_AUDIENCE;
+const EXTERNAL_JWT_USERNAME_CLAIM = process.env.EXTERNAL_JWT_USERNAME_CLAIM || 'preferred_username';
+const EXTERNAL_JWT_ROLE_CLAIM = process.env.EXTERNAL_JWT_ROLE_CLAIM || 'roles';
+
+if (EXTERNAL_JWT_JWKS_URI || EXTERNAL_JWT_PUBLIC_KEY) {
+  const jwks = EXTERNAL_JWT_JWKS_URI
+    ? jwksClient({ jwksUri: EXTERNAL_JWT_JWKS_URI, cache: true, rateLimit: true })
+    : null;
+
+  registerVerifier(async (token, payload) => {
+    if (EXTERNAL_JWT_ISSUER && payload.iss !== EXTERNAL_JWT_ISSUER) return null;
+
+    let key = EXTERNAL_JWT_PUBLIC_KEY && EXTERNAL_JWT_PUBLIC_KEY.replace(/\\n/g, '\n');
+    if (jwks) {
+      const { header } = jwt.decode(token, { complete: true });
+      const signingKey = await jwks.getSigningKey(header.kid);
+      key = signingKey.getPublicKey();
+    }
+
+    const claims = jwt.verify(token, key, {
+      issuer: EXTERNAL_JWT_ISSUER || undefined,
+      audience: EXTERNAL_JWT_AUDIENCE || undefined,
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+    });
+
+    return {
+      id: claims.sub,
+      username: claims[EXTERNAL_JWT_USERNAME_CLAIM] || claims.email || claims.sub,
+      role: highestRole(claims[EXTERNAL_JWT_ROLE_CLAIM]) || DEFAULT_ROLE,
+      provider: 'external',
+    };
+  });
+}
+
+/**
+ * Verify a bearer token against the registered verifiers.
+ * @param {string} token
+ * @returns {Promise<{ id: string, username: string, role: string, provider: string }>}
+ */
+async function verifyToken(token) {
+  const payload = jwt.decode(token);
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Malformed token.');
+  }
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const verifier of verifiers) {
+    // eslint-disable-next-line no-await-in-loop
+    const user = await verifier(token, payload);
+    if (user) return user;
+  }
+
+  throw new Error('Token issuer is not trusted.');
+}
+
+/**
+ * Create the initial admin account from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD if it doesn't exist yet,
+ * and make sure that account keeps the admin role.
+ * @returns {Promise<void>}
+ */
+async function ensureBootstrapUser() {
+  const username = process.env.AUTH_ADMIN_USERNAME;
+  const password = process.env.AUTH_ADMIN_PASSWORD;
+  if (!username || !password) return;
+
+  const existing = userStore.findByUsername(username);
+  if (existing) {
+    if (existing.role !== 'admin') await userStore.setRole(existing.id, 'admin');
+    return;
+  }
+
+  await userStore.createUser(username, password, 'admin');
+  log.info(`Created initial admin user "${username}".`);
+}
+
+/**
+ * Self-registration is open when explicitly enabled, or while no accounts exist yet
+ * so a fresh install can create its first user.
+ * @returns {boolean}
+ */
+function isRegistrationOpen() {
+  return process.env.AUTH_ALLOW_REGISTRATION === 'true' || userStore.count() === 0;
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  registerVerifier,
+  ensureBootstrapUser,
+  isRegistrationOpen,
+};
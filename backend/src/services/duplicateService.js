@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const { generateEmbedding } = require('./ollamaService');
+const { listAllDocuments } = require('./vectorStoreService');
+const documentStore = require('../utils/documentStore');
+const { meanDirection, similarity } = require('../utils/vectorMath');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/duplicateService' });
+
+/**
+ * Duplicate detection for knowledge documents.
+ *
+ * Exact duplicates share a content hash (of the text with case and whitespace normalized).
+ * Near-duplicates have document embeddings - the normalized mean of their chunk embeddings -
+ * with a cosine similarity of at least DUPLICATE_SIMILARITY_THRESHOLD.
+ */
+
+const DUPLICATE_SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.95;
+// 'reject': ingestion fails with 409 unless forced; 'warn': ingest and report the duplicates.
+const DUPLICATE_POLICY = process.env.DUPLICATE_POLICY === 'warn' ? 'warn' : 'reject';
+const MAX_REPORTED_DUPLICATES = 5;
+const PREVIEW_LENGTH = 200;
+
+/**
+ * @param {string} text
+ * @returns {string} hex sha256 of the normalized text
+ */
+function contentHash(text) {
+  const normalized = String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * @param {number[][]} chunkEmbeddings
+ * @returns {number[] | null} unit-length mean of the (normalized) chunk embeddings
+ */
+function documentEmbedding(chunkEmbeddings) {
+  return meanDirection(chunkEmbeddings);
+}
+
+/**
+ * Embeddings of legacy documents (ingested before the document store existed, so without a
+ * record to keep it in): parent id -> comparable document (see toComparable). Filled by
+ * backfillEmbeddings; a record stored for the id later takes precedence.
+ */
+const legacyDocuments = new Map();
+// The running or completed backfill; cleared if it fails so the next caller retries.
+let backfill = null;
+
+// Pairwise comparisons between yields to the event loop in findDuplicateClusters.
+const COMPARISONS_PER_TICK = 20_000;
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+}
+
+/**
+ * @param {object} record - Document store record, or a legacy document built from its chunks.
+ * @returns {{ id, title, source, category, createdAt, chunkCount, preview, hash, embedding }}
+ */
+function toComparable(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    source: record.source,
+    category: record.category,
+    createdAt: record.createdAt ?? null,
+    chunkCount: record.chunkCount,
+    preview: String(record.text || '').slice(0, PREVIEW_LENGTH),
+    hash: record.contentHash || contentHash(record.text),
+    embedding: record.embedding || null,
+  };
+}
+
+/**
+ * Embed every document that has no stored embedding: records stored before duplicate detection
+ * (which are updated and saved in one write) and legacy documents without a record. Chunk
+ * embeddings usually come from the embedding cache. Runs once per process; started at startup
+ * and awaited by the duplicate checks, so they see the whole knowledge base.
+ *
+ * @returns {Promise<void>}
+ */
+function backfillEmbeddings() {
+  if (!backfill) {
+    backfill = (async () => {
+      const chunksByParent = new Map();
+      (await listAllDocuments()).forEach((chunk) => {
+        const parentId = chunk.parentId || chunk.id;
+        if (!chunksByParent.has(parentId)) chunksByParent.set(parentId, []);
+        chunksByParent.get(parentId).push(chunk);
+      });
+
+      const missing = Array.from(chunksByParent).filter(([id]) => {
+        const record = documentStore.get(id);
+        return !record?.embedding && !record?.deletedAt && !legacyDocuments.has(id);
+      });
+
+      const recordEmbeddings = new Map();
+      // eslint-disable-next-line no-restricted-syntax
+      for (const [id, chunks] of missing) {
+        chunks.sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0));
+        // eslint-disable-next-line no-await-in-loop
+        const embedding = documentEmbedding(await generateEmbedding(chunks.map((c) => c.text || '')));
+        if (documentStore.get(id)) {
+          recordEmbeddings.set(id, embedding);
+        } else {
+          const [first] = chunks;
+          legacyDocuments.set(
+            id,
+            toComparable({
+              id,
+              text: chunks.map((c) => c.text || '').join('\n\n'),
+              title: first.title,
+              source: first.source,
+              category: first.category,
+              createdAt: first.timestamp,
+              chunkCount: chunks.length,
+              embedding,
+            })
+          );
+        }
+      }
+      // Re-read the records: they may have been edited meanwhile (a text edit stores its own embedding).
+      const updated = [];
+      recordEmbeddings.forEach((embedding, id) => {
+        const record = documentStore.get(id);
+        if (!record.embedding) {
+          updated.push({ ...record, contentHash: record.contentHash || contentHash(record.text), embedding });
+        }
+      });
+      await documentStore.saveMany(updated);
+      log.info('Backfilled document embeddings', { records: updated.length, legacy: legacyDocuments.size });
+    })().catch((error) => {
+      backfill = null;
+      throw error;
+    });
+  }
+  return backfill;
+}
+
+/**
+ * Every live document, comparable for duplicates. Waits for the backfill; if it fails, documents
+ * without an embedding are still compared by hash.
+ * @returns {Promise<object[]>} see toComparable
+ */
+async function loadComparableDocuments() {
+  try {
+    await backfillEmbeddings();
+  } catch (error) {
+    log.error('Document embedding backfill failed', { error });
+  }
+
+  const documents = documentStore
+    .list()
+    .filter((record) => !record.deletedAt)
+    .map(toComparable);
+  legacyDocuments.forEach((doc, id) => {
+    if (!documentStore.get(id)) documents.push(doc);
+  });
+  return documents;
+}
+
+/**
+ * Existing documents that duplicate a new one, most similar first.
+ *
+ * @param {{ hash: string, embedding: number[] | null }} candidate
+ * @param {{ excludeId?: string, threshold?: number }} [options]
+ * @returns {Promise<Array<{
+ *   id: string, title?: string, source?: string, kind: 'exact' | 'near', similarity: number,
+ * }>>}
+ */
+async function findDuplicates({ hash, embedding }, { excludeId, threshold = DUPLICATE_SIMILARITY_THRESHOLD } = {}) {
+  return (await loadComparableDocuments())
+    .filter((doc) => doc.id !== excludeId)
+    .map((doc) => {
+      const exact = doc.hash === hash;
+      const score = exact ? 1 : similarity(embedding, doc.embedding);
+      return { doc, exact, score };
+    })
+    .filter(({ exact, score }) => exact || score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_REPORTED_DUPLICATES)
+    .map(({ doc, exact, score }) => ({
+      id: doc.id,
+      title: doc.title,
+      source: doc.source,
+      kind: exact ? 'exact' : 'near',
+      similarity: Number(score.toFixed(4)),
+    }));
+}
+
+/**
+ * Group the knowledge base into clusters of duplicate documents.
+ *
+ * Documents are linked when they share a content hash or their similarity reaches the
+ * threshold; clusters are the connected groups. Each cluster lists its documents oldest first,
+ * with their similarity to the oldest one.
+ *
+ * The pairwise comparison is quadratic, so it yields to the event loop every
+ * COMPARISONS_PER_TICK comparisons rather than blocking other requests.
+ *
+ * @param {{ threshold?: number }} [options]
+ * @returns {Promise<Array<{ exact: boolean, maxSimilarity: number, documents: object[] }>>} largest first
+ */
+async function findDuplicateClusters({ threshold = DUPLICATE_SIMILARITY_THRESHOLD } = {}) {
+  const documents = await loadComparableDocuments();
+
+  // Union-find over the documents.
+  const parent = documents.map((_doc, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      // eslint-disable-next-line no-param-reassign
+      i = parent[i];
+    }
+    return i;
+  };
+
+  let comparisons = 0;
+  for (let i = 0; i < documents.length; i += 1) {
+    for (let j = i + 1; j < documents.length; j += 1) {
+      const a = documents[i];
+      const b = documents[j];
+      if (a.hash === b.hash || similarity(a.embedding, b.embedding) >= threshold) {
+        parent[find(i)] = find(j);
+      }
+    }
+    comparisons += documents.length - i - 1;
+    if (comparisons >= COMPARISONS_PER_TICK) {
+      comparisons = 0;
+      // eslint-disable-next-line no-await-in-loop
+      await yieldToEventLoop();
+    }
+  }
+
+  const groups = new Map();
+  documents.forEach((doc, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(doc);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      group.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      const [oldest] = group;
+      const members = group.map(({ hash, embedding, ...doc }) => ({
+        ...doc,
+        similarity: Number((hash === oldest.hash ? 1 : similarity(embedding, oldest.embedding)).toFixed(4)),
+      }));
+      return {
+        exact: group.every((doc) => doc.hash === oldest.hash),
+        maxSimilarity: Math.max(...members.slice(1).map((doc) => doc.similarity)),
+        documents: members,
+      };
+    })
+    .sort((a, b) => b.documents.length - a.documents.length || b.maxSimilarity - a.maxSimilarity);
+}
+
+module.exports = {
+  DUPLICATE_POLICY,
+  DUPLICATE_SIMILARITY_THRESHOLD,
+  contentHash,
+  documentEmbedding,
+  backfillEmbeddings,
+  findDuplicates,
+  findDuplicateClusters,
+};
@@ -0,0 +1,168 @@
+const path = require('path');
+// Require the library entry directly: the package index runs a debug self-test when loaded without a parent.
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const mammoth = require('mammoth');
+const { convert: htmlToText } = require('html-to-text');
+const { parse: parseCsv } = require('csv-parse/sync');
+
+/**
+ * File extensions accepted for upload.
+ */
+const SUPPORTED_EXTENSIONS = ['.pdf', '.docx', '.md', '.markdown', '.txt', '.html', '.htm', '.csv'];
+
+class UnsupportedFileTypeError extends Error {
+  constructor(filename) {
+    super(
+      `Unsupported file type for "${filename}". Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}.`
+    );
+    this.name = 'UnsupportedFileTypeError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Extract one segment per PDF page so each page can be cited on its own.
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ text: string, location: string }>>}
+ */
+async function extractPdf(buffer) {
+  const pages = [];
+
+  // pdf.js reads the underlying ArrayBuffer, which for small pooled Buffers starts at a non-zero
+  // offset, so hand it a standalone copy.
+  await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent();
+      let lastY;
+      let text = '';
+      content.items.forEach((item) => {
+        // A change in vertical position means a new line.
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        [, , , , , lastY] = item.transform;
+      });
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  return pages.map((text, idx) => ({ text: text || '', location: `page ${idx + 1}` }));
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ text: string, location: string | null }>>}
+ */
+async function extractDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return [{ text: value, location: null }];
+}
+
+/**
+ * Convert HTML to plain text, keeping headings as Markdown so the chunker can split on them.
+ * @param {Buffer} buffer
+ * @returns {Array<{ text: string, location: string | null }>}
+ */
+function extractHtml(buffer) {
+  const headingSelectors = [1, 2, 3, 4, 5, 6].map((level) => ({
+    selector: `h${level}`,
+    format: 'markdownHeading',
+    options: { level },
+  }));
+
+  const text = htmlToText(buffer.toString('utf8'), {
+    wordwrap: false,
+    formatters: {
+      markdownHeading: (elem, walk, builder, formatOptions) => {
+        builder.openBlock({ leadingLineBreaks: 2 });
+        builder.addLiteral(`${'#'.repeat(formatOptions.level)} `);
+        walk(elem.children, builder);
+        builder.closeBlock({ trailingLineBreaks: 2 });
+      },
+    },
+    selectors: [
+      ...headingSelectors,
+      { selector: 'a', options: { ignoreHref: true } },
+      { selector: 'img', format: 'skip' },
+      { selector: 'script', format: 'skip' },
+      { selector: 'style', format: 'skip' },
+    ],
+  });
+
+  return [{ text, location: null }];
+}
+
+/**
+ * Extract one segment per CSV row, rendered as `column: value` lines.
+ * @param {Buffer} buffer
+ * @returns {Array<{ text: string, location: string }>}
+ */
+function extractCsv(buffer) {
+  const rows = parseCsv(buffer, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+    relax_column_count: true,
+  });
+
+  // Row numbers are 1-based and account for the header line.
+  return rows.map((row, idx) => ({
+    text: Object.entries(row)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([column, value]) => `${column}: ${value}`)
+      .join('\n'),
+    location: `row ${idx + 2}`,
+  }));
+}
+
+/**
+ * Extract text segments from an uploaded file.
+ *
+ * Each segment carries a `source` of the form `<filename>` or `<filename>, page 3` / `<filename>, row 12`
+ * so retrieved chunks can be traced back to where they came from.
+ *
+ * @param {{ originalname: string, buffer: Buffer }} file - A multer in-memory file.
+ * @returns {Promise<Array<{ text: string, source: string, title: string }>>}
+ */
+async function extractFileSegments(file) {
+  const filename = file.originalname;
+  const extension = path.extname(filename).toLowerCase();
+
+  let segments;
+  switch (extension) {
+    case '.pdf':
+      segments = await extractPdf(file.buffer);
+      break;
+    case '.docx':
+      segments = await extractDocx(file.buffer);
+      break;
+    case '.html':
+    case '.htm':
+      segments = extractHtml(file.buffer);
+      break;
+    case '.csv':
+      segments = extractCsv(file.buffer);
+      break;
+    case '.md':
+    case '.markdown':
+    case '.txt':
+      segments = [{ text: file.buffer.toString('utf8'), location: null }];
+      break;
+    default:
+      throw new UnsupportedFileTypeError(filename);
+  }
+
+  return segments
+    .map((segment) => ({
+      text: segment.text.trim(),
+      source: segment.location ? `${filename}, ${segment.location}` : filename,
+      title: filename,
+    }))
+    .filter((segment) => segment.text);
+}
+
+module.exports = {
+  extractFileSegments,
+  SUPPORTED_EXTENSIONS,
+  UnsupportedFileTypeError,
+};
@@ -0,0 +1,617 @@
+const { v4: uuidv4 } = require('uuid');
+const { generateEmbedding } = require('./ollamaService');
+const {
+  upsertDocument,
+  updateMetadata,
+  deleteDocument,
+  deleteByPrefix,
+  fetchDocuments,
+  listAllDocuments,
+} = require('./vectorStoreService');
+const {
+  DUPLICATE_POLICY,
+  contentHash,
+  documentEmbedding,
+  findDuplicates,
+} = require('./duplicateService');
+const { chunkText } = require('../utils/textChunker');
+const documentStore = require('../utils/documentStore');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/ingestionService' });
+
+const CHUNK_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS, 10) || 400;
+const CHUNK_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS, 10) || 50;
+// Versions kept per document; older ones are dropped.
+const MAX_DOCUMENT_VERSIONS = parseInt(process.env.MAX_DOCUMENT_VERSIONS, 10) || 50;
+// Characters of a document's text shown in listings.
+const PREVIEW_LENGTH = 200;
+
+// Content hash -> { id, title, source } of documents being ingested, so copies ingested
+// concurrently (e.g. within one bulk-add job) are caught before either is stored.
+const ingesting = new Map();
+
+/**
+ * Build the record id for a chunk of a document.
+ * @param {string} parentId
+ * @param {number} chunkIndex
+ * @returns {string}
+ */
+function chunkId(parentId, chunkIndex) {
+  return `${parentId}#${chunkIndex}`;
+}
+
+/**
+ * Chunk a text and embed its chunks.
+ *
+ * @param {string} text
+ * @param {{ maxTokens?: number, overlapTokens?: number }} [options]
+ * @returns {Promise<{
+ *   chunks: Array<{ index: number, text: string, section: string | null }>, embeddings: number[][],
+ * }>}
+ */
+async function embedChunks(text, options = {}) {
+  const maxTokens = options.maxTokens || CHUNK_MAX_TOKENS;
+  const overlapTokens = options.overlapTokens ?? CHUNK_OVERLAP_TOKENS;
+
+  const chunks = chunkText(text, { maxTokens, overlapTokens });
+  if (chunks.length === 0) {
+    throw new Error('Document has no text to ingest.');
+  }
+
+  const embeddings = await generateEmbedding(chunks.map((c) => c.text));
+  return { chunks, embeddings };
+}
+
+/**
+ * Upsert embedded chunks as `<parentId>#<n>`.
+ *
+ * @param {string} parentId
+ * @param {{ chunks: object[], embeddings: number[][] }} embedded - From embedChunks.
+ * @param {{ category?: string, source?: string, title?: string, timestamp: string, updatedAt?: string }} metadata
+ * @returns {Promise<void>}
+ */
+async function upsertChunks(parentId, { chunks, embeddings }, metadata) {
+  await Promise.all(
+    chunks.map((chunk, idx) =>
+      upsertDocument(chunkId(parentId, chunk.index), chunk.text, embeddings[idx], {
+        ...metadata,
+        parentId,
+        chunkIndex: chunk.index,
+        chunkCount: chunks.length,
+        section: chunk.section,
+      })
+    )
+  );
+}
+
+/**
+ * @param {Array<{ id: string, title?: string, source?: string }>} duplicates
+ * @returns {Error} with `status` 409 and the `duplicates`
+ */
+function duplicateError(duplicates) {
+  const [first] = duplicates;
+  const label = first.title || first.source || first.id;
+  const others = duplicates.length > 1 ? ` and ${duplicates.length - 1} other(s)` : '';
+  const error = new Error(`Duplicate of existing document "${label}"${others}.`);
+  error.status = 409;
+  error.duplicates = duplicates;
+  return error;
+}
+
+/**
+ * Build a version history entry: a snapshot of the document's text and metadata.
+ *
+ * @param {object} record - Document store record.
+ * @param {number} version
+ * @param {'imported' | 'created' | 'updated' | 'restored' | 'deleted'} action
+ * @param {{ id: string, username: string } | null | undefined} editor
+ * @param {string} editedAt
+ * @param {object} [extra]
+ */
+function versionEntry(record, version, action, editor, editedAt, extra = {}) {
+  return {
+    version,
+    action,
+    text: record.text,
+    category: record.category,
+    source: record.source,
+    title: record.title,
+    editedBy: editor ? { id: editor.id, username: editor.username } : null,
+    editedAt,
+    ...(record.textReconstructed ? { textReconstructed: true } : {}),
+    ...extra,
+  };
+}
+
+/**
+ * Give a record without history (a legacy document, or one stored before versions were kept)
+ * its current state as an `imported` first version.
+ * @param {object} record
+ */
+function withHistory(record) {
+  if (record.versions) return record;
+  return {
+    ...record,
+    version: 1,
+    versions: [versionEntry(record, 1, 'imported', null, record.updatedAt || record.createdAt)],
+  };
+}
+
+/**
+ * The text of `versions[index]`. Versions that didn't change the text don't store it; it is taken
+ * from the nearest earlier version that does.
+ * @param {object[]} versions - Oldest first.
+ * @param {number} index
+ * @returns {string}
+ */
+function versionText(versions, index) {
+  for (let i = index; i >= 0; i -= 1) {
+    if (versions[i].text !== undefined) return versions[i].text;
+  }
+  return '';
+}
+
+/**
+ * Append a version snapshotting `record` and save it. The snapshot only includes the text if it
+ * changed; beyond MAX_DOCUMENT_VERSIONS the oldest versions are dropped.
+ * @returns {Promise<void>}
+ */
+function saveVersion(record, action, editor, editedAt, extra) {
+  const { versions } = record;
+  const version = (versions.length ? versions[versions.length - 1].version : 0) + 1;
+  const { text, ...entry } = versionEntry(record, version, action, editor, editedAt, extra);
+  const textChanged = !versions.length || versionText(versions, versions.length - 1) !== text;
+
+  let kept = [...versions, textChanged ? { ...entry, text } : entry];
+  if (kept.length > MAX_DOCUMENT_VERSIONS) {
+    const dropped = kept.length - MAX_DOCUMENT_VERSIONS;
+    // The oldest kept version must carry its text.
+    kept = [{ ...kept[dropped], text: versionText(kept, dropped) }, ...kept.slice(dropped + 1)];
+  }
+  return documentStore.save({ ...record, version, versions: kept });
+}
+
+/**
+ * @param {object} record - With history.
+ * @param {number} version
+ * @returns {object | null} the version entry with its text, or null if not kept
+ */
+function findVersion(record, version) {
+  const index = record.versions.findIndex((entry) => entry.version === version);
+  if (index === -1) return null;
+  return { ...record.versions[index], text: versionText(record.versions, index) };
+}
+
+/**
+ * Public view of a record: everything but the version history.
+ * @param {object} record
+ */
+function toPublicDocument(record) {
+  // eslint-disable-next-line no-unused-vars
+  const { versions, embedding, ...document } = record;
+  return document;
+}
+
+/**
+ * Split a document into chunks, embed each chunk and store them under a shared parent id.
+ * The full text is kept in the document store, with a version history, for editing.
+ *
+ * Exact and near-duplicates of existing documents (see duplicateService) are rejected with a
+ * 409 error carrying the `duplicates`, unless `force` is set or DUPLICATE_POLICY is 'warn'; then
+ * the document is ingested and the duplicates are returned as warnings.
+ *
+ * @param {{ text: string, category?: string, source?: string, title?: string }} document
+ * @param {{
+ *   maxTokens?: number, overlapTokens?: number, editor?: { id: string, username: string }, force?: boolean,
+ * }} [options]
+ * @returns {Promise<{ id: string, chunks: number, duplicates: object[] }>}
+ */
+async function ingestDocument(document, options = {}) {
+  const { text, category, source, title } = document;
+  const parentId = uuidv4();
+  const timestamp = new Date().toISOString();
+  const hash = contentHash(text);
+
+  const concurrent = ingesting.get(hash);
+  if (!concurrent) ingesting.set(hash, { id: parentId, title, source });
+
+  try {
+    const embedded = await embedChunks(text, options);
+    const embedding = documentEmbedding(embedded.embeddings);
+
+    const duplicates = await findDuplicates({ hash, embedding });
+    if (concurrent) {
+      duplicates.unshift({ ...concurrent, kind: 'exact', similarity: 1 });
+    }
+    if (duplicates.length && DUPLICATE_POLICY === 'reject' && !options.force) {
+      throw duplicateError(duplicates);
+    }
+
+    try {
+      await upsertChunks(parentId, embedded, { category, source, title, timestamp });
+    } catch (error) {
+      // Don't leave a partially ingested document behind.
+      await deleteByPrefix(`${parentId}#`).catch(() => {});
+      throw error;
+    }
+
+    await saveVersion(
+      {
+        id: parentId,
+        text,
+        category,
+        source,
+        title,
+        createdAt: timestamp,
+        updatedAt: null,
+        chunkCount: embedded.chunks.length,
+        contentHash: hash,
+        embedding,
+        versions: [],
+      },
+      'created',
+      options.editor,
+      timestamp
+    );
+
+    return { id: parentId, chunks: embedded.chunks.length, duplicates };
+  } finally {
+    if (!concurrent) ingesting.delete(hash);
+  }
+}
+
+/**
+ * Fetch a document's stored chunks with their vectors, ordered by chunk index. Also finds legacy
+ * single-vector documents stored under the bare id.
+ *
+ * @param {string} id
+ * @param {number} [chunkCount] - If unknown, it is read from the first chunk's metadata.
+ * @returns {Promise<Array<{ id: string, values: number[], metadata: object }>>}
+ */
+async function findChunks(id, chunkCount) {
+  const ids = (count) => [id, ...Array.from({ length: count }, (_v, i) => chunkId(id, i))];
+  let chunks = await fetchDocuments(ids(chunkCount ?? 1));
+  const storedCount = chunks.find((c) => c.id === chunkId(id, 0))?.metadata.chunkCount;
+  if (chunkCount === undefined && storedCount > 1) {
+    chunks = await fetchDocuments(ids(storedCount));
+  }
+  return chunks.sort((a, b) => (a.metadata.chunkIndex ?? 0) - (b.metadata.chunkIndex ?? 0));
+}
+
+/**
+ * Load a document's record, with history.
+ *
+ * Documents ingested before the document store existed have no record; one is built by joining
+ * the chunk texts and flagged `textReconstructed` (the text may repeat headings and overlapping
+ * passages). It is only saved once the document changes.
+ *
+ * @param {string} id
+ * @param {{ includeDeleted?: boolean }} [options]
+ * @returns {Promise<object | null>}
+ */
+async function loadRecord(id, { includeDeleted = false } = {}) {
+  const stored = documentStore.get(id);
+  if (stored) {
+    return stored.deletedAt && !includeDeleted ? null : withHistory(stored);
+  }
+
+  const chunks = (await findChunks(id)).map((c) => c.metadata);
+  if (chunks.length === 0) return null;
+
+  const [first] = chunks;
+  return withHistory({
+    id,
+    text: chunks.map((c) => c.text || '').join('\n\n'),
+    category: first.category,
+    source: first.source,
+    title: first.title,
+    createdAt: first.timestamp || null,
+    updatedAt: first.updatedAt || null,
+    chunkCount: chunks.length,
+    textReconstructed: true,
+  });
+}
+
+/**
+ * Get a document with its full text (see loadRecord for legacy documents).
+ *
+ * @param {string} id
+ * @returns {Promise<{
+ *   id: string, text: string, category?: string, source?: string, title?: string, createdAt: string | null,
+ *   updatedAt: string | null, chunkCount: number, version: number, textReconstructed?: boolean,
+ * } | null>} null if unknown or deleted
+ */
+async function getIngestedDocument(id) {
+  const record = await loadRecord(id);
+  return record ? toPublicDocument(record) : null;
+}
+
+/**
+ * Put a document's previous chunks back after a failed rewrite, removing new chunks that have no
+ * previous counterpart.
+ *
+ * @param {string} id
+ * @param {Array<{ id: string, values: number[], metadata: object }>} previous - From findChunks.
+ * @param {number} newChunkCount
+ * @returns {Promise<void>}
+ */
+async function restoreChunks(id, previous, newChunkCount) {
+  const previousIds = new Set(previous.map((c) => c.id));
+  const added = Array.from({ length: newChunkCount }, (_v, i) => chunkId(id, i)).filter(
+    (cid) => !previousIds.has(cid)
+  );
+  await Promise.all([
+    ...added.map((cid) => deleteDocument(cid)),
+    ...previous.map(({ id: cid, values, metadata: { text, ...metadata } }) =>
+      upsertDocument(cid, text, values, metadata)
+    ),
+  ]);
+}
+
+/**
+ * Re-chunk and re-embed a document's text under its id: the new chunks overwrite the old ones
+ * and any left over are deleted. Every chunk is embedded before any is written, and if writing
+ * fails the previous chunks are restored, so the document never mixes old and new chunks.
+ *
+ * @param {object} record - The document's current record.
+ * @param {string} text
+ * @param {{ category?: string, source?: string, title?: string }} metadata
+ * @param {string} updatedAt
+ * @returns {Promise<{ chunkCount: number, contentHash: string, embedding: number[] }>} record fields to update
+ */
+async function rewriteChunks(record, text, metadata, updatedAt) {
+  const { id } = record;
+  const embedded = await embedChunks(text);
+  const chunkCount = embedded.chunks.length;
+  const previous = await findChunks(id, record.chunkCount);
+
+  try {
+    await upsertChunks(id, embedded, { ...metadata, timestamp: record.createdAt || updatedAt, updatedAt });
+  } catch (error) {
+    await restoreChunks(id, previous, chunkCount).catch((restoreError) => {
+      log.error('Failed to restore previous chunks after a failed rewrite', { id, error: restoreError });
+    });
+    throw error;
+  }
+
+  // Remove chunks beyond the new count, and the bare record of a legacy single-vector document.
+  const stale = [];
+  for (let i = chunkCount; i < record.chunkCount; i += 1) {
+    stale.push(deleteDocument(chunkId(id, i)));
+  }
+  stale.push(deleteDocument(id));
+  await Promise.all(stale);
+
+  return { chunkCount, contentHash: contentHash(text), embedding: documentEmbedding(embedded.embeddings) };
+}
+
+/**
+ * Update a document in place, keeping its id and creation timestamp, and record the change as
+ * a new version.
+ *
+ * A changed `text` is re-chunked and re-embedded. Metadata-only changes are applied to the
+ * existing chunks without re-embedding. Either way `updatedAt` is set.
+ *
+ * @param {string} id
+ * @param {{ text?: string, category?: string, source?: string, title?: string }} changes - Omitted
+ *   fields keep their current value.
+ * @param {{ editor?: { id: string, username: string } }} [options]
+ * @returns {Promise<object | null>} the updated document (see getIngestedDocument), or null if not found
+ */
+async function updateIngestedDocument(id, changes, { editor } = {}) {
+  const record = await loadRecord(id);
+  if (!record) return null;
+
+  const updatedAt = new Date().toISOString();
+  const metadata = {
+    category: changes.category ?? record.category,
+    source: changes.source ?? record.source,
+    title: changes.title ?? record.title,
+  };
+  const textChanged = changes.text !== undefined && changes.text !== record.text;
+
+  if (textChanged) {
+    const rewritten = await rewriteChunks(record, changes.text, metadata, updatedAt);
+    // eslint-disable-next-line no-unused-vars
+    const { textReconstructed, ...rest } = record;
+    await saveVersion(
+      { ...rest, text: changes.text, ...metadata, updatedAt, ...rewritten },
+      'updated',
+      editor,
+      updatedAt
+    );
+  } else {
+    const chunkIds = record.textReconstructed
+      ? (await findChunks(id, record.chunkCount)).map((c) => c.id)
+      : Array.from({ length: record.chunkCount }, (_v, i) => chunkId(id, i));
+    await Promise.all(chunkIds.map((cid) => updateMetadata(cid, { ...metadata, updatedAt })));
+    await saveVersion({ ...record, ...metadata, updatedAt }, 'updated', editor, updatedAt);
+  }
+
+  return getIngestedDocument(id);
+}
+
+/**
+ * A document's version history, newest first, up to MAX_DOCUMENT_VERSIONS. Entries omit the text
+ * (see getDocumentVersion). Deleted documents keep their history.
+ *
+ * @param {string} id
+ * @returns {Promise<{ document: object, versions: object[] } | null>} null if the document is unknown
+ */
+async function listDocumentVersions(id) {
+  const record = await loadRecord(id, { includeDeleted: true });
+  if (!record) return null;
+
+  return {
+    document: toPublicDocument(record),
+    versions: record.versions
+      .map((entry, index) => {
+        // eslint-disable-next-line no-unused-vars
+        const { text, ...rest } = entry;
+        return { ...rest, textLength: versionText(record.versions, index).length };
+      })
+      .reverse(),
+  };
+}
+
+/**
+ * @param {string} id
+ * @param {number} version
+ * @returns {Promise<object | null>} the version entry with its text, or null if not found
+ */
+async function getDocumentVersion(id, version) {
+  const record = await loadRecord(id, { includeDeleted: true });
+  return record ? findVersion(record, version) : null;
+}
+
+/**
+ * One page of the knowledge base's documents, most recently updated first. Documents are read
+ * from the vector store, one per parent id, so documents ingested before the document store
+ * existed are included; stored records supply the title, dates and text preview where present.
+ *
+ * @param {{ page?: number, limit?: number }} [options]
+ * @returns {Promise<{ total: number, items: Array<{
+ *   id: string, title: string | null, source: string | null, category: string | null,
+ *   chunkCount: number, createdAt: string | null, updatedAt: string | null, preview: string,
+ * }> }>}
+ */
+async function listDocuments({ page = 1, limit = 50 } = {}) {
+  const byParent = new Map();
+  (await listAllDocuments()).forEach((chunk) => {
+    const id = chunk.parentId || chunk.id;
+    const entry = byParent.get(id) || { chunkCount: 0, first: chunk };
+    entry.chunkCount += 1;
+    if ((chunk.chunkIndex ?? 0) < (entry.first.chunkIndex ?? 0)) entry.first = chunk;
+    byParent.set(id, entry);
+  });
+
+  const documents = Array.from(byParent.entries()).map(([id, { chunkCount, first }]) => {
+    const record = documentStore.get(id);
+    const createdAt = record?.createdAt ?? first.timestamp ?? null;
+    return {
+      id,
+      title: record?.title ?? first.title ?? null,
+      source: record?.source ?? first.source ?? null,
+      category: record?.category ?? first.category ?? null,
+      chunkCount,
+      createdAt,
+      updatedAt: record?.updatedAt ?? first.updatedAt ?? createdAt,
+      preview: String(record?.text ?? first.text ?? '').slice(0, PREVIEW_LENGTH),
+    };
+  });
+  documents.sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+
+  const start = (page - 1) * limit;
+  return { total: documents.length, items: documents.slice(start, start + limit) };
+}
+
+/**
+ * Deleted documents, most recently deleted first, so they can be found and restored.
+ *
+ * @returns {Array<{
+ *   id: string, title?: string, source?: string, category?: string, createdAt: string | null,
+ *   deletedAt: string, deletedBy: { id: string, username: string } | null, version: number,
+ *   textLength: number,
+ * }>}
+ */
+function listDeletedDocuments() {
+  return documentStore
+    .list()
+    .filter((record) => record.deletedAt)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    .map((record) => {
+      const versions = record.versions || [];
+      return {
+        id: record.id,
+        title: record.title,
+        source: record.source,
+        category: record.category,
+        createdAt: record.createdAt ?? null,
+        deletedAt: record.deletedAt,
+        deletedBy: versions[versions.length - 1]?.editedBy ?? null,
+        version: record.version,
+        textLength: String(record.text || '').length,
+      };
+    });
+}
+
+/**
+ * Restore a document to an earlier version: its text is re-embedded under the same id and the
+ * restore is recorded as a new version. Also brings back deleted documents.
+ *
+ * @param {string} id
+ * @param {number} version
+ * @param {{ editor?: { id: string, username: string } }} [options]
+ * @returns {Promise<object | null>} the restored document, or null if the document is unknown
+ * @throws {Error} with `status` 404 if the document has no such version
+ */
+async function restoreDocumentVersion(id, version, { editor } = {}) {
+  const record = await loadRecord(id, { includeDeleted: true });
+  if (!record) return null;
+
+  const target = findVersion(record, version);
+  if (!target) {
+    const error = new Error('Version not found.');
+    error.status = 404;
+    throw error;
+  }
+
+  const updatedAt = new Date().toISOString();
+  const metadata = { category: target.category, source: target.source, title: target.title };
+  const rewritten = await rewriteChunks(record, target.text, metadata, updatedAt);
+
+  // eslint-disable-next-line no-unused-vars
+  const { deletedAt, textReconstructed, ...rest } = record;
+  await saveVersion(
+    {
+      ...rest,
+      text: target.text,
+      ...metadata,
+      updatedAt,
+      ...rewritten,
+      ...(target.textReconstructed ? { textReconstructed: true } : {}),
+    },
+    'restored',
+    editor,
+    updatedAt,
+    { restoredFrom: version }
+  );
+
+  return getIngestedDocument(id);
+}
+
+/**
+ * Delete a document and all of its chunks. Also handles legacy single-vector documents
+ * stored under the bare id. The document's history is kept, ending in a `deleted` version,
+ * so it can still be audited or restored.
+ *
+ * @param {string} id - Parent document id.
+ * @param {{ editor?: { id: string, username: string } }} [options]
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function deleteIngestedDocument(id, { editor } = {}) {
+  const record = await loadRecord(id);
+
+  await deleteByPrefix(`${id}#`);
+  await deleteDocument(id);
+
+  if (record) {
+    const deletedAt = new Date().toISOString();
+    await saveVersion({ ...record, deletedAt }, 'deleted', editor, deletedAt);
+  }
+  return { success: true };
+}
+
+module.exports = {
+  ingestDocument,
+  getIngestedDocument,
+  updateIngestedDocument,
+  listDocumentVersions,
+  getDocumentVersion,
+  listDocuments,
+  listDeletedDocuments,
+  restoreDocumentVersion,
+  deleteIngestedDocument,
+  chunkId,
+};
@@ -0,0 +1,226 @@
+const { v4: uuidv4 } = require('uuid');
+const { ingestDocument } = require('./ingestionService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/jobQueueService' });
+
+/**
+ * In-process queue for bulk ingestion jobs.
+ *
+ * `POST /api/knowledge/bulk-add`, and `POST /api/knowledge/upload` for files with many sections,
+ * enqueue a job and return immediately; jobs run one at a time
+ * in submission order, with up to INGEST_CONCURRENCY documents of a job in flight. Progress is
+ * tracked per document. Jobs live in memory only: queued or running jobs are lost on restart,
+ * and only the most recent MAX_FINISHED_JOBS finished jobs are kept.
+ */
+
+const INGEST_CONCURRENCY = parseInt(process.env.INGEST_CONCURRENCY, 10) || 2;
+const MAX_FINISHED_JOBS = 100;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// id -> job (insertion order is submission order)
+const jobs = new Map();
+// Document inputs, kept apart from the job so status responses don't echo the texts back.
+// jobId -> Array<{ text, category, source, title } | null>; released once an item succeeds.
+const inputs = new Map();
+// jobId -> { id, username } of the submitting user, recorded as the editor of each document.
+const editors = new Map();
+const queue = [];
+let processing = false;
+
+function summarize(job) {
+  const counts = { pending: 0, processing: 0, succeeded: 0, failed: 0 };
+  job.items.forEach((item) => {
+    counts[item.status] += 1;
+  });
+  return { total: job.items.length, ...counts };
+}
+
+/**
+ * Public view of a job.
+ * @param {object} job
+ * @param {{ includeItems?: boolean }} [options]
+ */
+function toPublic(job, { includeItems = true } = {}) {
+  const { items, ...rest } = job;
+  return {
+    ...rest,
+    progress: summarize(job),
+    ...(includeItems ? { items: items.map((item) => ({ ...item })) } : {}),
+  };
+}
+
+function pruneFinishedJobs() {
+  const finished = Array.from(jobs.values()).filter((job) => !ACTIVE_STATUSES.includes(job.status));
+  finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach((job) => {
+    jobs.delete(job.id);
+    inputs.delete(job.id);
+    editors.delete(job.id);
+  });
+}
+
+async function runJob(job) {
+  const documents = inputs.get(job.id);
+  const pending = job.items.filter((item) => item.status === 'pending');
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+
+  await mapWithConcurrency(pending, INGEST_CONCURRENCY, async (item) => {
+    /* eslint-disable no-param-reassign */
+    item.status = 'processing';
+    item.attempts += 1;
+    try {
+      const { id, chunks, duplicates } = await ingestDocument(documents[item.index], {
+        editor: editors.get(job.id),
+        force: job.force,
+      });
+      item.status = 'succeeded';
+      item.documentId = id;
+      item.chunks = chunks;
+      item.error = null;
+      item.duplicates = duplicates;
+      documents[item.index] = null;
+    } catch (error) {
+      log.error(`Bulk ingestion job ${job.id}, document ${item.index} failed`, { error });
+      item.status = 'failed';
+      item.error = error.message || 'Failed to ingest document.';
+      item.duplicates = error.duplicates || [];
+    }
+    /* eslint-enable no-param-reassign */
+  });
+
+  const { failed } = summarize(job);
+  job.status = failed ? 'completed_with_errors' : 'completed';
+  job.finishedAt = new Date().toISOString();
+  if (!failed) inputs.delete(job.id);
+}
+
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+  try {
+    while (queue.length) {
+      const job = queue.shift();
+      // eslint-disable-next-line no-await-in-loop
+      await runJob(job);
+    }
+  } finally {
+    processing = false;
+    pruneFinishedJobs();
+  }
+}
+
+function enqueue(job) {
+  job.status = 'queued';
+  job.finishedAt = null;
+  queue.push(job);
+  processQueue().catch((error) => {
+    log.error('Bulk ingestion queue error', { error });
+  });
+}
+
+/**
+ * Queue documents for ingestion.
+ *
+ * @param {Array<{ text: string, category?: string, source?: string, title?: string }>} documents
+ * @param {{ user: { id: string, username: string }, force?: boolean, type?: 'bulk-add' | 'upload' }} options
+ *   `force` ingests duplicates of existing documents instead of failing them; `type` records where
+ *   the documents came from.
+ * @returns {object} the public job view
+ */
+function enqueueBulkIngestion(documents, { user, force = false, type = 'bulk-add' }) {
+  const job = {
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    createdBy: user.id,
+    force,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    items: documents.map((doc, index) => ({
+      index,
+      // Sections of an uploaded file share its title; their source names the page or row.
+      title: (type === 'upload' && doc.source) || doc.title || doc.source || null,
+      status: 'pending',
+      attempts: 0,
+      documentId: null,
+      chunks: 0,
+      error: null,
+      duplicates: [],
+    })),
+  };
+
+  jobs.set(job.id, job);
+  inputs.set(
+    job.id,
+    documents.map(({ text, category, source, title }) => ({ text, category, source, title }))
+  );
+  editors.set(job.id, { id: user.id, username: user.username });
+  enqueue(job);
+  return toPublic(job);
+}
+
+/**
+ * @param {string} id
+ * @returns {object | null} the public job view, or null if unknown
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toPublic(job) : null;
+}
+
+/**
+ * Jobs visible to a user, newest first, without per-document items.
+ * @param {{ userId?: string }} [options] - Omit `userId` to list every user's jobs.
+ */
+function listJobs({ userId } = {}) {
+  return Array.from(jobs.values())
+    .filter((job) => !userId || job.createdBy === userId)
+    .reverse()
+    .map((job) => toPublic(job, { includeItems: false }));
+}
+
+/**
+ * Re-queue the failed documents of a finished job.
+ *
+ * @param {string} id
+ * @param {{ force?: boolean }} [options] - `force` ingests documents that failed as duplicates.
+ * @returns {object} the public job view
+ * @throws {Error} with `status` 404 if the job is unknown, 409 if it is still active or has no failures
+ */
+function retryFailed(id, { force = false } = {}) {
+  const job = jobs.get(id);
+  if (!job) {
+    const error = new Error('Job not found.');
+    error.status = 404;
+    throw error;
+  }
+
+  const failedItems = job.items.filter((item) => item.status === 'failed');
+  if (ACTIVE_STATUSES.includes(job.status) || failedItems.length === 0) {
+    const error = new Error(
+      ACTIVE_STATUSES.includes(job.status) ? 'Job is still in progress.' : 'Job has no failed documents to retry.'
+    );
+    error.status = 409;
+    throw error;
+  }
+
+  failedItems.forEach((item) => {
+    // eslint-disable-next-line no-param-reassign
+    item.status = 'pending';
+  });
+  job.force = force;
+  enqueue(job);
+  return toPublic(job);
+}
+
+module.exports = {
+  enqueueBulkIngestion,
+  getJob,
+  listJobs,
+  retryFailed,
+};
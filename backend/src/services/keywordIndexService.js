@@ -0,0 +1,225 @@
+const { matchesFilter } = require('../utils/metadataFilter');
+
+/**
+ * In-memory BM25 keyword index over stored chunk texts.
+ *
+ * Complements embedding search for exact tokens that embeddings blur: product codes, error
+ * numbers, acronyms. The index is built from the vector store on first use and then kept in
+ * sync by vectorStoreService, which reports every upsert and delete.
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'there',
+  'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+// Words, numbers and compound codes such as "ERR-502", "v2.3.1" or "SKU_1234".
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Split text into index terms. Compound codes are kept whole and also split into their parts,
+ * so "ERR-502" matches queries for "ERR-502" as well as "502".
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const terms = [];
+  (String(text || '').toLowerCase().match(TOKEN_PATTERN) || []).forEach((token) => {
+    const parts = token.split(/[-_./]/);
+    if (parts.length > 1) terms.push(token);
+    parts.forEach((part) => {
+      if (part && !STOP_WORDS.has(part)) terms.push(part);
+    });
+  });
+  return terms;
+}
+
+// id -> { length: number, termFreqs: Map<string, number>, metadata: object }
+const documents = new Map();
+// term -> Set<id>
+const postings = new Map();
+let totalLength = 0;
+
+let loader = null;
+let loaded = false;
+let loading = null;
+// Changes reported while the initial load is in flight, replayed once it completes.
+let pendingOps = [];
+
+function indexDocument(id, text, metadata) {
+  // eslint-disable-next-line no-use-before-define
+  removeDocument(id);
+
+  const terms = tokenize(text);
+  const termFreqs = new Map();
+  terms.forEach((term) => termFreqs.set(term, (termFreqs.get(term) || 0) + 1));
+
+  termFreqs.forEach((_count, term) => {
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(id);
+  });
+
+  documents.set(id, { length: terms.length, termFreqs, metadata: { ...metadata, text } });
+  totalLength += terms.length;
+}
+
+function removeDocument(id) {
+  const doc = documents.get(id);
+  if (!doc) return;
+
+  doc.termFreqs.forEach((_count, term) => {
+    const ids = postings.get(term);
+    ids.delete(id);
+    if (ids.size === 0) postings.delete(term);
+  });
+  totalLength -= doc.length;
+  documents.delete(id);
+}
+
+function applyOp(op) {
+  if (op.type === 'upsert') {
+    indexDocument(op.id, op.text, op.metadata);
+  } else if (op.type === 'updateMetadata') {
+    const doc = documents.get(op.id);
+    if (doc) doc.metadata = { ...doc.metadata, ...op.metadata };
+  } else if (op.type === 'delete') {
+    removeDocument(op.id);
+  } else if (op.type === 'deletePrefix') {
+    Array.from(documents.keys())
+      .filter((id) => id.startsWith(op.prefix))
+      .forEach(removeDocument);
+  }
+}
+
+/**
+ * Record a change. Before the index has been loaded there is nothing to update: the load
+ * will read the change from the store.
+ */
+function record(op) {
+  if (loaded) {
+    applyOp(op);
+  } else if (loading) {
+    pendingOps.push(op);
+  }
+}
+
+/**
+ * Set the function used to read all stored records ({ id, text, ...metadata }) when building the index.
+ * @param {() => Promise<Array<object>>} loadAll
+ */
+function setLoader(loadAll) {
+  loader = loadAll;
+}
+
+async function ensureLoaded() {
+  if (loaded) return;
+  if (!loading) {
+    loading = (async () => {
+      if (!loader) throw new Error('Keyword index has no loader configured.');
+      const records = await loader();
+      records.forEach(({ id, text, ...metadata }) => indexDocument(id, text || '', metadata));
+      pendingOps.forEach(applyOp);
+      pendingOps = [];
+      loaded = true;
+    })().finally(() => {
+      loading = null;
+      // A failed load is retried from scratch on the next search.
+      if (!loaded) pendingOps = [];
+    });
+  }
+  await loading;
+}
+
+/**
+ * @param {string} id
+ * @param {string} text
+ * @param {object} [metadata]
+ */
+function upsert(id, text, metadata = {}) {
+  record({ type: 'upsert', id, text, metadata });
+}
+
+/**
+ * @param {string} id
+ * @param {object} metadata - Merged into the stored metadata; the indexed text is unchanged.
+ */
+function updateMetadata(id, metadata) {
+  record({ type: 'updateMetadata', id, metadata });
+}
+
+/**
+ * @param {string} id
+ */
+function remove(id) {
+  record({ type: 'delete', id });
+}
+
+/**
+ * @param {string} prefix
+ */
+function removeByPrefix(prefix) {
+  record({ type: 'deletePrefix', prefix });
+}
+
+/**
+ * Rank stored chunks against a query with BM25.
+ *
+ * `coverage` is the fraction of distinct query terms present in the chunk, a bounded signal
+ * (unlike the raw BM25 score) that callers can use for confidence.
+ *
+ * @param {string} query
+ * @param {number} [topK=5]
+ * @param {object | null} [filter] - Normalized metadata filter, see utils/metadataFilter.js.
+ * @returns {Promise<Array<{ id: string, score: number, coverage: number, metadata: any }>>}
+ */
+async function search(query, topK = 5, filter = null) {
+  await ensureLoaded();
+
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  if (queryTerms.length === 0 || documents.size === 0) return [];
+
+  const docCount = documents.size;
+  const avgLength = totalLength / docCount || 1;
+  const scores = new Map();
+  const matchedTerms = new Map();
+
+  queryTerms.forEach((term) => {
+    const ids = postings.get(term);
+    if (!ids) return;
+
+    const idf = Math.log(1 + (docCount - ids.size + 0.5) / (ids.size + 0.5));
+    ids.forEach((id) => {
+      const doc = documents.get(id);
+      if (!matchesFilter(doc.metadata, filter)) return;
+
+      const tf = doc.termFreqs.get(term);
+      const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / avgLength));
+      scores.set(id, (scores.get(id) || 0) + idf * ((tf * (BM25_K1 + 1)) / norm));
+      matchedTerms.set(id, (matchedTerms.get(id) || 0) + 1);
+    });
+  });
+
+  return Array.from(scores.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topK)
+    .map(([id, score]) => ({
+      id,
+      score,
+      coverage: matchedTerms.get(id) / queryTerms.length,
+      metadata: documents.get(id).metadata,
+    }));
+}
+
+module.exports = {
+  tokenize,
+  setLoader,
+  upsert,
+  updateMetadata,
+  remove,
+  removeByPrefix,
+  search,
+};
@@ -0,0 +1,159 @@
+const { generateEmbedding } = require('./ollamaService');
+const knowledgeGapStore = require('../utils/knowledgeGapStore');
+const { normalize, similarity } = require('../utils/vectorMath');
+
+/**
+ * Knowledge gaps: questions the knowledge base could not answer, grouped into topics.
+ *
+ * An answer is a gap when its retrieval confidence is low or the model said the information is
+ * not in the knowledge base (as the system prompt tells it to). For the report, gaps are embedded
+ * by their retrieval query - the standalone rewrite of follow-up questions - and clustered into
+ * topics of questions with a cosine similarity of at least KNOWLEDGE_GAP_SIMILARITY_THRESHOLD.
+ * Embeddings aren't stored with the gaps; repeated reports reuse them from the embedding cache.
+ */
+
+const KNOWLEDGE_GAP_SIMILARITY_THRESHOLD = parseFloat(process.env.KNOWLEDGE_GAP_SIMILARITY_THRESHOLD) || 0.8;
+const NOT_IN_KNOWLEDGE_BASE_PATTERN =
+  /\b(?:not (?:available|found|included|mentioned|covered) in|(?:is not|isn't) in) the knowledge base\b|\bknowledge base (?:does not|doesn't) (?:contain|include|mention|cover)\b/i;
+const MAX_TOPIC_EXAMPLES = 5;
+
+/**
+ * Log a RAG answer as a knowledge gap if it is one.
+ *
+ * @param {{
+ *   question: string,
+ *   retrievalQuery: string,
+ *   response: string,
+ *   confidence: 'high' | 'medium' | 'low',
+ *   sources: Array<{ score?: number }>,
+ *   userId?: string | null,
+ *   conversationId: string,
+ *   messageId: string,
+ * }} answer
+ * @returns {object | null} the stored gap, or null if the answer is not a gap
+ */
+function recordKnowledgeGap({
+  question,
+  retrievalQuery,
+  response,
+  confidence,
+  sources = [],
+  userId = null,
+  conversationId,
+  messageId,
+}) {
+  const reasons = [];
+  if (confidence === 'low') reasons.push('low_confidence');
+  if (NOT_IN_KNOWLEDGE_BASE_PATTERN.test(response || '')) reasons.push('not_in_knowledge_base');
+  if (!reasons.length) return null;
+
+  return knowledgeGapStore.record({
+    question,
+    retrievalQuery: retrievalQuery || question,
+    reasons,
+    confidence,
+    maxScore: sources.length ? Math.max(...sources.map((s) => s.score || 0)) : 0,
+    userId,
+    conversationId,
+    messageId,
+  });
+}
+
+/**
+ * The most frequently asked unanswered topics.
+ *
+ * Gaps are clustered greedily, oldest first: each joins the topic whose centroid is most similar,
+ * if that reaches the threshold, and otherwise starts a new topic. A topic is labelled with its
+ * question closest to the centroid.
+ *
+ * @param {{ from?: string, to?: string, threshold?: number, limit?: number }} [options]
+ * @returns {Promise<{
+ *   total: number,
+ *   topics: Array<{
+ *     label: string,
+ *     count: number,
+ *     users: number,
+ *     reasons: { low_confidence: number, not_in_knowledge_base: number },
+ *     firstAskedAt: string,
+ *     lastAskedAt: string,
+ *     examples: string[],
+ *   }>,
+ * }>} `total` is the number of gaps in the date range; topics are most frequent first.
+ */
+async function findKnowledgeGapTopics({
+  from,
+  to,
+  threshold = KNOWLEDGE_GAP_SIMILARITY_THRESHOLD,
+  limit = 20,
+} = {}) {
+  const stored = knowledgeGapStore.list({ from, to });
+  const embeddings = stored.length ? await generateEmbedding(stored.map((gap) => gap.retrievalQuery)) : [];
+  const gaps = stored.map((gap, idx) => ({ ...gap, embedding: normalize(embeddings[idx]) }));
+  const clusters = [];
+
+  gaps.forEach((gap) => {
+    let best = null;
+    let bestScore = threshold;
+    clusters.forEach((cluster) => {
+      const score = similarity(gap.embedding, cluster.centroid);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    });
+
+    if (best) {
+      best.gaps.push(gap);
+      // Embeddings are normalized, so the running sum points along their mean.
+      gap.embedding.forEach((x, i) => {
+        best.sum[i] += x;
+      });
+      best.centroid = normalize(best.sum);
+    } else {
+      clusters.push({ gaps: [gap], sum: gap.embedding.slice(), centroid: gap.embedding });
+    }
+  });
+
+  const topics = clusters.map(({ gaps: members, centroid }) => {
+    const label = members.reduce((closest, gap) =>
+      similarity(gap.embedding, centroid) > similarity(closest.embedding, centroid) ? gap : closest
+    ).retrievalQuery;
+
+    // Distinct questions, most recent first.
+    const examples = [];
+    const seen = new Set();
+    for (let i = members.length - 1; i >= 0 && examples.length < MAX_TOPIC_EXAMPLES; i -= 1) {
+      const key = members[i].retrievalQuery.trim().toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        examples.push(members[i].retrievalQuery);
+      }
+    }
+
+    return {
+      label,
+      count: members.length,
+      users: new Set(members.map((gap) => gap.userId)).size,
+      reasons: {
+        low_confidence: members.filter((gap) => gap.reasons.includes('low_confidence')).length,
+        not_in_knowledge_base: members.filter((gap) => gap.reasons.includes('not_in_knowledge_base')).length,
+      },
+      firstAskedAt: members[0].createdAt,
+      lastAskedAt: members[members.length - 1].createdAt,
+      examples,
+    };
+  });
+
+  return {
+    total: gaps.length,
+    topics: topics
+      .sort((a, b) => b.count - a.count || b.lastAskedAt.localeCompare(a.lastAskedAt))
+      .slice(0, limit),
+  };
+}
+
+module.exports = {
+  KNOWLEDGE_GAP_SIMILARITY_THRESHOLD,
+  recordKnowledgeGap,
+  findKnowledgeGapTopics,
+};
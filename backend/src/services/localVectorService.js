@@ -0,0 +1,244 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { matchesFilter } = require('../utils/metadataFilter');
+const { logger } = require('../utils/logger');
+const { CoalescedFileWriter } = require('../utils/fileWriter');
+
+const log = logger.child({ module: 'services/localVectorService' });
+
+const LOCAL_VECTOR_STORE_PATH = path.resolve(
+  process.env.LOCAL_VECTOR_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'vectors.json')
+);
+
+/**
+ * Local, file-backed vector store using brute-force cosine similarity.
+ *
+ * Records are held in memory and persisted to a single JSON file after every change.
+ * Intended for development, tests and air-gapped deployments with modest corpora
+ * (tens of thousands of vectors); use Pinecone for anything larger.
+ *
+ * File format:
+ * { "records": [{ "id": string, "values": number[], "metadata": object }] }
+ */
+
+let records = null;
+let loading = null;
+
+const writer = new CoalescedFileWriter(LOCAL_VECTOR_STORE_PATH, () =>
+  JSON.stringify({
+    records: Array.from(records.entries()).map(([id, r]) => ({ id, values: r.values, metadata: r.metadata })),
+  })
+);
+
+async function load() {
+  if (records) return records;
+  if (!loading) {
+    loading = (async () => {
+      const map = new Map();
+      try {
+        const raw = await fs.readFile(LOCAL_VECTOR_STORE_PATH, 'utf8');
+        const parsed = JSON.parse(raw);
+        (parsed.records || []).forEach((r) => {
+          map.set(r.id, { values: r.values, metadata: r.metadata || {} });
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to load local vector store: ${error.message || error}`);
+        }
+      }
+      records = map;
+      return records;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+function persist() {
+  return writer.write();
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Check that the store file can be loaded.
+ * @returns {Promise<{ status: 'connected' | 'disconnected', path: string }>}
+ */
+async function checkHealth() {
+  try {
+    await load();
+    return { status: 'connected', path: LOCAL_VECTOR_STORE_PATH };
+  } catch (error) {
+    log.error('Local vector store health check failed', { error });
+    return { status: 'disconnected', path: LOCAL_VECTOR_STORE_PATH };
+  }
+}
+
+/**
+ * @returns {Promise<{ totalRecordCount: number, dimension: number | null }>}
+ */
+async function getStats() {
+  const store = await load();
+  const first = store.values().next().value;
+  return {
+    totalRecordCount: store.size,
+    dimension: first ? first.values.length : null,
+  };
+}
+
+/**
+ * Upsert a document.
+ *
+ * @param {string} id
+ * @param {string} text
+ * @param {number[]} embedding
+ * @param {object} metadata - Same fields as `pineconeService.upsertDocument`.
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function upsertDocument(id, text, embedding, metadata = {}) {
+  const store = await load();
+
+  const fullMetadata = {
+    text,
+    category: metadata.category || 'general',
+    timestamp: metadata.timestamp || new Date().toISOString(),
+    source: metadata.source || 'manual',
+  };
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (fullMetadata[key] === undefined && value !== undefined && value !== null) {
+      fullMetadata[key] = value;
+    }
+  });
+
+  store.set(id, { values: embedding, metadata: fullMetadata });
+  await persist();
+  return { success: true };
+}
+
+/**
+ * Merge metadata into an existing record without touching its vector.
+ * Null and undefined values are skipped, as in pineconeService.
+ *
+ * @param {string} id
+ * @param {object} metadata
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function updateMetadata(id, metadata) {
+  const store = await load();
+  const record = store.get(id);
+  if (!record) return { success: false };
+
+  Object.entries(metadata).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      record.metadata[key] = value;
+    }
+  });
+  await persist();
+  return { success: true };
+}
+
+/**
+ * Search for similar documents.
+ *
+ * @param {number[]} queryEmbedding
+ * @param {number} [topK=5]
+ * @param {object | null} [filter] - Normalized filter, see utils/metadataFilter.js.
+ * @returns {Promise<Array<{ id: string, score: number, metadata: any }>>}
+ */
+async function searchSimilar(queryEmbedding, topK = 5, filter = null) {
+  const store = await load();
+  const matches = [];
+
+  store.forEach((record, id) => {
+    if (!matchesFilter(record.metadata, filter)) return;
+    matches.push({ id, score: cosineSimilarity(queryEmbedding, record.values), metadata: record.metadata });
+  });
+
+  matches.sort((a, b) => b.score - a.score);
+  return matches.slice(0, topK);
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function deleteDocument(id) {
+  const store = await load();
+  if (store.delete(id)) {
+    await persist();
+  }
+  return { success: true };
+}
+
+/**
+ * Delete every record whose id starts with the given prefix.
+ *
+ * @param {string} prefix
+ * @returns {Promise<{ success: boolean, deleted: number }>}
+ */
+async function deleteByPrefix(prefix) {
+  const store = await load();
+  const ids = Array.from(store.keys()).filter((id) => id.startsWith(prefix));
+  ids.forEach((id) => store.delete(id));
+  if (ids.length) {
+    await persist();
+  }
+  return { success: true, deleted: ids.length };
+}
+
+/**
+ * Fetch records by id, with their vectors. Unknown ids are skipped.
+ *
+ * @param {string[]} ids
+ * @returns {Promise<Array<{ id: string, values: number[], metadata: object }>>}
+ */
+async function fetchDocuments(ids) {
+  const store = await load();
+  return ids
+    .filter((id) => store.has(id))
+    .map((id) => ({ id, values: store.get(id).values, metadata: { ...store.get(id).metadata } }));
+}
+
+/**
+ * List all documents' metadata (admin view).
+ *
+ * @returns {Promise<Array<any>>}
+ */
+async function listAllDocuments() {
+  const store = await load();
+  return Array.from(store.entries()).map(([id, record]) => ({ id, ...record.metadata }));
+}
+
+/**
+ * Filters are evaluated against the stored metadata directly, so there is nothing to backfill.
+ * @returns {Promise<{ updated: number }>}
+ */
+async function backfillFilterFields() {
+  return { updated: 0 };
+}
+
+module.exports = {
+  upsertDocument,
+  updateMetadata,
+  searchSimilar,
+  deleteDocument,
+  deleteByPrefix,
+  fetchDocuments,
+  listAllDocuments,
+  backfillFilterFields,
+  getStats,
+  checkHealth,
+};
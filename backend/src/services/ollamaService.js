@@ -1,36 +1,116 @@
+const path = require('path');
 const axios = require('axios');
+const EmbeddingCache = require('../utils/embeddingCache');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { logger } = require('../utils/logger');
+const { observeDependency, recordEmbeddingCacheLookups } = require('../utils/metrics');
+const { CircuitOpenError, callDependency, getCircuitBreaker, withRetry } = require('../utils/resilience');
+
+const log = logger.child({ module: 'services/ollamaService' });
 
 const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
 
+// Requests time out after OLLAMA_TIMEOUT_MS (embedding batches after OLLAMA_EMBED_TIMEOUT_MS; streamed
+// chat has none). Calls go through the 'ollama' circuit breaker and are attempted up to
+// OLLAMA_RETRY_ATTEMPTS times, see utils/resilience.js.
+const OLLAMA_TIMEOUT_MS = parseInt(process.env.OLLAMA_TIMEOUT_MS, 10) || 30_000;
+const OLLAMA_EMBED_TIMEOUT_MS = parseInt(process.env.OLLAMA_EMBED_TIMEOUT_MS, 10) || 120_000;
+const OLLAMA_RETRY_ATTEMPTS = parseInt(process.env.OLLAMA_RETRY_ATTEMPTS, 10) || 2;
+
 const http = axios.create({
   baseURL: OLLAMA_BASE_URL,
-  timeout: 30_000,
+  timeout: OLLAMA_TIMEOUT_MS,
 });
+const breaker = getCircuitBreaker('ollama');
 
 /**
- * Generate a chat response from Ollama using the llama3.2 model.
- *
- * @param {string} prompt - System prompt and context for the assistant.
- * @param {Array<{ role: 'user' | 'assistant' | 'system', content: string }>} conversationHistory - Prior messages.
- * @returns {Promise<string>} - The generated response text.
+ * @template T
+ * @param {string} operation
+ * @param {() => Promise<T>} request
+ * @returns {Promise<T>}
+ */
+function callOllama(operation, request) {
+  return callDependency('ollama', operation, request, { attempts: OLLAMA_RETRY_ATTEMPTS });
+}
+
+const CHAT_MODEL = process.env.OLLAMA_CHAT_MODEL || 'llama3.2';
+const EMBEDDING_MODEL = process.env.OLLAMA_EMBED_MODEL || 'nomic-embed-text';
+const DEFAULT_TEMPERATURE = Number.isFinite(parseFloat(process.env.OLLAMA_TEMPERATURE))
+  ? parseFloat(process.env.OLLAMA_TEMPERATURE)
+  : 0.7;
+const NUM_PREDICT = parseInt(process.env.OLLAMA_NUM_PREDICT, 10) || 2000;
+
+// Texts per /api/embed request, and how many embedding requests may be in flight at once.
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 32;
+const EMBEDDING_CONCURRENCY = parseInt(process.env.EMBEDDING_CONCURRENCY, 10) || 4;
+// Cleared the first time Ollama answers /api/embed with a 404 (versions before 0.3).
+let batchEmbedSupported = true;
+
+// EMBEDDING_CACHE_SIZE=0 disables the cache; without EMBEDDING_CACHE_PATH it is memory-only.
+const embeddingCache = new EmbeddingCache({
+  maxEntries: parseInt(process.env.EMBEDDING_CACHE_SIZE ?? '5000', 10) || 0,
+  filePath: process.env.EMBEDDING_CACHE_PATH ? path.resolve(process.env.EMBEDDING_CACHE_PATH) : null,
+});
+
+// Installed models are cached briefly so validating per-request overrides doesn't hit Ollama every time.
+const MODEL_CACHE_MS = 60_000;
+let modelCache = null;
+
+/**
+ * Build the model and options for a chat request, applying per-request overrides.
+ * @param {{ model?: string, temperature?: number }} [overrides]
  */
-async function generateResponse(prompt, conversationHistory = []) {
-  const historyText = (conversationHistory || [])
-    .map((m) => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
-    .join('\n');
+function generationParams({ model, temperature } = {}) {
+  return {
+    model: model || CHAT_MODEL,
+    options: {
+      temperature: temperature ?? DEFAULT_TEMPERATURE,
+      num_predict: NUM_PREDICT,
+    },
+  };
+}
 
-  const fullPrompt = `${prompt}\n\nConversation so far:\n${historyText}\n\nAssistant:`;
+/**
+ * Reduce messages to the fields Ollama's /api/chat accepts (stored messages also carry ids,
+ * sources, citations, ...).
+ * @param {Array<{ role: string, content: string }>} messages
+ */
+function toChatMessages(messages) {
+  return (messages || []).map(({ role, content }) => ({ role, content: String(content ?? '') }));
+}
 
+/**
+ * Token counts from a final (`done`) Ollama chat response; null where Ollama didn't report them.
+ * @returns {{ promptTokens: number | null, completionTokens: number | null }}
+ */
+function tokenUsage(data) {
+  return {
+    promptTokens: data?.prompt_eval_count ?? null,
+    completionTokens: data?.eval_count ?? null,
+  };
+}
+
+/**
+ * Generate a chat response from Ollama's /api/chat using the configured chat model (OLLAMA_CHAT_MODEL).
+ *
+ * @param {Array<{ role: 'user' | 'assistant' | 'system', content: string }>} messages - The full
+ *   conversation to answer, typically a system message, prior turns and the new user message.
+ * @param {{
+ *   model?: string,
+ *   temperature?: number,
+ *   onUsage?: (usage: { promptTokens: number | null, completionTokens: number | null }) => void,
+ * }} [overrides] - Per-request model and temperature; `onUsage` receives the token counts.
+ * @returns {Promise<string>} - The generated response text.
+ */
+async function generateResponse(messages, overrides = {}) {
   try {
-    const response = await http.post('/api/generate', {
-      model: 'llama3.2',
-      prompt: fullPrompt,
-      stream: false,
-      options: {
-        temperature: 0.7,
-        num_predict: 2000,
-      },
-    });
+    const response = await callOllama('chat', () =>
+      http.post('/api/chat', {
+        ...generationParams(overrides),
+        messages: toChatMessages(messages),
+        stream: false,
+      })
+    );
 
     const data = response.data;
 
@@ -38,81 +118,280 @@ async function generateResponse(prompt, conversationHistory = []) {
       throw new Error('Empty response from Ollama.');
     }
 
-    // Non-streaming generate returns a single object with response text in `response` or `output`.
-    const text = data.response || data.output || data.message || '';
+    // Non-streaming chat returns a single object with the reply in `message.content`.
+    const text = data.message?.content || '';
 
     if (!text) {
       throw new Error('No text content returned from Ollama.');
     }
 
+    overrides.onUsage?.(tokenUsage(data));
     return text;
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Ollama generateResponse error:', error.message || error);
+    if (error instanceof CircuitOpenError) throw error;
+    log.error('Ollama generateResponse error', { error });
+    throw new Error('Failed to generate response from Ollama.');
+  }
+}
+
+/**
+ * Stream a chat response from Ollama token-by-token.
+ *
+ * Ollama streams newline-delimited JSON objects, each carrying a `message.content` fragment,
+ * with a final object flagged `done: true`.
+ *
+ * @param {Array<{ role: 'user' | 'assistant' | 'system', content: string }>} messages - As for generateResponse.
+ * @param {{
+ *   onToken?: (token: string) => void,
+ *   onUsage?: (usage: { promptTokens: number | null, completionTokens: number | null }) => void,
+ *   signal?: AbortSignal,
+ *   model?: string,
+ *   temperature?: number,
+ * }} [options] - `onUsage` receives the token counts from the final object.
+ * @returns {Promise<string>} - The full generated response text once the stream completes.
+ */
+async function generateResponseStream(messages, { onToken, onUsage, signal, model, temperature } = {}) {
+  try {
+    // Timed until the stream completes, so the duration covers the whole generation. Only opening the
+    // stream goes through the breaker and retries: once tokens have been sent it can't be retried.
+    return await observeDependency('ollama', 'chat_stream', async () => {
+      const response = await breaker.execute(() =>
+        withRetry(
+          () =>
+            http.post(
+              '/api/chat',
+              {
+                ...generationParams({ model, temperature }),
+                messages: toChatMessages(messages),
+                stream: true,
+              },
+              {
+                responseType: 'stream',
+                // Generation can legitimately run longer than the default timeout once tokens are flowing.
+                timeout: 0,
+                signal,
+              }
+            ),
+          { dependency: 'ollama', operation: 'chat_stream', attempts: OLLAMA_RETRY_ATTEMPTS }
+        )
+      );
+
+      let text = '';
+      let buffer = '';
+
+      const handleLine = (line) => {
+        if (!line.trim()) return;
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new Error(chunk.error);
+        }
+        const token = chunk.message?.content;
+        if (token) {
+          text += token;
+          onToken?.(token);
+        }
+        if (chunk.done) {
+          onUsage?.(tokenUsage(chunk));
+        }
+      };
+
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const data of response.data) {
+        buffer += data.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+      }
+      handleLine(buffer);
+
+      if (!text) {
+        throw new Error('No text content returned from Ollama.');
+      }
+
+      return text;
+    });
+  } catch (error) {
+    if (signal?.aborted || error instanceof CircuitOpenError) {
+      throw error;
+    }
+    log.error('Ollama generateResponseStream error', { error });
     throw new Error('Failed to generate response from Ollama.');
   }
 }
 
 /**
- * Generate embeddings for one or more texts using the nomic-embed-text model.
+ * Embed texts with Ollama's batch /api/embed endpoint, falling back to one /api/embeddings call
+ * per text on Ollama versions that predate it. Batches (or single texts) run EMBEDDING_CONCURRENCY
+ * at a time.
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ */
+async function embedUncached(texts) {
+  if (batchEmbedSupported) {
+    const batches = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      batches.push(texts.slice(i, i + EMBEDDING_BATCH_SIZE));
+    }
+
+    try {
+      const results = await mapWithConcurrency(batches, EMBEDDING_CONCURRENCY, async (batch) => {
+        const response = await callOllama('embed', () =>
+          http.post('/api/embed', { model: EMBEDDING_MODEL, input: batch }, { timeout: OLLAMA_EMBED_TIMEOUT_MS })
+        );
+        const embeddings = response.data?.embeddings;
+        if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+          throw new Error('Invalid batch embedding response from Ollama.');
+        }
+        return embeddings;
+      });
+      return results.flat();
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      log.warn('Ollama has no /api/embed endpoint; embedding one text per request.');
+      batchEmbedSupported = false;
+    }
+  }
+
+  return mapWithConcurrency(texts, EMBEDDING_CONCURRENCY, async (t) => {
+    const response = await callOllama('embeddings', () =>
+      http.post('/api/embeddings', {
+        model: EMBEDDING_MODEL,
+        prompt: t,
+      })
+    );
+    if (!response.data?.embedding) {
+      throw new Error('Invalid embedding response from Ollama.');
+    }
+    return response.data.embedding;
+  });
+}
+
+/**
+ * Generate embeddings for one or more texts using the configured embedding model (OLLAMA_EMBED_MODEL).
+ * Not overridable per request: stored vectors and queries must come from the same model.
+ *
+ * Cached vectors are reused (see EMBEDDING_CACHE_SIZE / EMBEDDING_CACHE_PATH); duplicate texts in
+ * one call are embedded once.
  *
  * @param {string | string[]} text - Single string or array of strings to embed.
- * @returns {Promise<number[][]>} - Array of embedding vectors (each ~384 dimensions).
+ * @returns {Promise<number[][]>} - Array of embedding vectors, in input order.
  */
 async function generateEmbedding(text) {
   const texts = Array.isArray(text) ? text : [text];
 
   try {
-    const embeddings = [];
-
-    // Ollama embeddings endpoint currently accepts a single prompt at a time.
-    // Loop over texts to provide simple batch support.
-    // In a real system you might parallelize these requests with Promise.all.
-    // Keeping sequential here for simplicity and to avoid overloading local Ollama.
-    // eslint-disable-next-line no-restricted-syntax
-    for (const t of texts) {
-      // eslint-disable-next-line no-await-in-loop
-      const response = await http.post('/api/embeddings', {
-        model: 'nomic-embed-text',
-        prompt: t,
-      });
-
-      const data = response.data;
+    const vectors = texts.map((t) => embeddingCache.get(EMBEDDING_MODEL, t));
+    const missing = Array.from(new Set(texts.filter((_t, idx) => !vectors[idx])));
+    recordEmbeddingCacheLookups(texts.length - missing.length, missing.length);
 
-      if (!data || !data.embedding) {
-        throw new Error('Invalid embedding response from Ollama.');
-      }
-
-      embeddings.push(data.embedding);
+    if (missing.length) {
+      const embedded = await embedUncached(missing);
+      const byText = new Map();
+      missing.forEach((t, idx) => {
+        byText.set(t, embedded[idx]);
+        embeddingCache.set(EMBEDDING_MODEL, t, embedded[idx]);
+      });
+      texts.forEach((t, idx) => {
+        if (!vectors[idx]) vectors[idx] = byText.get(t);
+      });
     }
 
-    return embeddings;
+    return vectors;
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Ollama generateEmbedding error:', error.message || error);
+    if (error instanceof CircuitOpenError) throw error;
+    log.error('Ollama generateEmbedding error', { error });
     throw new Error('Failed to generate embeddings from Ollama.');
   }
 }
 
 /**
- * Check connectivity to Ollama and list available models.
+ * Embedding cache counters for the health endpoint.
+ */
+function getEmbeddingCacheStats() {
+  return embeddingCache.stats();
+}
+
+/**
+ * Write pending embedding cache changes to disk (called on shutdown).
+ * @returns {Promise<void>}
+ */
+function flushEmbeddingCache() {
+  return embeddingCache.flush();
+}
+
+/**
+ * Check connectivity to Ollama and list available models. Bypasses the circuit breaker so the
+ * health endpoint reports Ollama's actual state.
  * @returns {Promise<{ status: 'connected' | 'disconnected', models: string[] }>}
  */
 async function checkOllama() {
   try {
-    const response = await http.get('/api/tags');
+    const response = await observeDependency('ollama', 'tags', () => http.get('/api/tags'));
     const models = (response.data?.models || []).map((m) => m.name || '').filter(Boolean);
     return { status: 'connected', models };
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Ollama health check failed:', error.message || error);
+    log.error('Ollama health check failed', { error });
     return { status: 'disconnected', models: [] };
   }
 }
 
+/**
+ * List installed models with their details. Cached for MODEL_CACHE_MS.
+ * @returns {Promise<Array<{ name: string, size: number, modifiedAt: string, family: string | null, parameterSize: string | null }>>}
+ */
+async function listModels() {
+  if (modelCache && Date.now() - modelCache.fetchedAt < MODEL_CACHE_MS) {
+    return modelCache.models;
+  }
+
+  const response = await callOllama('tags', () => http.get('/api/tags'));
+  const models = (response.data?.models || [])
+    .filter((m) => m.name)
+    .map((m) => ({
+      name: m.name,
+      size: m.size ?? null,
+      modifiedAt: m.modified_at ?? null,
+      family: m.details?.family ?? null,
+      parameterSize: m.details?.parameter_size ?? null,
+    }));
+
+  modelCache = { models, fetchedAt: Date.now() };
+  return models;
+}
+
+/**
+ * Whether a model is installed. Ollama reports untagged names as `name:latest`, so both forms match.
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+async function isModelInstalled(name) {
+  const models = await listModels();
+  return models.some((m) => m.name === name || m.name === `${name}:latest`);
+}
+
+/**
+ * Whether `name` is the embedding model (OLLAMA_EMBED_MODEL), in either its untagged or
+ * `:latest` form. It only produces vectors, so it can't answer chat requests.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isEmbeddingModel(name) {
+  const untagged = (model) => String(model).replace(/:latest$/, '');
+  return untagged(name) === untagged(EMBEDDING_MODEL);
+}
+
 module.exports = {
+  CHAT_MODEL,
+  EMBEDDING_MODEL,
+  DEFAULT_TEMPERATURE,
+  listModels,
+  isModelInstalled,
+  isEmbeddingModel,
   generateResponse,
+  generateResponseStream,
   generateEmbedding,
+  getEmbeddingCacheStats,
+  flushEmbeddingCache,
   checkOllama,
 };
 
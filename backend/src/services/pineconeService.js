@@ -1,8 +1,17 @@
 const { Pinecone } = require('@pinecone-database/pinecone');
+const { toPineconeFilter, sourceFileOf } = require('../utils/metadataFilter');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/pineconeService' });
 
 const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
 const PINECONE_INDEX_NAME = process.env.PINECONE_INDEX_NAME;
 
+// Retries, timeouts and the circuit breaker are applied by vectorStoreService.js.
+
+// Maximum number of ids per fetch request.
+const FETCH_BATCH_SIZE = 100;
+
 let pinecone = null;
 
 function getPineconeClient() {
@@ -34,25 +43,6 @@ function getIndex() {
   }
 }
 
-async function withRetry(fn, attempts = 3) {
-  let lastError;
-  // eslint-disable-next-line no-plusplus
-  for (let i = 0; i < attempts; i++) {
-    try {
-      // eslint-disable-next-line no-await-in-loop
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      const isLast = i === attempts - 1;
-      // eslint-disable-next-line no-console
-      console.error(`Pinecone operation failed (attempt ${i + 1}/${attempts}):`, error.message || error);
-      if (isLast) break;
-    }
-  }
-
-  throw lastError;
-}
-
 /**
  * Check connectivity to Pinecone.
  * @returns {Promise<{ status: 'connected' | 'disconnected', indexName: string | null }>}
@@ -63,46 +53,107 @@ async function checkPinecone() {
     await index.describeIndexStats();
     return { status: 'connected', indexName: PINECONE_INDEX_NAME || null };
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Pinecone health check failed:', error.message || error);
+    log.error('Pinecone health check failed', { error });
     return { status: 'disconnected', indexName: PINECONE_INDEX_NAME || null };
   }
 }
 
+/**
+ * Index statistics.
+ * @returns {Promise<{ totalRecordCount: number, dimension: number | null }>}
+ */
+async function getStats() {
+  const index = getIndex();
+  const stats = await index.describeIndexStats();
+  return {
+    totalRecordCount: stats.totalRecordCount ?? 0,
+    dimension: stats.dimension ?? null,
+  };
+}
+
+/**
+ * Metadata fields that only exist so filters can be expressed in Pinecone's syntax (see
+ * toPineconeFilter): a numeric copy of the timestamp for date ranges, and for source filters the
+ * uploaded file a section came from (the source itself for other documents).
+ * @param {{ timestamp?: string, source?: string }} metadata
+ * @returns {{ timestampMs?: number, sourceFile?: string }}
+ */
+function filterFields(metadata) {
+  const fields = {};
+  const timestampMs = Date.parse(metadata.timestamp);
+  if (Number.isFinite(timestampMs)) fields.timestampMs = timestampMs;
+  if (typeof metadata.source === 'string') fields.sourceFile = sourceFileOf(metadata.source);
+  return fields;
+}
+
 /**
  * Upsert a document into Pinecone.
  *
  * @param {string} id
  * @param {string} text
  * @param {number[]} embedding
- * @param {{ category?: string, timestamp?: string, source?: string }} metadata
+ * @param {{
+ *   category?: string,
+ *   timestamp?: string,
+ *   source?: string,
+ *   title?: string,
+ *   parentId?: string,
+ *   chunkIndex?: number,
+ *   chunkCount?: number,
+ *   section?: string,
+ * }} metadata
  * @returns {Promise<{ success: boolean }>}
  */
 async function upsertDocument(id, text, embedding, metadata = {}) {
-  return withRetry(async () => {
-    const index = getIndex();
+  const index = getIndex();
 
-    const nowIso = new Date().toISOString();
-
-    const fullMetadata = {
-      text,
-      category: metadata.category || 'general',
-      timestamp: metadata.timestamp || nowIso,
-      source: metadata.source || 'manual',
-    };
-
-    await index.upsert({
-      records: [
-        {
-          id,
-          values: embedding,
-          metadata: fullMetadata,
-        },
-      ],
-    });
+  const nowIso = new Date().toISOString();
+
+  const fullMetadata = {
+    text,
+    category: metadata.category || 'general',
+    timestamp: metadata.timestamp || nowIso,
+    source: metadata.source || 'manual',
+  };
+  Object.assign(fullMetadata, filterFields(fullMetadata));
+
+  // Pinecone rejects null metadata values, so optional chunk fields are only set when present.
+  ['title', 'parentId', 'chunkIndex', 'chunkCount', 'section', 'updatedAt'].forEach((key) => {
+    if (metadata[key] !== undefined && metadata[key] !== null) {
+      fullMetadata[key] = metadata[key];
+    }
+  });
 
-    return { success: true };
+  await index.upsert({
+    records: [
+      {
+        id,
+        values: embedding,
+        metadata: fullMetadata,
+      },
+    ],
   });
+
+  return { success: true };
+}
+
+/**
+ * Merge metadata into an existing record without touching its vector.
+ * Null and undefined values are skipped (Pinecone rejects them). Filter fields follow changes
+ * to `timestamp` and `source`.
+ *
+ * @param {string} id
+ * @param {object} metadata
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function updateMetadata(id, metadata) {
+  const index = getIndex();
+  const changes = Object.fromEntries(
+    Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null)
+  );
+  Object.assign(changes, filterFields(changes));
+  await index.update({ id, metadata: changes });
+  return { success: true };
 }
 
 /**
@@ -110,28 +161,28 @@ async function upsertDocument(id, text, embedding, metadata = {}) {
  *
  * @param {number[]} queryEmbedding
  * @param {number} [topK=5]
+ * @param {object | null} [filter] - Normalized filter, see utils/metadataFilter.js.
  * @returns {Promise<Array<{ id: string, score: number, metadata: any }>>}
  */
-async function searchSimilar(queryEmbedding, topK = 5) {
-  return withRetry(async () => {
-    const index = getIndex();
+async function searchSimilar(queryEmbedding, topK = 5, filter = null) {
+  const index = getIndex();
 
-    const result = await index.query({
-      vector: queryEmbedding,
-      topK,
-      includeMetadata: true,
-    });
+  const result = await index.query({
+    vector: queryEmbedding,
+    topK,
+    includeMetadata: true,
+    filter: toPineconeFilter(filter),
+  });
 
-    const matches = (result.matches || []).map((m) => ({
-      id: m.id,
-      score: m.score,
-      metadata: m.metadata || {},
-    }));
+  const matches = (result.matches || []).map((m) => ({
+    id: m.id,
+    score: m.score,
+    metadata: m.metadata || {},
+  }));
 
-    matches.sort((a, b) => (b.score || 0) - (a.score || 0));
+  matches.sort((a, b) => (b.score || 0) - (a.score || 0));
 
-    return matches;
-  });
+  return matches;
 }
 
 /**
@@ -141,48 +192,141 @@ async function searchSimilar(queryEmbedding, topK = 5) {
  * @returns {Promise<{ success: boolean }>}
  */
 async function deleteDocument(id) {
-  return withRetry(async () => {
-    const index = getIndex();
-    await index.deleteOne(id);
-    return { success: true };
-  });
+  const index = getIndex();
+  await index.deleteOne(id);
+  return { success: true };
+}
+
+/**
+ * Delete every record whose id starts with the given prefix.
+ * Used to remove all chunks of a document (ids of the form `<parentId>#<chunkIndex>`).
+ *
+ * @param {string} prefix
+ * @returns {Promise<{ success: boolean, deleted: number }>}
+ */
+async function deleteByPrefix(prefix) {
+  const index = getIndex();
+  const ids = [];
+
+  let paginationToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await index.listPaginated({ prefix, paginationToken });
+    (page.vectors || []).forEach((v) => ids.push(v.id));
+    paginationToken = page.pagination?.next;
+  } while (paginationToken);
+
+  if (ids.length) {
+    await index.deleteMany(ids);
+  }
+
+  return { success: true, deleted: ids.length };
 }
 
 /**
- * List all documents' metadata from the index (admin view).
+ * Fetch records by id, with their vectors. Unknown ids are skipped.
+ *
+ * @param {string[]} ids
+ * @returns {Promise<Array<{ id: string, values: number[], metadata: object }>>}
+ */
+async function fetchDocuments(ids) {
+  const index = getIndex();
+  const found = [];
+
+  for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+    // eslint-disable-next-line no-await-in-loop
+    const { records } = await index.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+    Object.values(records || {}).forEach((record) => {
+      found.push({ id: record.id, values: record.values, metadata: record.metadata || {} });
+    });
+  }
+  return found;
+}
+
+/**
+ * List all documents' metadata from the index (admin view, keyword index rebuild).
+ *
+ * Pinecone's list operation only returns ids, so metadata is fetched in batches.
  *
  * @returns {Promise<Array<any>>}
  */
 async function listAllDocuments() {
-  return withRetry(async () => {
-    const index = getIndex();
-    const allMetadata = [];
+  const index = getIndex();
+  const allMetadata = [];
 
-    const paginator = index.listPaginated();
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
+  let paginationToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await index.listPaginated({ paginationToken });
+    const ids = (page.vectors || []).map((v) => v.id);
+
+    for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
       // eslint-disable-next-line no-await-in-loop
-      const { vectors, done } = await paginator.next();
-      if (vectors && Array.isArray(vectors)) {
-        vectors.forEach((v) => {
-          allMetadata.push({
-            id: v.id,
-            ...(v.metadata || {}),
-          });
+      const { records } = await index.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+      Object.values(records || {}).forEach((record) => {
+        allMetadata.push({
+          id: record.id,
+          ...(record.metadata || {}),
         });
+      });
+    }
+
+    paginationToken = page.pagination?.next;
+  } while (paginationToken);
+
+  return allMetadata;
+}
+
+/**
+ * Add the filter fields (see filterFields) to records stored before they existed, which
+ * source and date filters would otherwise never match. Safe to run repeatedly.
+ *
+ * @returns {Promise<{ updated: number }>}
+ */
+async function backfillFilterFields() {
+  const index = getIndex();
+  let updated = 0;
+
+  let paginationToken;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const page = await index.listPaginated({ paginationToken });
+    const ids = (page.vectors || []).map((v) => v.id);
+
+    for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+      // eslint-disable-next-line no-await-in-loop
+      const { records } = await index.fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+      // eslint-disable-next-line no-restricted-syntax
+      for (const record of Object.values(records || {})) {
+        const metadata = record.metadata || {};
+        const missing = Object.fromEntries(
+          Object.entries(filterFields(metadata)).filter(([key, value]) => metadata[key] !== value)
+        );
+        if (Object.keys(missing).length) {
+          // eslint-disable-next-line no-await-in-loop
+          await index.update({ id: record.id, metadata: missing });
+          updated += 1;
+        }
       }
-      if (done) break;
     }
 
-    return allMetadata;
-  });
+    paginationToken = page.pagination?.next;
+  } while (paginationToken);
+
+  return { updated };
 }
 
 module.exports = {
   upsertDocument,
+  updateMetadata,
   searchSimilar,
   deleteDocument,
+  deleteByPrefix,
+  fetchDocuments,
   listAllDocuments,
+  backfillFilterFields,
+  getStats,
   checkPinecone,
+  checkHealth: checkPinecone,
 };
 
@@ -1,20 +1,91 @@
-const { generateEmbedding, generateResponse } = require('./ollamaService');
-const { searchSimilar } = require('./pineconeService');
+const { generateResponse, generateResponseStream } = require('./ollamaService');
+const { retrieve } = require('./retrievalService');
+const { rerank, dedupeChunks, fitToBudget } = require('./rerankService');
+const { extractCitations } = require('../utils/citations');
+const { estimateTokens } = require('../utils/textChunker');
+const { CircuitOpenError } = require('../utils/resilience');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/ragService' });
+
+// Candidates fetched from retrieval before reranking.
+const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES, 10) || 20;
+// At most this many chunks, totalling at most CONTEXT_TOKEN_BUDGET tokens, go into the prompt.
+const CONTEXT_MAX_CHUNKS = parseInt(process.env.CONTEXT_MAX_CHUNKS, 10) || 3;
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 1500;
+// Chunks whose term sets overlap at least this much (Jaccard) with a better one are dropped.
+const RERANK_DEDUP_THRESHOLD = parseFloat(process.env.RERANK_DEDUP_THRESHOLD) || 0.85;
+// Prior turns are sent newest first until this many (estimated) tokens are used.
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 1000;
+// Follow-up questions are rewritten into standalone search queries unless QUERY_REWRITE=false.
+const QUERY_REWRITE_ENABLED = process.env.QUERY_REWRITE !== 'false';
+// The rewrite prompt sees at most this many prior turns, each truncated to QUERY_REWRITE_TURN_CHARS.
+const QUERY_REWRITE_TURNS = 4;
+const QUERY_REWRITE_TURN_CHARS = 500;
+
+/**
+ * Describe where a retrieved chunk came from, e.g. `document "Leave Policy", section "Carry-over"`.
+ *
+ * @param {{ id: string, metadata?: any }} match
+ * @returns {string}
+ */
+function describeSource(match) {
+  const metadata = match.metadata || {};
+  const documentName = metadata.title || metadata.source || metadata.parentId || match.id;
+  const parts = [`document "${documentName}"`];
+
+  if (metadata.section) {
+    parts.push(`section "${metadata.section}"`);
+  }
+  if (metadata.chunkCount > 1) {
+    parts.push(`part ${metadata.chunkIndex + 1} of ${metadata.chunkCount}`);
+  }
+
+  return parts.join(', ');
+}
 
 /**
  * Retrieve relevant context documents for a user query.
  *
+ * Over-fetches RERANK_CANDIDATES candidates, reranks them, drops near-duplicates and keeps the
+ * best chunks that fit the context budget. Each document keeps its retrieval `score` and gains
+ * a `rerankScore`.
+ *
  * @param {string} userQuery
- * @param {number} [topK=3]
- * @returns {Promise<{ contextText: string, documents: Array<{ id: string, score: number, metadata: any }> }>}
+ * @param {{
+ *   topK?: number,
+ *   filter?: object | null,
+ *   mode?: 'vector' | 'keyword' | 'hybrid',
+ *   reranker?: string,
+ * }} [options] - `topK` caps the chunks returned (default CONTEXT_MAX_CHUNKS); `filter` is a normalized
+ *   metadata filter (utils/metadataFilter.js); `mode` the retrieval mode; `reranker` overrides RERANKER.
+ * @returns {Promise<{
+ *   contextText: string,
+ *   documents: Array<{ id: string, score: number, rerankScore: number, metadata: any }>,
+ *   timings: { embeddingMs: number | null, vectorSearchMs: number | null, rerankMs: number },
+ * }>} `timings` splits out query embedding and vector search (null in keyword mode) and reranking.
  */
-async function getRelevantContext(userQuery, topK = 3) {
-  const [queryEmbedding] = await generateEmbedding([userQuery]);
-  const matches = await searchSimilar(queryEmbedding, topK);
+async function getRelevantContext(userQuery, { topK = CONTEXT_MAX_CHUNKS, filter = null, mode, reranker } = {}) {
+  let retrievalTimings = { embeddingMs: null, vectorSearchMs: null };
+  const candidates = await retrieve(userQuery, {
+    topK: Math.max(RERANK_CANDIDATES, topK),
+    filter,
+    mode,
+    onTimings: (reported) => {
+      retrievalTimings = reported;
+    },
+  });
+  const rerankStart = Date.now();
+  const reranked = await rerank(userQuery, candidates, { reranker });
+  const rerankMs = Date.now() - rerankStart;
+  const matches = fitToBudget(dedupeChunks(reranked, RERANK_DEDUP_THRESHOLD), {
+    maxChunks: topK,
+    tokenBudget: CONTEXT_TOKEN_BUDGET,
+  });
 
   const contextParts = matches.map((m, idx) => {
     const text = m.metadata?.text || '';
-    return `Source ${idx + 1} (score: ${m.score?.toFixed(3) ?? 'n/a'}):\n${text}`;
+    return `[${idx + 1}] ${describeSource(m)} (score: ${m.score?.toFixed(3) ?? 'n/a'}):\n${text}`;
   });
 
   const contextText = contextParts.join('\n\n');
@@ -22,87 +93,353 @@ async function getRelevantContext(userQuery, topK = 3) {
   return {
     contextText,
     documents: matches,
+    timings: { ...retrievalTimings, rerankMs },
   };
 }
 
+const SYSTEM_INSTRUCTIONS =
+  'You are an enterprise AI assistant. Use the context documents below to answer questions accurately. ' +
+  "If the context doesn't contain the answer, say that the information is not available in the knowledge base " +
+  'and avoid making up facts. The context documents are numbered [1], [2], ...; after each statement that ' +
+  'uses one, cite it inline with its number in square brackets, e.g. "Employees get 25 days [2]." ' +
+  'Only cite numbers that appear in the context. Answer clearly and concisely. If you are unsure, say so explicitly.';
+
 /**
- * Generate a RAG response combining Pinecone retrieval and Ollama generation.
+ * The system message: instructions plus the retrieved context. This is the only place context
+ * enters the conversation sent to the model.
+ * @param {string} contextText
+ * @returns {{ role: 'system', content: string }}
+ */
+function buildSystemMessage(contextText) {
+  return {
+    role: 'system',
+    content: [SYSTEM_INSTRUCTIONS, '', 'Context documents:', contextText || '[No context available]'].join('\n'),
+  };
+}
+
+/**
+ * Pick the most recent prior turns that fit within `tokenBudget` estimated tokens. The window
+ * always starts on a user turn, so the model never sees an answer without its question.
+ *
+ * @param {Array<{ role: string, content: string }>} history - Oldest first.
+ * @param {number} tokenBudget
+ * @returns {Array<{ role: 'user' | 'assistant', content: string }>}
+ */
+function selectHistoryWindow(history, tokenBudget) {
+  const turns = (history || []).filter((m) => m.role === 'user' || m.role === 'assistant');
+  const window = [];
+  let used = 0;
+
+  for (let i = turns.length - 1; i >= 0; i -= 1) {
+    const tokens = estimateTokens(turns[i].content);
+    if (used + tokens > tokenBudget) break;
+    window.unshift(turns[i]);
+    used += tokens;
+  }
+
+  while (window.length && window[0].role !== 'user') {
+    window.shift();
+  }
+  return window;
+}
+
+/**
+ * Rewrite a follow-up question into a standalone search query using the preceding turns, so that
+ * "what about for contractors?" retrieves documents about the subject of the earlier question.
+ * The first question of a conversation is returned unchanged without a model call; so is the
+ * original question if rewriting fails.
+ *
+ * @param {string} userQuery
+ * @param {Array<{ role: string, content: string }>} conversationHistory - Prior messages, oldest first.
+ * @param {{ model?: string }} [options]
+ * @returns {Promise<string>}
+ */
+async function condenseQuery(userQuery, conversationHistory, { model } = {}) {
+  const turns = (conversationHistory || [])
+    .filter((m) => m.role === 'user' || m.role === 'assistant')
+    .slice(-QUERY_REWRITE_TURNS);
+  if (!QUERY_REWRITE_ENABLED || turns.length === 0) return userQuery;
+
+  const prompt = [
+    'Rewrite the follow-up question as a standalone search query that can be understood without the conversation.',
+    'Resolve pronouns and references such as "it", "that" or "what about ..." using the conversation.',
+    'If the question is already standalone, repeat it unchanged. Reply with the query only.',
+    '',
+    'Conversation:',
+    ...turns.map(
+      (m) =>
+        `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${String(m.content || '')
+          .slice(0, QUERY_REWRITE_TURN_CHARS)
+          .replace(/\s+/g, ' ')}`
+    ),
+    '',
+    `Follow-up question: ${userQuery}`,
+  ].join('\n');
+
+  try {
+    const raw = await generateResponse([{ role: 'user', content: prompt }], { model, temperature: 0 });
+    const rewritten = (raw.trim().split('\n')[0] || '')
+      .replace(/^(standalone\s+)?(search\s+)?(query|question)\s*:\s*/i, '')
+      .replace(/^["'`]+|["'`]+$/g, '')
+      .trim();
+    return rewritten || userQuery;
+  } catch (error) {
+    log.error('Query rewriting failed, using the original question', { error });
+    return userQuery;
+  }
+}
+
+/**
+ * How well the context documents match the query, from their best vector similarity. Keyword
+ * matches (keyword mode, or hybrid results without a vector score) only show which query terms a
+ * chunk contains, so on their own they give at most 'medium', when they cover every term.
+ *
+ * @param {Array<{ scores?: { vector?: number, coverage?: number } }>} documents
+ * @returns {'high' | 'medium' | 'low'}
+ */
+function retrievalConfidence(documents) {
+  const best = (key) => Math.max(0, ...documents.map((d) => d.scores?.[key] ?? 0));
+  const vector = best('vector');
+  if (vector >= 0.7) return 'high';
+  if (vector >= 0.4 || best('coverage') >= 1) return 'medium';
+  return 'low';
+}
+
+/**
+ * Retrieve context and assemble the chat messages for a user query:
+ * system (instructions + context), the recent history window, then the question.
+ * Retrieval uses the query as rewritten by condenseQuery; the model still sees the original question.
+ * Retrieval failures are logged and degrade to an empty context, with `retrievalFailed` set.
+ *
+ * @param {string} userQuery
+ * @param {Array<{ role: 'user' | 'assistant' | 'system', content: string }>} [conversationHistory=[]] - Prior
+ *   messages, oldest first, not including `userQuery`.
+ * @param {{ filter?: object | null, mode?: string, model?: string }} [options] - `filter` and `mode` are
+ *   passed to getRelevantContext; `model` is used for query rewriting.
+ * @returns {Promise<{
+ *   messages: Array<{ role: 'system' | 'user' | 'assistant', content: string }>,
+ *   rewrittenQuery: string,
+ *   documents: Array<any>,
+ *   confidence: 'high' | 'medium' | 'low',
+ *   retrievalFailed: boolean,
+ *   timings: {
+ *     rewriteMs: number, retrievalMs: number, embeddingMs: number | null, vectorSearchMs: number | null,
+ *     rerankMs: number | null,
+ *   },
+ * }>} `retrievalMs` covers all of retrieval; its stages are null if it failed (see getRelevantContext).
+ */
+async function prepareRAGMessages(userQuery, conversationHistory = [], { filter = null, mode, model } = {}) {
+  const rewriteStart = Date.now();
+  const rewrittenQuery = await condenseQuery(userQuery, conversationHistory, { model });
+  const retrievalStart = Date.now();
+  let contextResult = {
+    contextText: '',
+    documents: [],
+    timings: { embeddingMs: null, vectorSearchMs: null, rerankMs: null },
+  };
+  let retrievalFailed = false;
+
+  try {
+    contextResult = await getRelevantContext(rewrittenQuery, { filter, mode });
+  } catch (contextError) {
+    retrievalFailed = true;
+    log.error('Failed to retrieve context from vector store', { error: contextError });
+  }
+  const timings = {
+    rewriteMs: retrievalStart - rewriteStart,
+    retrievalMs: Date.now() - retrievalStart,
+    ...contextResult.timings,
+  };
+
+  const { contextText, documents } = contextResult;
+
+  const messages = [
+    buildSystemMessage(contextText),
+    ...selectHistoryWindow(conversationHistory, HISTORY_TOKEN_BUDGET),
+    { role: 'user', content: userQuery },
+  ];
+
+  return {
+    messages,
+    rewrittenQuery,
+    documents,
+    confidence: retrievalConfidence(documents),
+    retrievalFailed,
+    timings,
+  };
+}
+
+/**
+ * Validate the answer's inline citations against the context sources.
+ * @returns {{ response: string, sources: Array<any>, citations: Array<any> }}
+ */
+function withCitations(responseText, documents) {
+  const { text, citations } = extractCitations(responseText, documents);
+  return { response: text, sources: documents, citations };
+}
+
+/**
+ * Per-request metrics reported with every answer, for usage analytics. Durations are in
+ * milliseconds; token counts are null when Ollama doesn't report them. `retrievalMs` includes the
+ * query embedding (Ollama), vector search and rerank stages, which are also reported on their own
+ * (null when a stage didn't run).
+ * @typedef {{
+ *   rewriteMs: number,
+ *   retrievalMs: number,
+ *   embeddingMs: number | null,
+ *   vectorSearchMs: number | null,
+ *   rerankMs: number | null,
+ *   generationMs: number,
+ *   firstTokenMs?: number | null,
+ *   promptTokens: number | null,
+ *   completionTokens: number | null,
+ * }} RAGMetrics
+ */
+
+const RAG_ERROR_RESPONSE =
+  'I encountered an error while trying to answer that question using the knowledge base. ' +
+  'You may try again in a moment, or contact an administrator if the problem persists.';
+
+/**
+ * Generate a RAG response combining vector store retrieval and Ollama generation.
+ * Failures are answered with an apology, except a CircuitOpenError for Ollama, which is rethrown
+ * so the caller can report the outage.
  *
  * @param {string} userQuery
  * @param {Array<{ role: 'user' | 'assistant' | 'system', content: string }>} [conversationHistory=[]]
- * @returns {Promise<{ response: string, sources: Array<any>, confidence: 'high' | 'medium' | 'low' }>}
+ * @param {{ filter?: object | null, mode?: string, model?: string, temperature?: number }} [options]
+ *   - Retrieval metadata filter and mode, and generation model/temperature overrides.
+ * @returns {Promise<{
+ *   response: string,
+ *   sources: Array<any>,
+ *   citations: Array<{ number: number, sourceId: string, documentId: string, title: string | null }>,
+ *   confidence: 'high' | 'medium' | 'low',
+ *   rewrittenQuery: string | null,
+ *   retrievalFailed: boolean,
+ *   metrics: RAGMetrics | null,
+ * }>} `rewrittenQuery` is the query used for retrieval; it and `metrics` are null if the request failed.
+ *   `retrievalFailed` is set when the answer was generated without context because retrieval failed.
  */
-async function generateRAGResponse(userQuery, conversationHistory = []) {
+async function generateRAGResponse(
+  userQuery,
+  conversationHistory = [],
+  { filter = null, mode, model, temperature } = {}
+) {
   try {
-    let contextResult = { contextText: '', documents: [] };
-
-    try {
-      contextResult = await getRelevantContext(userQuery, 3);
-    } catch (contextError) {
-      // eslint-disable-next-line no-console
-      console.error('Failed to retrieve context from Pinecone:', contextError.message || contextError);
-    }
-
-    const { contextText, documents } = contextResult;
-
-    const systemPrompt =
-      'You are an enterprise AI assistant. Use the following context to answer questions accurately. ' +
-      "If the context doesn't contain the answer, say that the information is not available in the knowledge base " +
-      'and avoid making up facts.';
-
-    const historyTail = (conversationHistory || []).slice(-5);
-
-    const ragPromptParts = [
-      `System: ${systemPrompt}`,
-      '',
-      'Context documents:',
-      contextText || '[No context available]',
-      '',
-      'Recent conversation:',
-      historyTail
-        .map((m) => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
-        .join('\n') || '[No previous conversation]',
-      '',
-      `User question: ${userQuery}`,
-      '',
-      'Answer clearly and concisely. If you are unsure, say so explicitly.',
-    ];
-
-    const ragPrompt = ragPromptParts.join('\n');
-
-    const responseText = await generateResponse(ragPrompt, historyTail);
-
-    const scores = documents.map((d) => d.score || 0);
-    const maxScore = scores.length ? Math.max(...scores) : 0;
-
-    let confidence = 'low';
-    if (maxScore >= 0.7) {
-      confidence = 'high';
-    } else if (maxScore >= 0.4) {
-      confidence = 'medium';
-    }
+    const { messages, rewrittenQuery, documents, confidence, retrievalFailed, timings } = await prepareRAGMessages(
+      userQuery,
+      conversationHistory,
+      { filter, mode, model }
+    );
+
+    let usage = { promptTokens: null, completionTokens: null };
+    const generationStart = Date.now();
+    const responseText = await generateResponse(messages, {
+      model,
+      temperature,
+      onUsage: (reported) => {
+        usage = reported;
+      },
+    });
 
     return {
-      response: responseText,
-      sources: documents,
+      ...withCitations(responseText, documents),
       confidence,
+      rewrittenQuery,
+      retrievalFailed,
+      metrics: { ...timings, generationMs: Date.now() - generationStart, ...usage },
     };
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('RAG generation error:', error.message || error);
+    if (error instanceof CircuitOpenError) throw error;
+    log.error('RAG generation error', { error });
 
     return {
-      response:
-        'I encountered an error while trying to answer that question using the knowledge base. ' +
-        'You may try again in a moment, or contact an administrator if the problem persists.',
+      response: RAG_ERROR_RESPONSE,
       sources: [],
+      citations: [],
       confidence: 'low',
+      rewrittenQuery: null,
+      retrievalFailed: false,
+      metrics: null,
     };
   }
 }
 
+/**
+ * Stream a RAG response. Sources and confidence are reported through `onContext` before
+ * generation starts, then each generated token is passed to `onToken`.
+ *
+ * Unlike `generateRAGResponse`, generation errors are not swallowed so the caller can
+ * report them on the open stream. Streamed tokens are raw model output; the returned
+ * `response` has its citations validated, like `generateRAGResponse`.
+ *
+ * @param {string} userQuery
+ * @param {Array<{ role: 'user' | 'assistant' | 'system', content: string }>} [conversationHistory=[]]
+ * @param {{
+ *   onContext?: (context: {
+ *     sources: Array<any>,
+ *     confidence: 'high' | 'medium' | 'low',
+ *     rewrittenQuery: string,
+ *   }) => void,
+ *   onToken?: (token: string) => void,
+ *   signal?: AbortSignal,
+ *   filter?: object | null,
+ *   mode?: 'vector' | 'keyword' | 'hybrid',
+ *   model?: string,
+ *   temperature?: number,
+ * }} [options]
+ * @returns {Promise<{
+ *   response: string,
+ *   sources: Array<any>,
+ *   citations: Array<any>,
+ *   confidence: 'high' | 'medium' | 'low',
+ *   rewrittenQuery: string,
+ *   retrievalFailed: boolean,
+ *   metrics: RAGMetrics,
+ * }>} `metrics.firstTokenMs` is the time from the start of generation to the first token; `retrievalFailed`
+ *   as for generateRAGResponse.
+ */
+async function streamRAGResponse(
+  userQuery,
+  conversationHistory = [],
+  { onContext, onToken, signal, filter = null, mode, model, temperature } = {}
+) {
+  const { messages, rewrittenQuery, documents, confidence, retrievalFailed, timings } = await prepareRAGMessages(
+    userQuery,
+    conversationHistory,
+    { filter, mode, model }
+  );
+
+  onContext?.({ sources: documents, confidence, rewrittenQuery });
+
+  let usage = { promptTokens: null, completionTokens: null };
+  let firstTokenMs = null;
+  const generationStart = Date.now();
+  const responseText = await generateResponseStream(messages, {
+    onToken: (token) => {
+      if (firstTokenMs === null) firstTokenMs = Date.now() - generationStart;
+      onToken?.(token);
+    },
+    onUsage: (reported) => {
+      usage = reported;
+    },
+    signal,
+    model,
+    temperature,
+  });
+
+  return {
+    ...withCitations(responseText, documents),
+    confidence,
+    rewrittenQuery,
+    retrievalFailed,
+    metrics: { ...timings, generationMs: Date.now() - generationStart, firstTokenMs, ...usage },
+  };
+}
+
 module.exports = {
   getRelevantContext,
   generateRAGResponse,
+  streamRAGResponse,
 };
 
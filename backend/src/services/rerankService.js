@@ -0,0 +1,202 @@
+const { generateResponse } = require('./ollamaService');
+const { tokenize } = require('./keywordIndexService');
+const { estimateTokens } = require('../utils/textChunker');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/rerankService' });
+
+/**
+ * Second-stage ranking of retrieved candidates before they go into the prompt.
+ *
+ * A reranker is `async (query, candidates) => number[]`, returning one relevance score in [0, 1]
+ * per candidate (same order). RERANKER selects the default:
+ *   lexical (default) - query-term and bigram overlap blended with the retrieval score; fast,
+ *                       deterministic, works offline
+ *   llm               - one Ollama call scoring all candidates; slower, understands paraphrase
+ *   none              - keep the retrieval order (scores are the retrieval scores)
+ */
+
+// Passages are truncated to this many characters in the LLM scoring prompt.
+const LLM_PASSAGE_CHARS = 800;
+
+// Share of the lexical reranker's score taken from the retrieval score; the rest is term overlap.
+const LEXICAL_RETRIEVAL_WEIGHT = 0.5;
+
+function bigrams(terms) {
+  const pairs = new Set();
+  for (let i = 0; i < terms.length - 1; i += 1) {
+    pairs.add(`${terms[i]} ${terms[i + 1]}`);
+  }
+  return pairs;
+}
+
+/**
+ * Fraction of distinct query terms found in the passage, with a bonus for query bigrams that
+ * appear verbatim (rewards phrases over scattered words).
+ */
+function termOverlap(queryUnigrams, queryBigrams, text) {
+  const passageTerms = tokenize(text);
+  const passageUnigrams = new Set(passageTerms);
+  const passageBigrams = bigrams(passageTerms);
+
+  const unigramHits = Array.from(queryUnigrams).filter((t) => passageUnigrams.has(t)).length;
+  const unigramScore = unigramHits / queryUnigrams.size;
+  if (queryBigrams.size === 0) return unigramScore;
+
+  const bigramHits = Array.from(queryBigrams).filter((b) => passageBigrams.has(b)).length;
+  return 0.7 * unigramScore + 0.3 * (bigramHits / queryBigrams.size);
+}
+
+/**
+ * Blend term overlap with the candidate's retrieval score, so overlap reorders close calls
+ * without discarding the semantic ranking.
+ */
+async function lexicalReranker(query, candidates) {
+  const queryTerms = tokenize(query);
+  const queryUnigrams = new Set(queryTerms);
+  const queryBigrams = bigrams(queryTerms);
+
+  return candidates.map((candidate) => {
+    const retrieval = Math.min(Math.max(candidate.score ?? 0, 0), 1);
+    const overlap = queryUnigrams.size ? termOverlap(queryUnigrams, queryBigrams, candidate.metadata?.text) : 0;
+    return LEXICAL_RETRIEVAL_WEIGHT * retrieval + (1 - LEXICAL_RETRIEVAL_WEIGHT) * overlap;
+  });
+}
+
+/**
+ * Ask the model to rate every passage 0-10 in a single call. Falls back to the lexical
+ * reranker if the reply can't be parsed.
+ */
+async function llmReranker(query, candidates) {
+  const passages = candidates.map(
+    (c, idx) => `[${idx + 1}] ${String(c.metadata?.text || '').slice(0, LLM_PASSAGE_CHARS).replace(/\s+/g, ' ')}`
+  );
+  const prompt = [
+    'Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).',
+    `Reply with only a JSON array of ${candidates.length} numbers, one per passage, in order.`,
+    '',
+    `Question: ${query}`,
+    '',
+    'Passages:',
+    ...passages,
+  ].join('\n');
+
+  try {
+    const raw = await generateResponse([{ role: 'user', content: prompt }]);
+    const match = raw.match(/\[[\s\d.,]*\]/);
+    const ratings = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(ratings) || ratings.length !== candidates.length) {
+      throw new Error(`Expected ${candidates.length} ratings, got: ${raw.slice(0, 200)}`);
+    }
+    return ratings.map((r) => Math.min(Math.max(Number(r) || 0, 0), 10) / 10);
+  } catch (error) {
+    log.error('LLM reranking failed, using lexical scores', { error });
+    return lexicalReranker(query, candidates);
+  }
+}
+
+async function noopReranker(_query, candidates) {
+  return candidates.map((c) => c.score ?? 0);
+}
+
+const RERANKERS = {
+  lexical: lexicalReranker,
+  llm: llmReranker,
+  none: noopReranker,
+};
+
+const DEFAULT_RERANKER = RERANKERS[process.env.RERANKER] ? process.env.RERANKER : 'lexical';
+
+/**
+ * Register an additional reranker (e.g. a cross-encoder service) under `name`.
+ * @param {string} name
+ * @param {(query: string, candidates: Array<any>) => Promise<number[]>} reranker
+ */
+function registerReranker(name, reranker) {
+  RERANKERS[name] = reranker;
+}
+
+/**
+ * Rerank candidates, most relevant first. Each result keeps its fields and gains `rerankScore`.
+ *
+ * @param {string} query
+ * @param {Array<{ id: string, score: number, metadata: any }>} candidates
+ * @param {{ reranker?: string }} [options]
+ * @returns {Promise<Array<{ id: string, score: number, rerankScore: number, metadata: any }>>}
+ */
+async function rerank(query, candidates, { reranker = DEFAULT_RERANKER } = {}) {
+  if (candidates.length === 0) return [];
+
+  const scorer = RERANKERS[reranker];
+  if (!scorer) {
+    throw new Error(`Unknown reranker "${reranker}". Expected one of: ${Object.keys(RERANKERS).join(', ')}.`);
+  }
+
+  const scores = await scorer(query, candidates);
+  return candidates
+    .map((candidate, idx) => ({ ...candidate, rerankScore: scores[idx] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore || (b.score ?? 0) - (a.score ?? 0));
+}
+
+/**
+ * Drop chunks that are near-identical to a better-ranked one (e.g. the same paragraph ingested
+ * twice, or heavy chunk overlap), measured by Jaccard similarity of their term sets.
+ *
+ * @param {Array<{ metadata: any }>} ranked - Best first.
+ * @param {number} threshold - Similarity at or above which a chunk counts as a duplicate.
+ * @returns {Array<any>}
+ */
+function dedupeChunks(ranked, threshold) {
+  const kept = [];
+  const keptTerms = [];
+
+  ranked.forEach((chunk) => {
+    const terms = new Set(tokenize(chunk.metadata?.text));
+    const duplicate = keptTerms.some((other) => {
+      if (terms.size === 0 && other.size === 0) return true;
+      let shared = 0;
+      terms.forEach((t) => {
+        if (other.has(t)) shared += 1;
+      });
+      return shared / (terms.size + other.size - shared) >= threshold;
+    });
+
+    if (!duplicate) {
+      kept.push(chunk);
+      keptTerms.push(terms);
+    }
+  });
+
+  return kept;
+}
+
+/**
+ * Keep the best chunks that fit the prompt's context budget. The top chunk is always kept;
+ * later chunks that would overflow the budget are skipped in favour of smaller ones.
+ *
+ * @param {Array<{ metadata: any }>} ranked - Best first.
+ * @param {{ maxChunks: number, tokenBudget: number }} limits
+ * @returns {Array<any>}
+ */
+function fitToBudget(ranked, { maxChunks, tokenBudget }) {
+  const selected = [];
+  let used = 0;
+
+  ranked.forEach((chunk) => {
+    if (selected.length >= maxChunks) return;
+    const tokens = estimateTokens(chunk.metadata?.text || '');
+    if (selected.length > 0 && used + tokens > tokenBudget) return;
+    selected.push(chunk);
+    used += tokens;
+  });
+
+  return selected;
+}
+
+module.exports = {
+  DEFAULT_RERANKER,
+  rerank,
+  registerReranker,
+  dedupeChunks,
+  fitToBudget,
+};
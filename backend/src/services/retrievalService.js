@@ -0,0 +1,126 @@
+const { generateEmbedding } = require('./ollamaService');
+const { searchSimilar, searchKeyword } = require('./vectorStoreService');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ module: 'services/retrievalService' });
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const DEFAULT_RETRIEVAL_MODE = RETRIEVAL_MODES.includes(process.env.RETRIEVAL_MODE)
+  ? process.env.RETRIEVAL_MODE
+  : 'hybrid';
+
+// Reciprocal rank fusion constant; 60 is the value from the original RRF paper.
+const RRF_K = 60;
+// In hybrid mode each retriever contributes this many candidates per requested result.
+const HYBRID_CANDIDATE_FACTOR = 4;
+
+/**
+ * Fuse ranked result lists with reciprocal rank fusion: each list contributes 1 / (RRF_K + rank).
+ *
+ * @param {Array<Array<{ id: string }>>} lists
+ * @returns {Array<{ id: string, fused: number }>} ids by descending fused score
+ */
+function reciprocalRankFusion(lists) {
+  const fused = new Map();
+  lists.forEach((list) => {
+    list.forEach((item, idx) => {
+      fused.set(item.id, (fused.get(item.id) || 0) + 1 / (RRF_K + idx + 1));
+    });
+  });
+  return Array.from(fused.entries())
+    .map(([id, score]) => ({ id, fused: score }))
+    .sort((a, b) => b.fused - a.fused);
+}
+
+/**
+ * Retrieve knowledge base chunks for a query.
+ *
+ * Every result carries a `score` in [0, 1] for display: the cosine similarity when the vector search
+ * found the chunk, otherwise the keyword match's query-term coverage. The individual signals are
+ * reported in `scores`; only `scores.vector` is a calibrated relevance score.
+ *
+ * In hybrid mode a failed vector search (e.g. Ollama can't embed the query) falls back to the
+ * keyword results, and vice versa; retrieval only fails if both do.
+ *
+ * @param {string} query
+ * @param {{
+ *   topK?: number,
+ *   filter?: object | null,
+ *   mode?: 'vector' | 'keyword' | 'hybrid',
+ *   onTimings?: (timings: { embeddingMs: number, vectorSearchMs: number }) => void,
+ * }} [options] - `onTimings` receives how long embedding the query and the vector search took
+ *   (not called in keyword mode).
+ * @returns {Promise<Array<{
+ *   id: string,
+ *   score: number,
+ *   scores: { vector?: number, keyword?: number, coverage?: number, fused?: number },
+ *   metadata: any,
+ * }>>}
+ */
+async function retrieve(query, { topK = 5, filter = null, mode = DEFAULT_RETRIEVAL_MODE, onTimings } = {}) {
+  const vectorSearch = async (k) => {
+    const embeddingStart = Date.now();
+    const [embedding] = await generateEmbedding([query]);
+    const searchStart = Date.now();
+    const matches = await searchSimilar(embedding, k, filter);
+    onTimings?.({ embeddingMs: searchStart - embeddingStart, vectorSearchMs: Date.now() - searchStart });
+    return matches;
+  };
+
+  if (mode === 'vector') {
+    const matches = await vectorSearch(topK);
+    return matches.map((m) => ({ ...m, scores: { vector: m.score } }));
+  }
+
+  if (mode === 'keyword') {
+    const matches = await searchKeyword(query, topK, filter);
+    return matches.map((m) => ({
+      id: m.id,
+      score: m.coverage,
+      scores: { keyword: m.score, coverage: m.coverage },
+      metadata: m.metadata,
+    }));
+  }
+
+  const candidates = topK * HYBRID_CANDIDATE_FACTOR;
+  const [vectorResult, keywordResult] = await Promise.allSettled([
+    vectorSearch(candidates),
+    searchKeyword(query, candidates, filter),
+  ]);
+  if (vectorResult.status === 'rejected' && keywordResult.status === 'rejected') {
+    throw vectorResult.reason;
+  }
+  if (vectorResult.status === 'rejected') {
+    log.warn('Vector search failed, using keyword results only', { error: vectorResult.reason });
+  }
+  if (keywordResult.status === 'rejected') {
+    log.warn('Keyword search failed, using vector results only', { error: keywordResult.reason });
+  }
+  const vectorMatches = vectorResult.value || [];
+  const keywordMatches = keywordResult.value || [];
+
+  const byId = new Map();
+  vectorMatches.forEach((m) => byId.set(m.id, { id: m.id, metadata: m.metadata, vector: m.score }));
+  keywordMatches.forEach((m) => {
+    const entry = byId.get(m.id) || { id: m.id, metadata: m.metadata };
+    byId.set(m.id, { ...entry, keyword: m.score, coverage: m.coverage });
+  });
+
+  return reciprocalRankFusion([vectorMatches, keywordMatches])
+    .slice(0, topK)
+    .map(({ id, fused }) => {
+      const entry = byId.get(id);
+      return {
+        id,
+        score: entry.vector ?? entry.coverage,
+        scores: { vector: entry.vector, keyword: entry.keyword, coverage: entry.coverage, fused },
+        metadata: entry.metadata,
+      };
+    });
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  DEFAULT_RETRIEVAL_MODE,
+  retrieve,
+};
@@ -0,0 +1,35 @@
+const { generateResponse } = require('./ollamaService');
+
+const MAX_TITLE_WORDS = 8;
+
+/**
+ * Generate a short conversation title from the first exchange.
+ *
+ * @param {string} userMessage
+ * @param {string} assistantMessage
+ * @returns {Promise<string>} - A title of at most a few words, or '' if the model returned nothing usable.
+ */
+async function generateConversationTitle(userMessage, assistantMessage) {
+  const prompt = [
+    'Write a short title (at most 6 words) for the conversation below.',
+    'Reply with the title only: no quotes, no trailing punctuation, no explanation.',
+    '',
+    `User: ${userMessage}`,
+    `Assistant: ${String(assistantMessage || '').slice(0, 1000)}`,
+  ].join('\n');
+
+  const raw = await generateResponse([{ role: 'user', content: prompt }]);
+
+  const firstLine = raw.trim().split('\n')[0] || '';
+  return firstLine
+    .replace(/^(title\s*:\s*)/i, '')
+    .replace(/^["'`*]+|["'`*.!?]+$/g, '')
+    .split(/\s+/)
+    .slice(0, MAX_TITLE_WORDS)
+    .join(' ')
+    .trim();
+}
+
+module.exports = {
+  generateConversationTitle,
+};
@@ -0,0 +1,265 @@
+const usageStore = require('../utils/usageStore');
+const documentStore = require('../utils/documentStore');
+const { listAllDocuments } = require('./vectorStoreService');
+
+/**
+ * Usage analytics: per-request chat metrics (see usageStore.js) and their aggregates - request
+ * volume, latency percentiles, token counts and which documents are retrieved.
+ */
+
+const PERCENTILES = [50, 90, 95, 99];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_VOLUME_BUCKETS = 2000;
+
+/**
+ * Record one chat request.
+ *
+ * @param {{
+ *   endpoint: 'chat' | 'stream',
+ *   status: 'ok' | 'error' | 'aborted',
+ *   userId?: string | null,
+ *   conversationId: string,
+ *   messageId?: string | null,
+ *   model: string,
+ *   totalMs: number,
+ *   metrics?: object | null,
+ *   confidence?: string | null,
+ *   sources?: Array<{ documentId: string, score?: number }>,
+ *   citations?: Array<{ documentId: string }>,
+ * }} request - `metrics` as returned by ragService; `sources` in rank order.
+ * @returns {object} the stored entry
+ */
+function recordChatRequest({
+  endpoint,
+  status,
+  userId = null,
+  conversationId,
+  messageId = null,
+  model,
+  totalMs,
+  metrics = null,
+  confidence = null,
+  sources = [],
+  citations = [],
+}) {
+  return usageStore.record({
+    endpoint,
+    status,
+    userId,
+    conversationId,
+    messageId,
+    model,
+    totalMs,
+    rewriteMs: metrics?.rewriteMs ?? null,
+    retrievalMs: metrics?.retrievalMs ?? null,
+    embeddingMs: metrics?.embeddingMs ?? null,
+    vectorSearchMs: metrics?.vectorSearchMs ?? null,
+    rerankMs: metrics?.rerankMs ?? null,
+    generationMs: metrics?.generationMs ?? null,
+    firstTokenMs: metrics?.firstTokenMs ?? null,
+    promptTokens: metrics?.promptTokens ?? null,
+    completionTokens: metrics?.completionTokens ?? null,
+    confidence,
+    retrieved: sources.map((s) => ({ documentId: s.documentId, score: Number((s.score || 0).toFixed(4)) })),
+    citedDocumentIds: [...new Set(citations.map((c) => c.documentId))],
+  });
+}
+
+/**
+ * Nearest-rank percentile of sorted values.
+ */
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * @param {Array<number | null>} values - Missing values are ignored.
+ * @returns {{ count: number, avg: number | null, max: number | null, p50: number | null, p90: number | null,
+ *   p95: number | null, p99: number | null }} null statistics when there are no values
+ */
+function latencyStats(values) {
+  const sorted = values.filter((v) => typeof v === 'number').sort((a, b) => a - b);
+  const stats = {
+    count: sorted.length,
+    avg: sorted.length ? Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length) : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+  };
+  PERCENTILES.forEach((p) => {
+    stats[`p${p}`] = sorted.length ? percentile(sorted, p) : null;
+  });
+  return stats;
+}
+
+/**
+ * Request counts per hour or day over the whole period, including empty buckets. Without `from`
+ * the series starts at the first request; without `to` it ends now. At most MAX_VOLUME_BUCKETS
+ * buckets are returned, the most recent ones.
+ *
+ * @param {object[]} requests - Oldest first.
+ * @param {'hour' | 'day'} interval
+ * @param {{ from?: string, to?: string }} period
+ */
+function volumeSeries(requests, interval, { from, to }) {
+  if (!from && !requests.length) return [];
+  const size = interval === 'hour' ? HOUR_MS : DAY_MS;
+  const bucketOf = (date) => Math.floor(new Date(date).getTime() / size) * size;
+
+  const buckets = new Map();
+  requests.forEach((request) => {
+    const start = bucketOf(request.createdAt);
+    if (!buckets.has(start)) buckets.set(start, { requests: 0, errors: 0 });
+    const bucket = buckets.get(start);
+    bucket.requests += 1;
+    if (request.status === 'error') bucket.errors += 1;
+  });
+
+  const series = [];
+  const last = bucketOf(to || Date.now());
+  const first = Math.max(bucketOf(from || requests[0].createdAt), last - (MAX_VOLUME_BUCKETS - 1) * size);
+  for (let start = first; start <= last; start += size) {
+    series.push({ start: new Date(start).toISOString(), ...(buckets.get(start) || { requests: 0, errors: 0 }) });
+  }
+  return series;
+}
+
+/**
+ * Aggregate chat usage over a period.
+ *
+ * Latency and token figures cover successful requests only. Durations are in milliseconds:
+ * `total` is the whole request, `rewrite` the follow-up query rewrite, `retrieval` the vector/keyword
+ * search and reranking, broken down into `embedding` (the query embedding from Ollama), `vectorSearch`
+ * (the vector store query) and `rerank`, `generation` the answer, and `firstToken` the wait for the
+ * first streamed token.
+ *
+ * @param {{ from?: string, to?: string, interval?: 'hour' | 'day' }} [options]
+ */
+function getUsageSummary({ from, to, interval = 'day' } = {}) {
+  const requests = usageStore.list({ from, to });
+  const ok = requests.filter((r) => r.status === 'ok');
+  const withTokens = ok.filter((r) => r.promptTokens !== null || r.completionTokens !== null);
+  const topScores = ok.filter((r) => r.retrieved.length).map((r) => Math.max(...r.retrieved.map((s) => s.score)));
+  const sum = (values) => values.reduce((total, v) => total + (v || 0), 0);
+
+  return {
+    totals: {
+      requests: requests.length,
+      errors: requests.filter((r) => r.status === 'error').length,
+      aborted: requests.filter((r) => r.status === 'aborted').length,
+      users: new Set(requests.map((r) => r.userId)).size,
+      conversations: new Set(requests.map((r) => r.conversationId)).size,
+    },
+    volume: volumeSeries(requests, interval, { from, to }),
+    latency: {
+      total: latencyStats(ok.map((r) => r.totalMs)),
+      rewrite: latencyStats(ok.map((r) => r.rewriteMs)),
+      retrieval: latencyStats(ok.map((r) => r.retrievalMs)),
+      embedding: latencyStats(ok.map((r) => r.embeddingMs)),
+      vectorSearch: latencyStats(ok.map((r) => r.vectorSearchMs)),
+      rerank: latencyStats(ok.map((r) => r.rerankMs)),
+      generation: latencyStats(ok.map((r) => r.generationMs)),
+      firstToken: latencyStats(ok.map((r) => r.firstTokenMs)),
+    },
+    tokens: {
+      requests: withTokens.length,
+      prompt: sum(withTokens.map((r) => r.promptTokens)),
+      completion: sum(withTokens.map((r) => r.completionTokens)),
+    },
+    retrieval: {
+      noResults: ok.length - topScores.length,
+      avgTopScore: topScores.length ? Number((sum(topScores) / topScores.length).toFixed(4)) : null,
+      confidence: ['high', 'medium', 'low'].reduce(
+        (counts, level) => ({ ...counts, [level]: ok.filter((r) => r.confidence === level).length }),
+        {}
+      ),
+    },
+  };
+}
+
+/**
+ * The knowledge base's documents, from the vector store so documents ingested before the document
+ * store existed are included.
+ * @returns {Promise<Map<string, { id: string, title: string | null, category: string | null, createdAt: string | null }>>}
+ */
+async function loadKnowledgeDocuments() {
+  const documents = new Map();
+  (await listAllDocuments()).forEach((chunk) => {
+    const id = chunk.parentId || chunk.id;
+    if (documents.has(id)) return;
+    const record = documentStore.get(id);
+    documents.set(id, {
+      id,
+      title: record?.title ?? chunk.title ?? chunk.source ?? null,
+      category: record?.category ?? chunk.category ?? null,
+      createdAt: record?.createdAt ?? chunk.timestamp ?? null,
+    });
+  });
+  return documents;
+}
+
+/**
+ * Which documents answers draw on over a period.
+ *
+ * `mostUsed` ranks documents by the number of requests that retrieved them into the context, with how
+ * often they were cited and their average retrieval score; documents since deleted are flagged.
+ * `neverRetrieved` lists the knowledge base's documents that no request retrieved in the period,
+ * oldest first.
+ *
+ * @param {{ from?: string, to?: string, limit?: number }} [options] - `limit` caps both lists.
+ */
+async function getDocumentUsage({ from, to, limit = 10 } = {}) {
+  const requests = usageStore.list({ from, to }).filter((r) => r.status === 'ok');
+  const documents = await loadKnowledgeDocuments();
+
+  const usage = new Map();
+  requests.forEach((request) => {
+    const seen = new Set();
+    request.retrieved.forEach(({ documentId, score }) => {
+      if (!usage.has(documentId)) {
+        usage.set(documentId, { retrieved: 0, cited: 0, scoreSum: 0, chunks: 0, lastRetrievedAt: null });
+      }
+      const entry = usage.get(documentId);
+      entry.scoreSum += score;
+      entry.chunks += 1;
+      entry.lastRetrievedAt = request.createdAt;
+      if (!seen.has(documentId)) {
+        seen.add(documentId);
+        entry.retrieved += 1;
+      }
+    });
+    request.citedDocumentIds.forEach((documentId) => {
+      if (usage.has(documentId)) usage.get(documentId).cited += 1;
+    });
+  });
+
+  const mostUsed = Array.from(usage.entries())
+    .sort(([, a], [, b]) => b.retrieved - a.retrieved || b.cited - a.cited)
+    .slice(0, limit)
+    .map(([id, { retrieved, cited, scoreSum, chunks, lastRetrievedAt }]) => ({
+      id,
+      title: documents.get(id)?.title ?? documentStore.get(id)?.title ?? null,
+      category: documents.get(id)?.category ?? null,
+      deleted: !documents.has(id),
+      retrieved,
+      cited,
+      avgScore: Number((scoreSum / chunks).toFixed(4)),
+      lastRetrievedAt,
+    }));
+
+  const neverRetrieved = Array.from(documents.values()).filter((doc) => !usage.has(doc.id));
+  neverRetrieved.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  return {
+    documents: documents.size,
+    requests: requests.length,
+    mostUsed,
+    neverRetrievedCount: neverRetrieved.length,
+    neverRetrieved: neverRetrieved.slice(0, limit),
+  };
+}
+
+module.exports = {
+  recordChatRequest,
+  getUsageSummary,
+  getDocumentUsage,
+};
@@ -0,0 +1,156 @@
+/**
+ * Vector store facade. Routes and services import vector operations from here rather than
+ * from a specific backend, so the store can be swapped with the VECTOR_STORE environment variable.
+ *
+ * Every adapter implements:
+ *   upsertDocument(id, text, embedding, metadata) -> { success }
+ *   updateMetadata(id, metadata)                  -> { success }  (merge; vector and text unchanged)
+ *   searchSimilar(queryEmbedding, topK, filter)   -> [{ id, score, metadata }]
+ *     (filter is a normalized metadata filter from utils/metadataFilter.js, or null)
+ *   deleteDocument(id)                            -> { success }
+ *   deleteByPrefix(prefix)                        -> { success, deleted }
+ *   fetchDocuments(ids)                           -> [{ id, values, metadata }]  (unknown ids skipped)
+ *   listAllDocuments()                            -> [{ id, ...metadata }]
+ *   backfillFilterFields()                        -> { updated }  (filter metadata on legacy records)
+ *   getStats()                                    -> { totalRecordCount, dimension }
+ *   checkHealth()                                 -> { status: 'connected' | 'disconnected', ...details }
+ *
+ * Supported backends:
+ *   pinecone (default) - Pinecone serverless index, see pineconeService.js
+ *   local              - JSON file on disk with brute-force cosine search, see localVectorService.js
+ *
+ * Writes made through this module are mirrored into the BM25 keyword index (keywordIndexService.js).
+ * Adapter calls go through the 'vector_store' circuit breaker with retries and a timeout
+ * (utils/resilience.js) and are timed in the dependency_call_* metrics (utils/metrics.js).
+ */
+
+const keywordIndex = require('./keywordIndexService');
+const { observeDependency } = require('../utils/metrics');
+const { callDependency, getCircuitBreaker } = require('../utils/resilience');
+
+// Adapters are loaded lazily so an unused backend's dependencies are never initialized.
+/* eslint-disable global-require */
+const ADAPTERS = {
+  pinecone: () => require('./pineconeService'),
+  local: () => require('./localVectorService'),
+};
+/* eslint-enable global-require */
+
+const VECTOR_STORE = (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+
+if (!ADAPTERS[VECTOR_STORE]) {
+  throw new Error(
+    `Unknown VECTOR_STORE "${VECTOR_STORE}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}.`
+  );
+}
+
+// Attempts per call (including the first) and the timeout of each attempt.
+const VECTOR_STORE_RETRY_ATTEMPTS = parseInt(process.env.VECTOR_STORE_RETRY_ATTEMPTS, 10) || 3;
+const VECTOR_STORE_TIMEOUT_MS = parseInt(process.env.VECTOR_STORE_TIMEOUT_MS, 10) || 10_000;
+
+// Adapter method -> operation label in logs and metrics, and whether VECTOR_STORE_TIMEOUT_MS applies.
+// Listing and backfilling page through the whole store, so they take as long as the store is large.
+const OPERATIONS = {
+  upsertDocument: { operation: 'upsert', timeout: true },
+  updateMetadata: { operation: 'update_metadata', timeout: true },
+  searchSimilar: { operation: 'search', timeout: true },
+  deleteDocument: { operation: 'delete', timeout: true },
+  deleteByPrefix: { operation: 'delete_by_prefix', timeout: true },
+  fetchDocuments: { operation: 'fetch', timeout: true },
+  listAllDocuments: { operation: 'list', timeout: false },
+  backfillFilterFields: { operation: 'backfill', timeout: false },
+  getStats: { operation: 'stats', timeout: true },
+};
+
+const store = ADAPTERS[VECTOR_STORE]();
+const adapter = Object.fromEntries(
+  Object.entries(OPERATIONS).map(([method, { operation, timeout }]) => [
+    method,
+    (...args) =>
+      callDependency('vector_store', operation, () => store[method](...args), {
+        attempts: VECTOR_STORE_RETRY_ATTEMPTS,
+        timeoutMs: timeout ? VECTOR_STORE_TIMEOUT_MS : undefined,
+      }),
+  ])
+);
+// Created up front so /api/health reports it before the first call.
+getCircuitBreaker('vector_store');
+
+keywordIndex.setLoader(() => adapter.listAllDocuments());
+
+/**
+ * @param {string} id
+ * @param {string} text
+ * @param {number[]} embedding
+ * @param {object} [metadata]
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function upsertDocument(id, text, embedding, metadata = {}) {
+  const result = await adapter.upsertDocument(id, text, embedding, metadata);
+  // Mirror the stores' defaults so keyword results filter the same way as vector results.
+  keywordIndex.upsert(id, text, {
+    ...metadata,
+    category: metadata.category || 'general',
+    source: metadata.source || 'manual',
+  });
+  return result;
+}
+
+/**
+ * @param {string} id
+ * @param {object} metadata
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function updateMetadata(id, metadata) {
+  const result = await adapter.updateMetadata(id, metadata);
+  keywordIndex.updateMetadata(
+    id,
+    Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null))
+  );
+  return result;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<{ success: boolean }>}
+ */
+async function deleteDocument(id) {
+  const result = await adapter.deleteDocument(id);
+  keywordIndex.remove(id);
+  return result;
+}
+
+/**
+ * @param {string} prefix
+ * @returns {Promise<{ success: boolean, deleted: number }>}
+ */
+async function deleteByPrefix(prefix) {
+  const result = await adapter.deleteByPrefix(prefix);
+  keywordIndex.removeByPrefix(prefix);
+  return result;
+}
+
+/**
+ * Check connectivity to the active vector store. Bypasses the circuit breaker so the health
+ * endpoint reports the store's actual state.
+ * @returns {Promise<{ backend: string, status: 'connected' | 'disconnected', [key: string]: any }>}
+ */
+async function checkVectorStore() {
+  const health = await observeDependency('vector_store', 'health', () => store.checkHealth());
+  return { backend: VECTOR_STORE, ...health };
+}
+
+module.exports = {
+  backend: VECTOR_STORE,
+  upsertDocument,
+  updateMetadata,
+  searchSimilar: adapter.searchSimilar,
+  searchKeyword: keywordIndex.search,
+  deleteDocument,
+  deleteByPrefix,
+  fetchDocuments: adapter.fetchDocuments,
+  listAllDocuments: adapter.listAllDocuments,
+  backfillFilterFields: adapter.backfillFilterFields,
+  getStats: adapter.getStats,
+  checkVectorStore,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const { writeFileAtomic } = require('./fileWriter');
+const { parseDate } = require('./metadataFilter');
+
+const log = logger.child({ module: 'utils/cappedLogStore' });
+
+/**
+ * Append-only log of entries, capped at `maxEntries` (the oldest are dropped), persisted as JSON
+ * Lines: one entry per line. Recording an entry appends its line instead of rewriting the file;
+ * the file is compacted to the kept entries once it holds twice as many lines.
+ *
+ * Entries are the recorded fields plus `id` and `createdAt`.
+ */
+class CappedLogStore {
+  /**
+   * @param {{ filePath: string, maxEntries: number, description: string }} options - `description`
+   *   names the entries in log messages, e.g. 'usage metrics'.
+   */
+  constructor({ filePath, maxEntries, description }) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+    this.description = description;
+    // Oldest first.
+    this.entries = [];
+    this.linesOnDisk = 0;
+    this.pendingLines = [];
+    this.writing = null;
+
+    try {
+      fs.readFileSync(this.filePath, 'utf8')
+        .split('\n')
+        .forEach((line) => {
+          if (!line.trim()) return;
+          this.linesOnDisk += 1;
+          try {
+            this.entries.push(JSON.parse(line));
+          } catch (error) {
+            // A line cut short by a crash mid-append; compaction drops it.
+          }
+        });
+      this.entries.splice(0, Math.max(0, this.entries.length - this.maxEntries));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Failed to load ${this.description} from ${this.filePath}`, { error });
+      }
+    }
+  }
+
+  /**
+   * @param {object} fields - Entry fields other than id and createdAt.
+   * @returns {object} the stored entry
+   */
+  record(fields) {
+    const entry = { ...fields, id: uuidv4(), createdAt: new Date().toISOString() };
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+    this.pendingLines.push(JSON.stringify(entry));
+    this.persist().catch((error) => {
+      log.error(`Failed to persist ${this.description}`, { error });
+    });
+    return entry;
+  }
+
+  /**
+   * Entries, oldest first.
+   * @param {{ from?: string, to?: string }} [filter] - ISO 8601 dates, matched against `createdAt`.
+   *   A date-only `to` includes that whole day.
+   * @returns {object[]}
+   */
+  list({ from, to } = {}) {
+    const fromBound = parseDate(from, false);
+    const toBound = parseDate(to, true);
+    return this.entries
+      .filter((entry) => !fromBound || entry.createdAt >= fromBound)
+      .filter((entry) => !toBound || entry.createdAt <= toBound);
+  }
+
+  /**
+   * Wait for pending writes. Never rejects: failures are logged by record().
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.writing) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.writing.catch(() => {});
+    }
+  }
+
+  /**
+   * Append pending lines, one write at a time; lines recorded meanwhile go out in the next write.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    if (!this.writing) {
+      this.writing = (async () => {
+        try {
+          while (this.pendingLines.length) {
+            const lines = this.pendingLines.splice(0);
+            if (this.linesOnDisk + lines.length > this.maxEntries * 2) {
+              const contents = this.entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+              // eslint-disable-next-line no-await-in-loop
+              await writeFileAtomic(this.filePath, contents);
+              this.linesOnDisk = this.entries.length;
+            } else {
+              // eslint-disable-next-line no-await-in-loop
+              await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+              // eslint-disable-next-line no-await-in-loop
+              await fs.promises.appendFile(this.filePath, `${lines.join('\n')}\n`, 'utf8');
+              this.linesOnDisk += lines.length;
+            }
+          }
+        } finally {
+          this.writing = null;
+        }
+      })();
+    }
+    return this.writing;
+  }
+}
+
+module.exports = CappedLogStore;
@@ -0,0 +1,63 @@
+/**
+ * Inline citation handling for generated answers.
+ *
+ * The RAG prompt numbers its context sources [1]..[n] and asks the model to cite them inline.
+ * Models also write grouped forms such as [1, 3] and occasionally cite numbers that don't exist;
+ * `extractCitations` normalizes the former to [1][3] and drops the latter.
+ */
+
+// [1] or [1, 2], but not markdown link text such as [1](http://...).
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+// Fenced and inline code are left untouched: `arr[1]` is not a citation.
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)/g;
+// Marks where an invalid citation was removed, so whitespace left before punctuation can be tidied.
+const REMOVED = '\u0000';
+
+/**
+ * Validate and normalize the citations in an answer.
+ *
+ * @param {string} text - Model output.
+ * @param {Array<{ id: string, metadata?: any }>} sources - Context sources, in prompt order.
+ * @returns {{
+ *   text: string,
+ *   citations: Array<{ number: number, sourceId: string, documentId: string, title: string | null }>,
+ * }} the cleaned text and the sources it cites, ordered by number
+ */
+function extractCitations(text, sources) {
+  const cited = new Set();
+
+  const cleaned = String(text || '')
+    .split(CODE_PATTERN)
+    .map((segment, idx) => {
+      // split() with a capture group puts the code spans at odd indexes.
+      if (idx % 2 === 1) return segment;
+      return segment.replace(CITATION_PATTERN, (_match, group) => {
+        const valid = group
+          .split(',')
+          .map((n) => parseInt(n.trim(), 10))
+          .filter((n) => n >= 1 && n <= sources.length);
+        valid.forEach((n) => cited.add(n));
+        return valid.length ? valid.map((n) => `[${n}]`).join('') : REMOVED;
+      });
+    })
+    .join('')
+    .replace(new RegExp(`[ \\t]*${REMOVED}`, 'g'), '');
+
+  const citations = Array.from(cited)
+    .sort((a, b) => a - b)
+    .map((number) => {
+      const source = sources[number - 1];
+      return {
+        number,
+        sourceId: source.id,
+        documentId: source.metadata?.parentId || source.id,
+        title: source.metadata?.title || source.metadata?.source || null,
+      };
+    });
+
+  return { text: cleaned, citations };
+}
+
+module.exports = {
+  extractCitations,
+};
@@ -0,0 +1,31 @@
+/**
+ * Map over `items` with at most `limit` calls to `fn` in flight. Results keep the input order;
+ * the first rejection rejects the whole call (calls already started are not cancelled).
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next;
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
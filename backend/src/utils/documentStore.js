@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { CoalescedFileWriter } = require('./fileWriter');
+
+const log = logger.child({ module: 'utils/documentStore' });
+
+const DOCUMENT_STORE_PATH = path.resolve(
+  process.env.DOCUMENT_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'documents.json')
+);
+
+/**
+ * Source documents, as ingested, persisted to a JSON file.
+ *
+ * The vector store only holds chunks, and chunk texts can't be joined back into the original
+ * (headings are repeated per chunk and neighbouring chunks overlap), so the full text is kept
+ * here for editing, along with earlier versions for auditing and rollback. A version only stores
+ * `text` if it differs from the previous version's. Deleted documents keep their record (with
+ * `deletedAt` set) so their history survives.
+ *
+ * Structure:
+ * {
+ *   documents: [{
+ *     id: string, text: string, category?: string, source?: string, title?: string,
+ *     createdAt: string, updatedAt: string | null, deletedAt?: string, chunkCount: number,
+ *     textReconstructed?: boolean, version: number,
+ *     versions: [{
+ *       version: number, action: 'imported' | 'created' | 'updated' | 'restored' | 'deleted',
+ *       text?: string, category?: string, source?: string, title?: string,
+ *       editedBy: { id: string, username: string } | null, editedAt: string, restoredFrom?: number,
+ *     }]
+ *   }]
+ * }
+ */
+class DocumentStore {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.documents = new Map();
+    this.writer = new CoalescedFileWriter(filePath, () =>
+      JSON.stringify({ documents: Array.from(this.documents.values()) })
+    );
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (parsed.documents || []).forEach((doc) => this.documents.set(doc.id, doc));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Failed to load documents from ${this.filePath}`, { error });
+      }
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object | null}
+   */
+  get(id) {
+    return this.documents.get(id) || null;
+  }
+
+  /**
+   * @returns {object[]}
+   */
+  list() {
+    return Array.from(this.documents.values());
+  }
+
+  /**
+   * Insert or replace a document record.
+   * @param {object} document
+   * @returns {Promise<void>} resolves once the change is on disk
+   */
+  save(document) {
+    this.documents.set(document.id, document);
+    return this.writer.write();
+  }
+
+  /**
+   * Insert or replace several document records in one write.
+   * @param {object[]} documents
+   * @returns {Promise<void>} resolves once the changes are on disk
+   */
+  saveMany(documents) {
+    if (!documents.length) return Promise.resolve();
+    documents.forEach((document) => this.documents.set(document.id, document));
+    return this.writer.write();
+  }
+
+  /**
+   * Wait for pending writes to complete.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writer.flush();
+  }
+}
+
+// Export a singleton instance
+module.exports = new DocumentStore(DOCUMENT_STORE_PATH);
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+const { CoalescedFileWriter } = require('./fileWriter');
+
+const log = logger.child({ module: 'utils/embeddingCache' });
+
+// Disk writes are delayed by this long so a bulk ingest produces a handful of writes, not one per batch.
+const PERSIST_DELAY_MS = 2000;
+
+/**
+ * LRU cache of embedding vectors keyed by model name and a SHA-256 of the text, so identical
+ * queries and re-ingested documents aren't embedded twice and switching models never returns
+ * a vector from the wrong one.
+ *
+ * With a `filePath` the cache is loaded from disk on first use and persisted after changes.
+ */
+class EmbeddingCache {
+  /**
+   * @param {{ maxEntries: number, filePath?: string | null }} options - `maxEntries` 0 disables the cache.
+   */
+  constructor({ maxEntries, filePath = null }) {
+    this.maxEntries = maxEntries;
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.loaded = !filePath;
+    this.hits = 0;
+    this.misses = 0;
+    this.timer = null;
+    this.writer = filePath
+      ? new CoalescedFileWriter(filePath, () => JSON.stringify({ entries: Object.fromEntries(this.entries) }))
+      : null;
+  }
+
+  static key(model, text) {
+    return `${model}:${crypto.createHash('sha256').update(text).digest('hex')}`;
+  }
+
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      // Stored oldest first, which is the LRU order the Map needs.
+      Object.entries(parsed.entries || {}).forEach(([key, vector]) => this.entries.set(key, vector));
+      this.evict();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Failed to load embedding cache from ${this.filePath}`, { error });
+      }
+    }
+  }
+
+  /**
+   * @param {string} model
+   * @param {string} text
+   * @returns {number[] | undefined}
+   */
+  get(model, text) {
+    if (this.maxEntries <= 0) return undefined;
+    this.ensureLoaded();
+
+    const key = EmbeddingCache.key(model, text);
+    const vector = this.entries.get(key);
+    if (vector) {
+      this.hits += 1;
+      // Re-insert to mark as most recently used.
+      this.entries.delete(key);
+      this.entries.set(key, vector);
+    } else {
+      this.misses += 1;
+    }
+    return vector;
+  }
+
+  /**
+   * @param {string} model
+   * @param {string} text
+   * @param {number[]} vector
+   */
+  set(model, text, vector) {
+    if (this.maxEntries <= 0) return;
+    this.ensureLoaded();
+
+    const key = EmbeddingCache.key(model, text);
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    this.evict();
+    this.schedulePersist();
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.maxEntries > 0,
+      persistent: Boolean(this.filePath),
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? Number((this.hits / lookups).toFixed(3)) : null,
+    };
+  }
+
+  schedulePersist() {
+    if (!this.filePath || this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.persist();
+    }, PERSIST_DELAY_MS);
+    this.timer.unref();
+  }
+
+  persist() {
+    this.writer.write().catch((error) => {
+      log.error('Failed to persist embedding cache', { error });
+    });
+  }
+
+  /**
+   * Write any pending changes now and resolve once they are on disk.
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.persist();
+    }
+    await this.writer?.flush();
+  }
+}
+
+module.exports = EmbeddingCache;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+const { CoalescedFileWriter } = require('./fileWriter');
+const { parseDate } = require('./metadataFilter');
+
+const log = logger.child({ module: 'utils/feedbackStore' });
+
+const FEEDBACK_STORE_PATH = path.resolve(
+  process.env.FEEDBACK_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'feedback.json')
+);
+
+/**
+ * Answer feedback, persisted to a JSON file. Kept apart from conversations so it survives
+ * their retention period and deletion.
+ *
+ * Each entry snapshots the exchange it rates:
+ * {
+ *   feedback: [{
+ *     id: string, conversationId: string, messageId: string, userId: string, username: string | null,
+ *     rating: 'up' | 'down', comment: string | null, question: string | null, answer: string,
+ *     sourceIds: string[], documentIds: string[], model: string | null, confidence: string | null,
+ *     createdAt: string, updatedAt: string,
+ *   }]
+ * }
+ *
+ * There is at most one entry per message; rating it again updates the entry.
+ */
+class FeedbackStore {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // messageId -> entry
+    this.entries = new Map();
+    this.writer = new CoalescedFileWriter(filePath, () =>
+      JSON.stringify({ feedback: Array.from(this.entries.values()) })
+    );
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (parsed.feedback || []).forEach((entry) => this.entries.set(entry.messageId, entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Failed to load feedback from ${this.filePath}`, { error });
+      }
+    }
+  }
+
+  /**
+   * Record feedback on a message, replacing any earlier feedback on it.
+   * @param {object} feedback - Entry fields other than id and timestamps.
+   * @returns {object} the stored entry
+   */
+  record(feedback) {
+    const existing = this.entries.get(feedback.messageId);
+    const now = new Date().toISOString();
+    const entry = {
+      ...feedback,
+      id: existing?.id || uuidv4(),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    this.entries.set(entry.messageId, entry);
+    this.writer.write().catch((error) => {
+      log.error('Failed to persist feedback', { error });
+    });
+    return entry;
+  }
+
+  /**
+   * Entries, newest first.
+   * @param {{ rating?: 'up' | 'down', from?: string, to?: string }} [filter] - Dates are ISO 8601,
+   *   matched against `updatedAt`. A date-only `to` includes that whole day.
+   * @returns {object[]}
+   */
+  list({ rating, from, to } = {}) {
+    const fromBound = parseDate(from, false);
+    const toBound = parseDate(to, true);
+    return Array.from(this.entries.values())
+      .filter((entry) => !rating || entry.rating === rating)
+      .filter((entry) => !fromBound || entry.updatedAt >= fromBound)
+      .filter((entry) => !toBound || entry.updatedAt <= toBound)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Wait for pending writes to complete.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writer.flush();
+  }
+}
+
+// Export a singleton instance
+module.exports = new FeedbackStore(FEEDBACK_STORE_PATH);
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Replace a file atomically: write a temporary file next to it, then rename it over the original,
+ * so readers (and a restart after a crash) never see a half-written file.
+ *
+ * @param {string} filePath
+ * @param {string} data
+ * @param {{ mode?: number }} [options] - File mode, e.g. 0o600 for files holding secrets.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data, { mode } = {}) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(tmpPath, data, { encoding: 'utf8', ...(mode !== undefined && { mode }) });
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Writes a file-backed store's state to disk. Writes never overlap: changes requested while a
+ * write is in flight are folded into a single follow-up write, which serializes the state as it
+ * is by then.
+ */
+class CoalescedFileWriter {
+  /**
+   * @param {string} filePath
+   * @param {() => string} serialize - Produces the file contents from the store's current state.
+   * @param {{ mode?: number }} [options] - As for writeFileAtomic.
+   */
+  constructor(filePath, serialize, options = {}) {
+    this.filePath = filePath;
+    this.serialize = serialize;
+    this.options = options;
+    this.writing = null;
+    this.dirty = false;
+  }
+
+  /**
+   * Write the current state.
+   * @returns {Promise<void>} resolves once a write including the current state is on disk
+   */
+  write() {
+    this.dirty = true;
+    if (!this.writing) {
+      this.writing = (async () => {
+        try {
+          while (this.dirty) {
+            this.dirty = false;
+            // eslint-disable-next-line no-await-in-loop
+            await writeFileAtomic(this.filePath, this.serialize(), this.options);
+          }
+        } finally {
+          this.writing = null;
+        }
+      })();
+    }
+    return this.writing;
+  }
+
+  /**
+   * Wait for pending writes. Never rejects: failures are reported to the callers of write().
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.writing) {
+      // eslint-disable-next-line no-await-in-loop
+      await this.writing.catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  CoalescedFileWriter,
+};
@@ -0,0 +1,23 @@
+const path = require('path');
+const CappedLogStore = require('./cappedLogStore');
+
+const KNOWLEDGE_GAP_STORE_PATH = path.resolve(
+  process.env.KNOWLEDGE_GAP_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'knowledge-gaps.jsonl')
+);
+const KNOWLEDGE_GAP_MAX_ENTRIES = parseInt(process.env.KNOWLEDGE_GAP_MAX_ENTRIES, 10) || 5000;
+
+/**
+ * Questions the knowledge base could not answer. Once KNOWLEDGE_GAP_MAX_ENTRIES is reached the
+ * oldest entries are dropped.
+ *
+ * Entry: {
+ *   id: string, question: string, retrievalQuery: string,
+ *   reasons: Array<'low_confidence' | 'not_in_knowledge_base'>, confidence: string, maxScore: number,
+ *   userId: string | null, conversationId: string, messageId: string, createdAt: string,
+ * }
+ */
+module.exports = new CappedLogStore({
+  filePath: KNOWLEDGE_GAP_STORE_PATH,
+  maxEntries: KNOWLEDGE_GAP_MAX_ENTRIES,
+  description: 'knowledge gaps',
+});
@@ -0,0 +1,110 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Structured logger: one JSON object per line on stdout (stderr for errors), e.g.
+ *   {"time":"...","level":"error","msg":"Chat route error","requestId":"...","module":"routes/chat","error":{...}}
+ *
+ * Entries logged while handling a request carry its `requestId` (see middleware/requestContext.js),
+ * including those from services called by the route, so one request's logs can be found together.
+ * Error values in fields are serialized with their message, name, code and stack.
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error. LOG_FORMAT=pretty prints readable lines for local development.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+// { requestId } for the request being handled; empty outside of requests.
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * @returns {string | undefined} the id of the request being handled
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    stack: error.stack,
+  };
+}
+
+function serializeFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value])
+  );
+}
+
+class Logger {
+  /**
+   * @param {object} [bindings] - Fields added to every entry, e.g. { module: 'routes/chat' }.
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * @param {object} bindings
+   * @returns {Logger} a logger that adds `bindings` to every entry
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * @param {'debug' | 'info' | 'warn' | 'error'} level
+   * @param {string} msg
+   * @param {object} [fields]
+   */
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const requestId = getRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(requestId && { requestId }),
+      ...this.bindings,
+      ...serializeFields(fields),
+    };
+    const stream = level === 'error' ? process.stderr : process.stdout;
+
+    if (PRETTY) {
+      // eslint-disable-next-line no-unused-vars
+      const { time, level: _level, msg: _msg, error, ...rest } = entry;
+      const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+      stream.write(`${time} ${level.toUpperCase()} ${msg}${extra}\n${error?.stack ? `${error.stack}\n` : ''}`);
+      return;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+module.exports = {
+  logger: new Logger(),
+  requestContext,
+  getRequestId,
+};
@@ -0,0 +1,137 @@
+/**
+ * Store-agnostic metadata filters for vector search.
+ *
+ * A normalized filter looks like:
+ *   {
+ *     categories?: string[],  // match any of these categories
+ *     source?: string,        // source, or the file an uploaded section came from
+ *     from?: string,          // ISO timestamp, inclusive lower bound on `timestamp`
+ *     to?: string,            // ISO timestamp, inclusive upper bound on `timestamp`
+ *   }
+ * Each vector store adapter translates it into its own query syntax.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Location that uploads append to a section's source, e.g. "handbook.pdf, page 3"
+// (see services/fileExtractionService.js).
+const SOURCE_LOCATION = /, (?:page|row) \d+$/;
+
+/**
+ * The file an uploaded section came from: its source without the page or row.
+ * Other sources are returned unchanged.
+ * @param {string | undefined} source
+ * @returns {string | undefined}
+ */
+function sourceFileOf(source) {
+  return typeof source === 'string' ? source.replace(SOURCE_LOCATION, '') : source;
+}
+
+/**
+ * Accept a category as a string, a comma-separated string or an array of either.
+ * @param {string | string[] | undefined} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v ?? '').split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a date bound to an ISO timestamp. Also used for the `from`/`to` filters of the
+ * feedback and log stores, so a bare `to` date includes that whole day everywhere.
+ *
+ * @param {string | undefined} value
+ * @param {boolean} endOfDay - Extend a bare date (YYYY-MM-DD) to the end of that day.
+ * @returns {string | undefined} undefined when missing or not a date
+ */
+function parseDate(value, endOfDay) {
+  if (!value) return undefined;
+  const raw = String(value).trim();
+  const date = new Date(endOfDay && DATE_ONLY.test(raw) ? `${raw}T23:59:59.999Z` : raw);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Build a normalized filter from request input (query params or a JSON body).
+ *
+ * @param {{ category?: string | string[], source?: string, from?: string, to?: string }} [input]
+ * @returns {{ categories?: string[], source?: string, from?: string, to?: string } | null}
+ *   null when no filter was requested
+ */
+function normalizeFilter(input = {}) {
+  const filter = {};
+
+  const categories = parseList(input.category);
+  if (categories.length) filter.categories = categories;
+
+  const source = typeof input.source === 'string' ? input.source.trim() : '';
+  if (source) filter.source = source;
+
+  const from = parseDate(input.from, false);
+  if (from) filter.from = from;
+
+  const to = parseDate(input.to, true);
+  if (to) filter.to = to;
+
+  return Object.keys(filter).length ? filter : null;
+}
+
+/**
+ * Check a record's metadata against a normalized filter (used by stores without native filtering).
+ * @param {object} metadata
+ * @param {object | null} filter
+ * @returns {boolean}
+ */
+function matchesFilter(metadata, filter) {
+  if (!filter) return true;
+  const meta = metadata || {};
+
+  if (filter.categories && !filter.categories.includes(meta.category)) return false;
+  if (filter.source && meta.source !== filter.source && sourceFileOf(meta.source) !== filter.source) {
+    return false;
+  }
+
+  if (filter.from || filter.to) {
+    const time = Date.parse(meta.timestamp);
+    if (Number.isNaN(time)) return false;
+    if (filter.from && time < Date.parse(filter.from)) return false;
+    if (filter.to && time > Date.parse(filter.to)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Translate a normalized filter into Pinecone's metadata filter syntax. Pinecone can't match a
+ * prefix or range-compare strings, so the source also matches the stored `sourceFile` field and
+ * date bounds apply to the numeric `timestampMs` field (both set by pineconeService on upsert).
+ * @param {object | null} filter
+ * @returns {object | undefined}
+ */
+function toPineconeFilter(filter) {
+  if (!filter) return undefined;
+  const clauses = {};
+
+  if (filter.categories) clauses.category = { $in: filter.categories };
+  if (filter.source) clauses.$or = [{ source: { $eq: filter.source } }, { sourceFile: { $eq: filter.source } }];
+
+  if (filter.from || filter.to) {
+    clauses.timestampMs = {};
+    if (filter.from) clauses.timestampMs.$gte = Date.parse(filter.from);
+    if (filter.to) clauses.timestampMs.$lte = Date.parse(filter.to);
+  }
+
+  return clauses;
+}
+
+module.exports = {
+  parseDate,
+  sourceFileOf,
+  normalizeFilter,
+  matchesFilter,
+  toPineconeFilter,
+};
@@ -0,0 +1,174 @@
+const client = require('prom-client');
+const sessionManager = require('./sessionManager');
+
+/**
+ * Prometheus metrics, served in the text exposition format at GET /metrics.
+ *
+ * Besides Node.js process metrics (CPU, memory, event loop lag, GC):
+ *   http_requests_total / http_request_duration_seconds  - per method, route pattern and status
+ *   dependency_call_duration_seconds                     - Ollama and vector store calls, per operation and outcome
+ *   dependency_call_failures_total                       - failed Ollama and vector store calls
+ *   dependency_call_retries_total                        - retried Ollama and vector store calls
+ *   circuit_breaker_state                                - 0 closed, 1 half-open, 2 open, per dependency
+ *   chat_active_sessions                                 - conversations held by the session manager
+ *   embedding_cache_lookups_total                        - embedding cache hits and misses
+ */
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route pattern and status code.',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds, by method, route pattern and status code.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const dependencyCallDuration = new client.Histogram({
+  name: 'dependency_call_duration_seconds',
+  help: 'Duration of calls to external dependencies in seconds, by dependency, operation and outcome.',
+  labelNames: ['dependency', 'operation', 'outcome'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const dependencyCallFailures = new client.Counter({
+  name: 'dependency_call_failures_total',
+  help: 'Failed calls to external dependencies, by dependency and operation.',
+  labelNames: ['dependency', 'operation'],
+  registers: [register],
+});
+
+const dependencyCallRetries = new client.Counter({
+  name: 'dependency_call_retries_total',
+  help: 'Retries of calls to external dependencies, by dependency and operation.',
+  labelNames: ['dependency', 'operation'],
+  registers: [register],
+});
+
+const CIRCUIT_BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+
+const circuitBreakerState = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state per dependency: 0 closed, 1 half-open, 2 open.',
+  labelNames: ['dependency'],
+  registers: [register],
+});
+
+const embeddingCacheLookups = new client.Counter({
+  name: 'embedding_cache_lookups_total',
+  help: 'Embedding cache lookups, by result (hit or miss).',
+  labelNames: ['result'],
+  registers: [register],
+});
+
+// eslint-disable-next-line no-new
+new client.Gauge({
+  name: 'chat_active_sessions',
+  help: 'Conversation sessions currently held by the session manager.',
+  registers: [register],
+  collect() {
+    this.set(sessionManager.countSessions());
+  },
+});
+
+/**
+ * @param {any} error
+ * @returns {boolean} whether the call was canceled by the caller (axios or AbortController)
+ */
+function isCanceled(error) {
+  return error?.name === 'CanceledError' || error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+}
+
+/**
+ * Run a call to an external dependency, recording its duration and whether it failed. Calls
+ * canceled by the caller (e.g. a client closing a chat stream) are recorded as 'canceled', and calls
+ * rejected by an open circuit breaker as 'rejected'; neither counts as a failure.
+ *
+ * @template T
+ * @param {'ollama' | 'vector_store'} dependency
+ * @param {string} operation - e.g. 'chat', 'embed', 'search'
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function observeDependency(dependency, operation, fn) {
+  const end = dependencyCallDuration.startTimer({ dependency, operation });
+  try {
+    const result = await fn();
+    end({ outcome: 'success' });
+    return result;
+  } catch (error) {
+    if (isCanceled(error)) {
+      end({ outcome: 'canceled' });
+    } else if (error?.code === 'CIRCUIT_OPEN') {
+      end({ outcome: 'rejected' });
+    } else {
+      end({ outcome: 'failure' });
+      dependencyCallFailures.inc({ dependency, operation });
+    }
+    throw error;
+  }
+}
+
+/**
+ * @param {string} dependency
+ * @param {string} operation
+ */
+function recordDependencyRetry(dependency, operation) {
+  dependencyCallRetries.inc({ dependency, operation });
+}
+
+/**
+ * @param {string} dependency
+ * @param {'closed' | 'half_open' | 'open'} state
+ */
+function recordCircuitBreakerState(dependency, state) {
+  circuitBreakerState.set({ dependency }, CIRCUIT_BREAKER_STATES[state]);
+}
+
+/**
+ * @param {number} hits
+ * @param {number} misses
+ */
+function recordEmbeddingCacheLookups(hits, misses) {
+  if (hits) embeddingCacheLookups.inc({ result: 'hit' }, hits);
+  if (misses) embeddingCacheLookups.inc({ result: 'miss' }, misses);
+}
+
+/**
+ * Express middleware counting and timing requests. Routes are labelled by their pattern
+ * (e.g. /api/chat/history/:conversationId) to keep label cardinality bounded; requests that
+ * match no route are labelled 'unmatched'.
+ */
+function httpMetrics(req, res, next) {
+  const end = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      // Router-level '/' routes would otherwise read '/api/chat/'.
+      route: req.route ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1') : 'unmatched',
+      status: String(res.statusCode),
+    };
+    end(labels);
+    httpRequestsTotal.inc(labels);
+  });
+  next();
+}
+
+module.exports = {
+  register,
+  observeDependency,
+  isCanceled,
+  recordDependencyRetry,
+  recordCircuitBreakerState,
+  recordEmbeddingCacheLookups,
+  httpMetrics,
+};
@@ -0,0 +1,338 @@
+const { logger } = require('./logger');
+const {
+  observeDependency,
+  isCanceled,
+  recordDependencyRetry,
+  recordCircuitBreakerState,
+} = require('./metrics');
+
+const log = logger.child({ module: 'utils/resilience' });
+
+/**
+ * Shared resilience layer for calls to external dependencies (Ollama, the vector store):
+ *   - retries with exponential backoff and full jitter (RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS)
+ *   - timeouts for calls that have none of their own
+ *   - one circuit breaker per dependency: after CIRCUIT_BREAKER_FAILURE_THRESHOLD consecutive failures
+ *     calls fail fast with a CircuitOpenError for CIRCUIT_BREAKER_RESET_MS, then a single trial call
+ *     decides whether it closes again
+ *
+ * Only failures that suggest the dependency is unhealthy count: network errors, timeouts and
+ * 5xx / 429 responses. Client errors (e.g. an unknown model, a Pinecone dimension mismatch),
+ * programming errors and canceled calls don't.
+ */
+
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 200;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 5000;
+const CIRCUIT_BREAKER_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10) || 5;
+const CIRCUIT_BREAKER_RESET_MS = parseInt(process.env.CIRCUIT_BREAKER_RESET_MS, 10) || 30_000;
+
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED']);
+
+// Pinecone SDK errors for requests that were rejected as invalid, by the client or by Pinecone
+// with a 4xx. The SDK doesn't expose the status, so they are recognized by name.
+const PINECONE_CLIENT_ERRORS = new Set([
+  'PineconeArgumentError',
+  'PineconeAuthorizationError',
+  'PineconeBadRequestError',
+  'PineconeConfigurationError',
+  'PineconeConflictError',
+  'PineconeEnvironmentVarsNotSupportedError',
+  'PineconeNotFoundError',
+]);
+
+// Bugs in our own code (e.g. in the local vector store adapter), not the dependency failing.
+const PROGRAMMING_ERRORS = [TypeError, RangeError, ReferenceError, SyntaxError];
+
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} dependency
+   * @param {number} retryAt - Epoch ms when the breaker next lets a call through.
+   */
+  constructor(dependency, retryAt) {
+    super(`${dependency} is unavailable; retry after ${new Date(retryAt).toISOString()}.`);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.status = 503;
+    this.dependency = dependency;
+    this.retryAt = retryAt;
+  }
+}
+
+class TimeoutError extends Error {
+  /**
+   * @param {string} dependency
+   * @param {string} operation
+   * @param {number} timeoutMs
+   */
+  constructor(dependency, operation, timeoutMs) {
+    super(`${dependency} ${operation} timed out after ${timeoutMs}ms.`);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+/**
+ * @param {any} error
+ * @returns {number | undefined} the HTTP status of a failed call, if it got a response
+ */
+function responseStatus(error) {
+  return error?.response?.status;
+}
+
+/**
+ * @param {any} error
+ * @returns {boolean} whether the dependency answered but rejected the request (a 4xx other than 429)
+ */
+function isClientError(error) {
+  if (PINECONE_CLIENT_ERRORS.has(error?.name)) return true;
+  const status = responseStatus(error);
+  return status !== undefined && status >= 400 && status < 500 && status !== 429;
+}
+
+/**
+ * @param {any} error
+ * @returns {boolean} whether the error says the dependency is unhealthy (as opposed to a bad request)
+ */
+function isDependencyFailure(error) {
+  if (isCanceled(error) || error instanceof CircuitOpenError || isClientError(error)) return false;
+  if (PROGRAMMING_ERRORS.some((ErrorClass) => error instanceof ErrorClass)) return false;
+  const status = responseStatus(error);
+  return status === undefined || status >= 500 || status === 429;
+}
+
+/**
+ * Timeouts are not retried: the caller has already waited the full timeout once.
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  return isDependencyFailure(error) && !TIMEOUT_CODES.has(error?.code);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2^attempt).
+ * @param {number} attempt - 0 for the delay before the first retry.
+ * @returns {number} milliseconds
+ */
+function backoffDelay(attempt) {
+  return Math.round(Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} dependency
+   * @param {{ failureThreshold?: number, resetTimeoutMs?: number }} [options]
+   */
+  constructor(
+    dependency,
+    { failureThreshold = CIRCUIT_BREAKER_FAILURE_THRESHOLD, resetTimeoutMs = CIRCUIT_BREAKER_RESET_MS } = {}
+  ) {
+    this.dependency = dependency;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    recordCircuitBreakerState(dependency, this.state);
+  }
+
+  /**
+   * Run `fn` unless the breaker is open. While half-open only one trial call runs at a time;
+   * concurrent calls are rejected until it settles.
+   *
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async execute(fn) {
+    if (this.state === 'open') {
+      if (Date.now() < this.openedAt + this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.dependency, this.openedAt + this.resetTimeoutMs);
+      }
+      this.transition('half_open');
+    }
+    const isTrial = this.state === 'half_open';
+    if (isTrial) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.dependency, Date.now() + this.resetTimeoutMs);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isDependencyFailure(error)) {
+        this.onFailure(error);
+      } else if (isClientError(error)) {
+        // A client error still means the dependency answered.
+        this.onSuccess();
+      } else if (this.state === 'half_open') {
+        // A canceled trial (or a bug on our side) says nothing about the dependency; the reset
+        // timeout has already passed, so the next call is a trial again.
+        this.state = 'open';
+        recordCircuitBreakerState(this.dependency, this.state);
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  onSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.state !== 'closed') {
+      this.transition('closed');
+    }
+  }
+
+  onFailure(error) {
+    this.consecutiveFailures += 1;
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.transition('open', { error });
+    }
+  }
+
+  /**
+   * @param {'closed' | 'open' | 'half_open'} state
+   * @param {{ error?: Error }} [details] - The failure that opened the breaker.
+   */
+  transition(state, { error } = {}) {
+    const previous = this.state;
+    this.state = state;
+    if (state === 'open') this.openedAt = Date.now();
+    if (state === 'closed') this.openedAt = null;
+    recordCircuitBreakerState(this.dependency, state);
+
+    if (state === 'open') {
+      log.warn(`Circuit breaker for ${this.dependency} opened`, {
+        dependency: this.dependency,
+        from: previous,
+        consecutiveFailures: this.consecutiveFailures,
+        retryAt: new Date(this.openedAt + this.resetTimeoutMs).toISOString(),
+        error,
+      });
+    } else if (state === 'closed') {
+      log.info(`Circuit breaker for ${this.dependency} closed`, { dependency: this.dependency });
+    }
+  }
+
+  /**
+   * @returns {{ state: 'closed' | 'open' | 'half_open', consecutiveFailures: number, retryAt: string | null }}
+   */
+  snapshot() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * @param {string} dependency - e.g. 'ollama', 'vector_store'
+ * @returns {CircuitBreaker} the dependency's breaker, created on first use
+ */
+function getCircuitBreaker(dependency) {
+  if (!breakers.has(dependency)) {
+    breakers.set(dependency, new CircuitBreaker(dependency));
+  }
+  return breakers.get(dependency);
+}
+
+/**
+ * Breaker state of every dependency, for the health endpoint.
+ * @returns {Record<string, { state: string, consecutiveFailures: number, retryAt: string | null }>}
+ */
+function getCircuitBreakerStates() {
+  return Object.fromEntries(Array.from(breakers, ([dependency, breaker]) => [dependency, breaker.snapshot()]));
+}
+
+/**
+ * Run `fn`, retrying retryable failures with exponential backoff and jitter.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {{ dependency: string, operation: string, attempts?: number }} options - `attempts` includes
+ *   the first call.
+ * @returns {Promise<T>}
+ */
+async function withRetry(fn, { dependency, operation, attempts = 1 }) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) throw error;
+      const delayMs = backoffDelay(attempt - 1);
+      log.warn(`${dependency} ${operation} failed, retrying`, {
+        dependency,
+        operation,
+        attempt,
+        attempts,
+        delayMs,
+        error,
+      });
+      recordDependencyRetry(dependency, operation);
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Reject with a TimeoutError if `fn` takes longer than `timeoutMs`. The underlying call is not
+ * canceled, so use it only for clients that can't time out themselves.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {{ dependency: string, operation: string, timeoutMs: number }} options
+ * @returns {Promise<T>}
+ */
+function withTimeout(fn, { dependency, operation, timeoutMs }) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(dependency, operation, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([fn(), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call an external dependency through its circuit breaker, with retries and an optional timeout per
+ * attempt, recording the call in the dependency metrics.
+ *
+ * @template T
+ * @param {string} dependency
+ * @param {string} operation
+ * @param {() => Promise<T>} fn
+ * @param {{ attempts?: number, timeoutMs?: number }} [options] - Omit `timeoutMs` when `fn` enforces its own.
+ * @returns {Promise<T>}
+ */
+function callDependency(dependency, operation, fn, { attempts = 1, timeoutMs } = {}) {
+  const attempt = timeoutMs ? () => withTimeout(fn, { dependency, operation, timeoutMs }) : fn;
+  return observeDependency(dependency, operation, () =>
+    getCircuitBreaker(dependency).execute(() => withRetry(attempt, { dependency, operation, attempts }))
+  );
+}
+
+module.exports = {
+  CircuitOpenError,
+  TimeoutError,
+  getCircuitBreaker,
+  getCircuitBreakerStates,
+  withRetry,
+  withTimeout,
+  callDependency,
+};
@@ -0,0 +1,48 @@
+/**
+ * Roles in ascending order of privilege. Each role includes the permissions of the ones before it:
+ *   viewer - chat and browse/search the knowledge base
+ *   editor - also add and upload knowledge
+ *   admin  - also delete knowledge, clear all conversations and manage users
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const DEFAULT_ROLE = ROLES.includes(process.env.AUTH_DEFAULT_ROLE) ? process.env.AUTH_DEFAULT_ROLE : 'viewer';
+
+/**
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Whether `role` grants at least the privileges of `requiredRole`.
+ * @param {string} role
+ * @param {string} requiredRole
+ * @returns {boolean}
+ */
+function hasRole(role, requiredRole) {
+  return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Pick the most privileged known role from a claim value (a string, a space/comma separated
+ * list, or an array). Returns null if none match.
+ * @param {string | string[] | undefined} claim
+ * @returns {string | null}
+ */
+function highestRole(claim) {
+  const values = Array.isArray(claim) ? claim : String(claim || '').split(/[\s,]+/);
+  const known = values.map((v) => String(v).toLowerCase()).filter(isValidRole);
+  if (known.length === 0) return null;
+  return known.reduce((best, role) => (hasRole(role, best) ? role : best));
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  hasRole,
+  highestRole,
+};
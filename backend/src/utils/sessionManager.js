@@ -1,20 +1,51 @@
 const { v4: uuidv4 } = require('uuid');
+const { createSessionStore } = require('./sessionStore');
+const { logger } = require('./logger');
+
+const log = logger.child({ module: 'utils/sessionManager' });
+
+const DEFAULT_RETENTION_HOURS = 24 * 7;
+const MAX_TITLE_LENGTH = 80;
+
+function truncateTitle(text) {
+  const singleLine = String(text || '').replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= MAX_TITLE_LENGTH) return singleLine;
+  return `${singleLine.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`;
+}
 
 /**
- * In-memory conversation/session manager backed by a Map.
+ * Conversation/session manager backed by a Map, with durability delegated to a session store
+ * (see sessionStore.js). Sessions idle for longer than SESSION_RETENTION_HOURS are removed;
+ * set it to 0 to keep sessions indefinitely.
  *
  * Structure:
  * {
  *   conversationId: {
- *     messages: [{ role: 'user' | 'assistant', content: string, timestamp: string }],
+ *     messages: [{ id: string, role: 'user' | 'assistant', content: string, timestamp: string, ...extra }],
  *     lastActivity: Date,
- *     metadata: { userId: string | null, startTime: string }
+ *     metadata: {
+ *       userId: string | null,
+ *       startTime: string,
+ *       title: string | null,
+ *       titleSource: 'auto' | 'user' | null
+ *     }
  *   }
  * }
  */
 class SessionManager {
-  constructor() {
-    this.sessions = new Map();
+  /**
+   * @param {{ store?: object, retentionHours?: number }} [options]
+   */
+  constructor({ store = createSessionStore(), retentionHours } = {}) {
+    this.store = store;
+    this.sessions = new Map(this.store.loadAll());
+
+    const configuredRetention = parseFloat(process.env.SESSION_RETENTION_HOURS);
+    this.retentionHours =
+      retentionHours ?? (Number.isNaN(configuredRetention) ? DEFAULT_RETENTION_HOURS : configuredRetention);
+
+    // Drop anything that expired while the server was down.
+    this.cleanupInactive();
 
     // Auto-cleanup every 15 minutes
     const FIFTEEN_MINUTES = 15 * 60 * 1000;
@@ -22,8 +53,7 @@ class SessionManager {
       try {
         this.cleanupInactive();
       } catch (error) {
-        // eslint-disable-next-line no-console
-        console.error('Session cleanup error:', error);
+        log.error('Session cleanup error', { error });
       }
     }, FIFTEEN_MINUTES).unref();
   }
@@ -37,51 +67,166 @@ class SessionManager {
     const id = uuidv4();
     const now = new Date();
 
-    this.sessions.set(id, {
+    const session = {
       messages: [],
       lastActivity: now,
       metadata: {
         userId,
         startTime: now.toISOString(),
+        title: null,
+        titleSource: null,
       },
-    });
+    };
+
+    this.sessions.set(id, session);
+    this.store.save(id, session);
 
     return id;
   }
 
   /**
-   * Add a message to a conversation.
+   * Add a message to a conversation. The first user message also becomes the
+   * provisional conversation title until a better one is set.
    * @param {string} conversationId
    * @param {'user' | 'assistant'} role
    * @param {string} content
+   * @param {object} [extra] - Additional fields stored on the message (e.g. sources, confidence).
+   * @returns {object | null} the stored message
    */
-  addMessage(conversationId, role, content) {
-    if (!conversationId) return;
+  addMessage(conversationId, role, content, extra = {}) {
+    if (!conversationId) return null;
 
     const session = this.sessions.get(conversationId);
     if (!session) {
-      return;
+      return null;
     }
 
     const now = new Date();
-    session.messages.push({
+    const message = {
+      ...extra,
+      id: uuidv4(),
       role,
       content,
       timestamp: now.toISOString(),
-    });
+    };
+    session.messages.push(message);
     session.lastActivity = now;
+
+    if (role === 'user' && !session.metadata.title) {
+      session.metadata.title = truncateTitle(content);
+      session.metadata.titleSource = 'auto';
+    }
+
+    this.store.save(conversationId, session);
+    return message;
+  }
+
+  /**
+   * Merge `changes` into a stored message.
+   * @param {string} conversationId
+   * @param {string} messageId
+   * @param {object} changes
+   * @returns {object | null} the updated message, or null if not found
+   */
+  updateMessage(conversationId, messageId, changes) {
+    const session = this.sessions.get(conversationId);
+    const message = session?.messages.find((m) => m.id === messageId);
+    if (!message) return null;
+
+    Object.assign(message, changes);
+    this.store.save(conversationId, session);
+    return message;
+  }
+
+  /**
+   * Remove a message, e.g. a question whose answer failed. A conversation left empty also loses
+   * the provisional title taken from that question.
+   * @param {string} conversationId
+   * @param {string} messageId
+   * @returns {boolean} true if the message was removed
+   */
+  removeMessage(conversationId, messageId) {
+    const session = this.sessions.get(conversationId);
+    const index = session ? session.messages.findIndex((m) => m.id === messageId) : -1;
+    if (index === -1) return false;
+
+    session.messages.splice(index, 1);
+    if (session.messages.length === 0 && session.metadata.titleSource === 'auto') {
+      session.metadata.title = null;
+      session.metadata.titleSource = null;
+    }
+    this.store.save(conversationId, session);
+    return true;
+  }
+
+  /**
+   * Set a conversation's title. Automatic titles never overwrite one chosen by the user.
+   * @param {string} conversationId
+   * @param {string} title
+   * @param {{ auto?: boolean }} [options]
+   * @returns {boolean} true if the title was updated
+   */
+  setTitle(conversationId, title, { auto = false } = {}) {
+    const session = this.sessions.get(conversationId);
+    if (!session) return false;
+    if (auto && session.metadata.titleSource === 'user') return false;
+
+    session.metadata.title = truncateTitle(title);
+    session.metadata.titleSource = auto ? 'auto' : 'user';
+    this.store.save(conversationId, session);
+    return true;
+  }
+
+  /**
+   * Summaries of all conversations that have messages, most recently active first. A conversation
+   * whose first question failed stays empty (and unlisted) until it is retried.
+   * @param {{ userId?: string, query?: string }} [options] - Owner to list for, and a case-insensitive
+   *   filter on title and message content.
+   * @returns {Array<{ conversationId: string, title: string | null, messageCount: number, lastActivity: string, startTime: string }>}
+   */
+  listConversations({ userId, query } = {}) {
+    const needle = (query || '').trim().toLowerCase();
+    const results = [];
+
+    this.sessions.forEach((session, id) => {
+      if (userId !== undefined && session.metadata.userId !== userId) return;
+      if (session.messages.length === 0) return;
+      if (needle) {
+        const inTitle = (session.metadata.title || '').toLowerCase().includes(needle);
+        const inMessages = session.messages.some((m) => m.content.toLowerCase().includes(needle));
+        if (!inTitle && !inMessages) return;
+      }
+
+      results.push({
+        conversationId: id,
+        title: session.metadata.title || null,
+        messageCount: session.messages.length,
+        lastActivity: new Date(session.lastActivity).toISOString(),
+        startTime: session.metadata.startTime,
+      });
+    });
+
+    return results.sort((a, b) => b.lastActivity.localeCompare(a.lastActivity));
   }
 
   /**
-   * Get the last 10 messages for a conversation.
+   * @returns {number} number of sessions currently held
+   */
+  countSessions() {
+    return this.sessions.size;
+  }
+
+  /**
+   * Get the most recent messages for a conversation.
    * @param {string} conversationId
+   * @param {number | null} [limit=10] - Number of trailing messages to return; null for all.
    * @returns {{ messages: Array, metadata: any } | null}
    */
-  getConversation(conversationId) {
+  getConversation(conversationId, limit = 10) {
     const session = this.sessions.get(conversationId);
     if (!session) return null;
 
-    const messages = session.messages.slice(-10);
+    const messages = limit ? session.messages.slice(-limit) : session.messages.slice();
 
     return {
       messages,
@@ -95,24 +240,52 @@ class SessionManager {
    * @returns {boolean} true if deleted
    */
   deleteSession(conversationId) {
-    return this.sessions.delete(conversationId);
+    const deleted = this.sessions.delete(conversationId);
+    if (deleted) {
+      this.store.delete(conversationId);
+    }
+    return deleted;
   }
 
   /**
-   * Delete all sessions.
+   * Delete all sessions, or only those owned by `userId` when given.
+   * @param {string} [userId]
    * @returns {number} number of sessions cleared
    */
-  clearAll() {
-    const count = this.sessions.size;
-    this.sessions.clear();
+  clearAll(userId) {
+    if (userId === undefined) {
+      const count = this.sessions.size;
+      this.sessions.clear();
+      this.store.clear();
+      return count;
+    }
+
+    let count = 0;
+    this.sessions.forEach((session, id) => {
+      if (session.metadata.userId === userId) {
+        this.sessions.delete(id);
+        this.store.delete(id);
+        count += 1;
+      }
+    });
     return count;
   }
 
   /**
-   * Remove sessions that have been inactive for more than 1 hour.
+   * Wait for pending writes to the session store to complete.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.store.flush();
+  }
+
+  /**
+   * Remove sessions that have been inactive for longer than the retention period.
    */
   cleanupInactive() {
-    const ONE_HOUR = 60 * 60 * 1000;
+    if (!this.retentionHours || this.retentionHours <= 0) return;
+
+    const maxAge = this.retentionHours * 60 * 60 * 1000;
     const now = Date.now();
 
     let removed = 0;
@@ -120,15 +293,15 @@ class SessionManager {
     this.sessions.forEach((session, id) => {
       if (!session.lastActivity) return;
       const age = now - new Date(session.lastActivity).getTime();
-      if (age > ONE_HOUR) {
+      if (age > maxAge) {
         this.sessions.delete(id);
+        this.store.delete(id);
         removed += 1;
       }
     });
 
     if (removed > 0) {
-      // eslint-disable-next-line no-console
-      console.log(`Cleaned up ${removed} inactive conversation session(s).`);
+      log.info(`Cleaned up ${removed} inactive conversation session(s).`);
     }
   }
 }
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { CoalescedFileWriter } = require('./fileWriter');
+
+const log = logger.child({ module: 'utils/sessionStore' });
+
+/**
+ * Persistence backends for SessionManager.
+ *
+ * SessionManager keeps the working set in memory so its API stays synchronous; a store is
+ * told about every change and is responsible for making it durable. Every store implements:
+ *   loadAll()          -> Array<[conversationId, session]>  (called once at startup)
+ *   save(id, session)  -> void
+ *   delete(id)         -> void
+ *   clear()            -> void
+ *   flush()            -> Promise<void>  (resolves once pending writes are durable)
+ */
+
+/**
+ * Keeps nothing beyond process memory. Sessions are lost on restart; useful for tests.
+ */
+class MemorySessionStore {
+  // eslint-disable-next-line class-methods-use-this
+  loadAll() {
+    return [];
+  }
+
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  save(_id, _session) {}
+
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  delete(_id) {}
+
+  // eslint-disable-next-line class-methods-use-this
+  clear() {}
+
+  // eslint-disable-next-line class-methods-use-this
+  flush() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Persists all sessions to a single JSON file, written asynchronously (see utils/fileWriter.js).
+ */
+class FileSessionStore {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.sessions = new Map();
+    this.writer = new CoalescedFileWriter(filePath, () =>
+      JSON.stringify({ sessions: Object.fromEntries(this.sessions) })
+    );
+  }
+
+  loadAll() {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(parsed.sessions || {}).forEach(([id, session]) => {
+        this.sessions.set(id, {
+          ...session,
+          lastActivity: new Date(session.lastActivity),
+        });
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Failed to load sessions from ${this.filePath}`, { error });
+      }
+    }
+    return Array.from(this.sessions.entries());
+  }
+
+  save(id, session) {
+    this.sessions.set(id, session);
+    this.persist();
+  }
+
+  delete(id) {
+    if (this.sessions.delete(id)) {
+      this.persist();
+    }
+  }
+
+  clear() {
+    this.sessions.clear();
+    this.persist();
+  }
+
+  flush() {
+    return this.writer.flush();
+  }
+
+  persist() {
+    this.writer.write().catch((error) => {
+      log.error('Failed to persist sessions', { error });
+    });
+  }
+}
+
+/**
+ * Create the session store selected by SESSION_STORE ('file' by default, or 'memory').
+ * @returns {MemorySessionStore | FileSessionStore}
+ */
+function createSessionStore() {
+  const type = (process.env.SESSION_STORE || 'file').toLowerCase();
+
+  if (type === 'memory') {
+    return new MemorySessionStore();
+  }
+  if (type === 'file') {
+    const filePath = path.resolve(
+      process.env.SESSION_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'sessions.json')
+    );
+    return new FileSessionStore(filePath);
+  }
+
+  throw new Error(`Unknown SESSION_STORE "${type}". Expected "file" or "memory".`);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+};
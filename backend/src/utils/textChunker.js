@@ -0,0 +1,195 @@
+/**
+ * Split long documents into overlapping chunks suitable for embedding.
+ *
+ * Text is first divided into sections at Markdown headings, then each section is
+ * packed greedily from paragraphs. Paragraphs that exceed the budget are broken into
+ * sentences, and sentences that still exceed it are broken into words. Consecutive
+ * chunks within a section share up to `overlapTokens` worth of trailing units so that
+ * facts spanning a boundary remain retrievable.
+ */
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+const SENTENCE_BOUNDARY = /(?<=[.!?])\s+(?=\S)/;
+
+/**
+ * Rough token estimate (~4 characters per token for English text).
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Split text into sections at Markdown headings.
+ * @param {string} text
+ * @returns {Array<{ heading: string | null, body: string }>}
+ */
+function splitSections(text) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(HEADING_PATTERN);
+    if (match) {
+      if (current.heading || current.lines.join('').trim()) {
+        sections.push(current);
+      }
+      current = { heading: match[1], lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  sections.push(current);
+
+  return sections
+    .map((s) => ({ heading: s.heading, body: s.lines.join('\n').trim() }))
+    .filter((s) => s.body || s.heading);
+}
+
+/**
+ * Break a piece of text into units that each fit within `maxTokens`,
+ * preferring paragraph, then sentence, then word boundaries.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {Array<{ text: string, startsParagraph: boolean }>}
+ */
+function splitUnits(text, maxTokens) {
+  const units = [];
+
+  text
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean)
+    .forEach((paragraph) => {
+      if (estimateTokens(paragraph) <= maxTokens) {
+        units.push({ text: paragraph, startsParagraph: true });
+        return;
+      }
+
+      let first = true;
+      const push = (text) => {
+        units.push({ text, startsParagraph: first });
+        first = false;
+      };
+
+      paragraph.split(SENTENCE_BOUNDARY).forEach((sentence) => {
+        if (estimateTokens(sentence) <= maxTokens) {
+          push(sentence);
+          return;
+        }
+
+        let piece = '';
+        sentence.split(/\s+/).forEach((word) => {
+          const candidate = piece ? `${piece} ${word}` : word;
+          if (piece && estimateTokens(candidate) > maxTokens) {
+            push(piece);
+            piece = word;
+          } else {
+            piece = candidate;
+          }
+        });
+        if (piece) push(piece);
+      });
+    });
+
+  return units;
+}
+
+/**
+ * Join units back into text, separating paragraphs with a blank line and
+ * sentences within a paragraph with a space.
+ * @param {Array<{ text: string, startsParagraph: boolean }>} units
+ * @returns {string}
+ */
+function joinUnits(units) {
+  return units
+    .map((unit, idx) => {
+      if (idx === 0) return unit.text;
+      return `${unit.startsParagraph ? '\n\n' : ' '}${unit.text}`;
+    })
+    .join('');
+}
+
+/**
+ * Pack units into chunks of at most `maxTokens`, carrying trailing units
+ * (up to `overlapTokens`) into the next chunk.
+ * @param {Array<{ text: string, startsParagraph: boolean }>} units
+ * @param {number} maxTokens
+ * @param {number} overlapTokens
+ * @returns {string[]}
+ */
+function packUnits(units, maxTokens, overlapTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let freshUnits = 0;
+
+  units.forEach((unit) => {
+    const unitTokens = estimateTokens(unit.text);
+
+    if (freshUnits > 0 && currentTokens + unitTokens > maxTokens) {
+      chunks.push(joinUnits(current));
+
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i >= 0; i -= 1) {
+        const size = estimateTokens(current[i].text);
+        if (overlapSize + size > overlapTokens || overlapSize + size + unitTokens > maxTokens) break;
+        overlap.unshift(current[i]);
+        overlapSize += size;
+      }
+
+      current = overlap;
+      currentTokens = overlapSize;
+      freshUnits = 0;
+    }
+
+    current.push(unit);
+    currentTokens += unitTokens;
+    freshUnits += 1;
+  });
+
+  if (freshUnits > 0) {
+    chunks.push(joinUnits(current));
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a document into overlapping chunks.
+ *
+ * @param {string} text
+ * @param {{ maxTokens?: number, overlapTokens?: number }} [options]
+ * @returns {Array<{ text: string, section: string | null, index: number }>}
+ */
+function chunkText(text, { maxTokens = 400, overlapTokens = 50 } = {}) {
+  const chunks = [];
+
+  splitSections(text || '').forEach(({ heading, body }) => {
+    // Reserve room for the heading, which is repeated at the top of every chunk in its section.
+    const headingTokens = heading ? estimateTokens(heading) + 1 : 0;
+    const budget = Math.max(1, maxTokens - headingTokens);
+
+    const pieces = body ? packUnits(splitUnits(body, budget), budget, overlapTokens) : [];
+    if (pieces.length === 0 && heading) {
+      pieces.push('');
+    }
+
+    pieces.forEach((piece) => {
+      chunks.push({
+        text: heading ? `${heading}\n\n${piece}`.trim() : piece,
+        section: heading,
+        index: chunks.length,
+      });
+    });
+  });
+
+  return chunks;
+}
+
+module.exports = {
+  chunkText,
+  estimateTokens,
+};
@@ -0,0 +1,26 @@
+const path = require('path');
+const CappedLogStore = require('./cappedLogStore');
+
+const USAGE_STORE_PATH = path.resolve(
+  process.env.USAGE_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'usage.jsonl')
+);
+const USAGE_MAX_ENTRIES = parseInt(process.env.USAGE_MAX_ENTRIES, 10) || 10000;
+
+/**
+ * Per-request chat metrics. Once USAGE_MAX_ENTRIES is reached the oldest entries are dropped.
+ *
+ * Entry: {
+ *   id: string, createdAt: string, endpoint: 'chat' | 'stream', status: 'ok' | 'error' | 'aborted',
+ *   userId: string | null, conversationId: string, messageId: string | null, model: string,
+ *   totalMs: number, rewriteMs: number | null, retrievalMs: number | null, embeddingMs: number | null,
+ *   vectorSearchMs: number | null, rerankMs: number | null, generationMs: number | null,
+ *   firstTokenMs: number | null, promptTokens: number | null, completionTokens: number | null,
+ *   confidence: string | null, retrieved: Array<{ documentId: string, score: number }>,
+ *   citedDocumentIds: string[],
+ * }
+ */
+module.exports = new CappedLogStore({
+  filePath: USAGE_STORE_PATH,
+  maxEntries: USAGE_MAX_ENTRIES,
+  description: 'usage metrics',
+});
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_ROLE, isValidRole } = require('./roles');
+const { logger } = require('./logger');
+const { CoalescedFileWriter } = require('./fileWriter');
+
+const log = logger.child({ module: 'utils/userStore' });
+
+const scrypt = promisify(crypto.scrypt);
+
+const USER_STORE_PATH = path.resolve(
+  process.env.USER_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'users.json')
+);
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$<salt hex>$<hash hex>`
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - Value produced by hashPassword.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Local user accounts persisted to a JSON file.
+ *
+ * Structure:
+ * {
+ *   users: [{ id: string, username: string, role: string, passwordHash: string, createdAt: string }]
+ * }
+ *
+ * Accounts created before roles existed have no `role` and are treated as DEFAULT_ROLE.
+ */
+class UserStore {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = new Map();
+    // Lowercased usernames whose accounts are being created (password hashing is async).
+    this.pendingUsernames = new Set();
+    // Set while the first account is being created, so no concurrent registration also becomes it.
+    this.firstUserReserved = false;
+    this.writer = new CoalescedFileWriter(
+      filePath,
+      () => JSON.stringify({ users: Array.from(this.users.values()) }, null, 2),
+      { mode: 0o600 }
+    );
+
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      (parsed.users || []).forEach((user) => {
+        this.users.set(user.id, { ...user, role: isValidRole(user.role) ? user.role : DEFAULT_ROLE });
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error(`Failed to load users from ${this.filePath}`, { error });
+      }
+    }
+  }
+
+  /**
+   * @returns {number} accounts, counting a first account that is still being created
+   */
+  count() {
+    return this.users.size + (this.firstUserReserved ? 1 : 0);
+  }
+
+  /**
+   * @param {string} username
+   * @returns {object | null}
+   */
+  findByUsername(username) {
+    const needle = String(username || '').toLowerCase();
+    return Array.from(this.users.values()).find((u) => u.username.toLowerCase() === needle) || null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object | null}
+   */
+  findById(id) {
+    return this.users.get(id) || null;
+  }
+
+  /**
+   * @returns {Array<{ id: string, username: string, role: string, createdAt: string }>}
+   */
+  listUsers() {
+    return Array.from(this.users.values()).map(UserStore.toPublic);
+  }
+
+  /**
+   * Create a user. Throws if the username is taken.
+   * @param {string} username
+   * @param {string} password
+   * @param {string} [role]
+   * @param {{ firstUserRole?: string }} [options] - Role to give instead of `role` if this is the first
+   *   account. Decided atomically: of several concurrent calls only one can be the first.
+   * @returns {Promise<{ id: string, username: string, role: string, createdAt: string }>}
+   */
+  async createUser(username, password, role = DEFAULT_ROLE, { firstUserRole } = {}) {
+    const key = String(username).toLowerCase();
+    // Checked and reserved before the first await so concurrent registrations can't both take the name.
+    if (this.findByUsername(username) || this.pendingUsernames.has(key)) {
+      const error = new Error('Username is already taken.');
+      error.status = 409;
+      throw error;
+    }
+    this.pendingUsernames.add(key);
+    const claimsFirst = firstUserRole !== undefined && this.count() === 0;
+    if (claimsFirst) this.firstUserReserved = true;
+
+    try {
+      const passwordHash = await hashPassword(password);
+      const user = {
+        id: uuidv4(),
+        username,
+        // Re-checked at insert time in case an account was added without going through the reservation.
+        role: claimsFirst && this.users.size === 0 ? firstUserRole : role,
+        passwordHash,
+        createdAt: new Date().toISOString(),
+      };
+
+      this.users.set(user.id, user);
+      await this.save();
+      return UserStore.toPublic(user);
+    } finally {
+      this.pendingUsernames.delete(key);
+      if (claimsFirst) this.firstUserReserved = false;
+    }
+  }
+
+  /**
+   * Check a username/password pair.
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<object | null>} the public user, or null if the credentials are wrong
+   */
+  async verifyCredentials(username, password) {
+    const user = this.findByUsername(username);
+    if (!user) {
+      // Spend comparable time on unknown usernames so response timing doesn't reveal them.
+      await hashPassword(password);
+      return null;
+    }
+    const valid = await verifyPassword(password, user.passwordHash);
+    return valid ? UserStore.toPublic(user) : null;
+  }
+
+  /**
+   * Change a user's role.
+   * @param {string} id
+   * @param {string} role
+   * @returns {Promise<object | null>} the updated public user, or null if not found
+   */
+  async setRole(id, role) {
+    if (!isValidRole(role)) {
+      throw new Error(`Unknown role "${role}".`);
+    }
+    const user = this.users.get(id);
+    if (!user) return null;
+
+    user.role = role;
+    await this.save();
+    return UserStore.toPublic(user);
+  }
+
+  save() {
+    return this.writer.write();
+  }
+
+  /**
+   * Strip secrets from a stored user.
+   * @param {object} user
+   * @returns {{ id: string, username: string, role: string, createdAt: string }}
+   */
+  static toPublic(user) {
+    // eslint-disable-next-line no-unused-vars
+    const { passwordHash, ...rest } = user;
+    return rest;
+  }
+}
+
+// Export a singleton instance
+module.exports = new UserStore(USER_STORE_PATH);
@@ -0,0 +1,40 @@
+/**
+ * @param {number[]} vector
+ * @returns {number[]} the vector scaled to unit length (unchanged if it is all zeros)
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm ? vector.map((x) => x / norm) : vector;
+}
+
+/**
+ * @param {number[][]} vectors
+ * @returns {number[] | null} unit-length mean of the (normalized) vectors
+ */
+function meanDirection(vectors) {
+  if (!vectors.length) return null;
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach((vector) => {
+    normalize(vector).forEach((x, i) => {
+      sum[i] += x;
+    });
+  });
+  return normalize(sum);
+}
+
+/**
+ * Cosine similarity of two unit vectors; 0 if either is missing or their lengths differ.
+ * @param {number[] | null} a
+ * @param {number[] | null} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  return a.reduce((sum, x, i) => sum + x * b[i], 0);
+}
+
+module.exports = {
+  normalize,
+  meanDirection,
+  similarity,
+};
@@ -1,12 +1,25 @@
-import React, { useEffect, useState } from 'react';
-import { Toaster } from 'react-hot-toast';
-import { Bars3Icon, Cog6ToothIcon } from '@heroicons/react/24/outline';
+import React, { useCallback, useEffect, useState } from 'react';
+import toast, { Toaster } from 'react-hot-toast';
+import { ArrowRightOnRectangleIcon, Bars3Icon, ChartBarIcon, Cog6ToothIcon } from '@heroicons/react/24/outline';
 import { motion, AnimatePresence } from 'framer-motion';
 import ChatInterface from './components/ChatInterface';
+import ConversationSidebar from './components/ConversationSidebar';
 import KnowledgePanel from './components/KnowledgePanel';
-import api from './services/api';
+import LoginScreen from './components/LoginScreen';
+import SettingsModal from './components/SettingsModal';
+import UsageDashboard from './components/UsageDashboard';
+import api, { AUTH_LOGOUT_EVENT } from './services/api';
 
 const THEME_KEY = 'enterprise-ai-assistant:theme';
+const CONVERSATION_KEY = 'enterprise-ai-assistant:conversationId';
+const GENERATION_SETTINGS_KEY = 'enterprise-ai-assistant:generation';
+const DEFAULT_GENERATION_SETTINGS = { model: '', temperature: null };
+// Messages used to be cached client-side; they now come from the server.
+const LEGACY_MESSAGES_KEY = 'enterprise-ai-assistant:messages';
+const VECTOR_STORE_LABELS = {
+  pinecone: 'Pinecone',
+  local: 'Local store',
+};
 
 function ErrorBoundary({ children }) {
   const [error, setError] = useState(null);
@@ -53,12 +66,110 @@ function ErrorBoundary({ children }) {
   );
 }
 
-function AppContent() {
+function loadGenerationSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(GENERATION_SETTINGS_KEY));
+    return { ...DEFAULT_GENERATION_SETTINGS, ...stored };
+  } catch (err) {
+    return DEFAULT_GENERATION_SETTINGS;
+  }
+}
+
+function AppContent({ user, onLogout }) {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const [health, setHealth] = useState({ status: 'loading', ollama: 'unknown', pinecone: 'unknown' });
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [usageOpen, setUsageOpen] = useState(false);
+  const [generationSettings, setGenerationSettings] = useState(loadGenerationSettings);
+  const [health, setHealth] = useState({
+    status: 'loading',
+    ollama: 'unknown',
+    vectorStore: 'unknown',
+    vectorStoreBackend: 'unknown',
+  });
   const [loading, setLoading] = useState(true);
   const [darkMode, setDarkMode] = useState(false);
 
+  const [activeConversationId, setActiveConversationId] = useState(
+    () => localStorage.getItem(CONVERSATION_KEY) || null
+  );
+  const [conversations, setConversations] = useState([]);
+  const [conversationSearch, setConversationSearch] = useState('');
+  const [loadingConversations, setLoadingConversations] = useState(true);
+
+  // Remember the active conversation across reloads
+  useEffect(() => {
+    localStorage.removeItem(LEGACY_MESSAGES_KEY);
+    if (activeConversationId) {
+      localStorage.setItem(CONVERSATION_KEY, activeConversationId);
+    } else {
+      localStorage.removeItem(CONVERSATION_KEY);
+    }
+  }, [activeConversationId]);
+
+  useEffect(() => {
+    localStorage.setItem(GENERATION_SETTINGS_KEY, JSON.stringify(generationSettings));
+  }, [generationSettings]);
+
+  const closeSettings = useCallback(() => setSettingsOpen(false), []);
+  const closeUsage = useCallback(() => setUsageOpen(false), []);
+
+  const refreshConversations = useCallback(async () => {
+    const res = await api.listConversations(conversationSearch.trim());
+    if (res.success) {
+      setConversations(res.data.conversations || []);
+    }
+    setLoadingConversations(false);
+  }, [conversationSearch]);
+
+  // Reload the list on mount and (debounced) whenever the search changes
+  useEffect(() => {
+    const timeout = setTimeout(refreshConversations, 250);
+    return () => clearTimeout(timeout);
+  }, [refreshConversations]);
+
+  const handleSelectConversation = (id) => {
+    setActiveConversationId(id);
+    setSidebarOpen(false);
+  };
+
+  const handleRenameConversation = async (id, title) => {
+    const res = await api.renameConversation(id, title);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to rename conversation.');
+      return;
+    }
+    refreshConversations();
+  };
+
+  const handleDeleteConversation = async (id) => {
+    const confirmed = window.confirm('Delete this conversation? This cannot be undone.');
+    if (!confirmed) return;
+
+    const res = await api.clearConversation(id);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to delete conversation.');
+      return;
+    }
+    if (id === activeConversationId) {
+      setActiveConversationId(null);
+    }
+    refreshConversations();
+  };
+
+  const conversationSidebar = (
+    <ConversationSidebar
+      conversations={conversations}
+      activeId={activeConversationId}
+      loading={loadingConversations}
+      search={conversationSearch}
+      onSearchChange={setConversationSearch}
+      onSelect={handleSelectConversation}
+      onNew={() => handleSelectConversation(null)}
+      onRename={handleRenameConversation}
+      onDelete={handleDeleteConversation}
+    />
+  );
+
   // Initialize dark mode from localStorage
   useEffect(() => {
     const storedTheme = localStorage.getItem(THEME_KEY);
@@ -91,7 +202,8 @@ function AppContent() {
           setHealth({
             status: 'error',
             ollama: 'disconnected',
-            pinecone: 'disconnected',
+            vectorStore: 'disconnected',
+            vectorStoreBackend: 'unknown',
           });
         }
       } finally {
@@ -119,13 +231,15 @@ function AppContent() {
     );
   }
 
-  const isHealthy = health.status === 'ok' && health.ollama === 'connected' && health.pinecone === 'connected';
+  const isHealthy =
+    health.status === 'ok' && health.ollama === 'connected' && health.vectorStore === 'connected';
+  const vectorStoreLabel = VECTOR_STORE_LABELS[health.vectorStoreBackend] || 'Vector store';
 
   return (
     <div className="flex h-screen flex-col bg-slate-950 text-slate-50">
       <Toaster position="top-right" />
       <header className="border-b border-slate-800 bg-slate-900/80 px-4 py-2 backdrop-blur">
-        <div className="mx-auto flex max-w-6xl items-center justify-between">
+        <div className="mx-auto flex max-w-7xl items-center justify-between">
           <div className="flex items-center gap-3">
             <button
               type="button"
@@ -138,7 +252,7 @@ function AppContent() {
               <div className="flex items-center gap-2">
                 <span className="text-sm font-semibold tracking-tight">Enterprise AI Assistant</span>
                 <span className="rounded-full bg-slate-800 px-2 py-0.5 text-[10px] uppercase tracking-wide text-slate-300">
-                  RAG · LLaMA · Pinecone
+                  RAG · LLaMA · {vectorStoreLabel}
                 </span>
               </div>
               <div className="mt-0.5 flex items-center gap-2 text-[11px] text-slate-400">
@@ -149,7 +263,7 @@ function AppContent() {
                 />
                 <span>
                   {isHealthy
-                    ? 'Connected to Ollama & Pinecone'
+                    ? `Connected to Ollama & ${vectorStoreLabel}`
                     : 'Connection issue. Check backend / models / API keys.'}
                 </span>
               </div>
@@ -167,11 +281,34 @@ function AppContent() {
             </button>
             <button
               type="button"
+              onClick={() => setSettingsOpen(true)}
               className="hidden items-center gap-1 rounded-full border border-slate-700 bg-slate-800 px-3 py-1 text-[11px] text-slate-200 shadow-sm hover:bg-slate-700 sm:inline-flex"
             >
               <Cog6ToothIcon className="h-4 w-4" />
               Settings
             </button>
+            {user.role === 'admin' && (
+              <button
+                type="button"
+                onClick={() => setUsageOpen(true)}
+                className="hidden items-center gap-1 rounded-full border border-slate-700 bg-slate-800 px-3 py-1 text-[11px] text-slate-200 shadow-sm hover:bg-slate-700 sm:inline-flex"
+              >
+                <ChartBarIcon className="h-4 w-4" />
+                Analytics
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onLogout}
+              title={`Signed in as ${user.username}`}
+              className="inline-flex items-center gap-1 rounded-full border border-slate-700 bg-slate-800 px-3 py-1 text-[11px] text-slate-200 shadow-sm hover:bg-slate-700"
+            >
+              <ArrowRightOnRectangleIcon className="h-4 w-4" />
+              <span className="hidden sm:inline">
+                Sign out {user.username}
+                {user.role && <span className="ml-1 text-slate-400">({user.role})</span>}
+              </span>
+            </button>
           </div>
         </div>
       </header>
@@ -194,29 +331,96 @@ function AppContent() {
               >
                 Close
               </button>
-              <KnowledgePanel />
+              <div className="flex h-[calc(100%-2rem)] flex-col gap-3">
+                <div className="h-2/5">{conversationSidebar}</div>
+                <div className="min-h-0 flex-1">
+                  <KnowledgePanel role={user.role} />
+                </div>
+              </div>
             </motion.aside>
           )}
         </AnimatePresence>
 
-        <div className="mx-auto flex h-full w-full max-w-6xl flex-1 flex-col lg:flex-row lg:gap-3 lg:px-4 lg:py-3">
+        <div className="mx-auto flex h-full w-full max-w-7xl flex-1 flex-col lg:flex-row lg:gap-3 lg:px-4 lg:py-3">
+          <aside className="hidden h-full w-60 flex-shrink-0 lg:block">{conversationSidebar}</aside>
+
           <section className="flex h-full flex-1 rounded-xl bg-slate-900/80 shadow-card-strong backdrop-blur">
-            <ChatInterface />
+            <ChatInterface
+              conversationId={activeConversationId}
+              onConversationChange={setActiveConversationId}
+              onConversationUpdated={refreshConversations}
+              generationSettings={generationSettings}
+            />
           </section>
 
           <aside className="mt-3 hidden h-full w-full max-w-xs flex-shrink-0 lg:mt-0 lg:block">
-            <KnowledgePanel />
+            <KnowledgePanel role={user.role} />
           </aside>
         </div>
       </main>
+
+      <AnimatePresence>
+        {settingsOpen && (
+          <SettingsModal
+            settings={generationSettings}
+            onChange={setGenerationSettings}
+            onClose={closeSettings}
+          />
+        )}
+        {usageOpen && <UsageDashboard onClose={closeUsage} />}
+      </AnimatePresence>
     </div>
   );
 }
 
+/**
+ * Shows the login screen until the stored token has been validated against /api/me.
+ */
+function AuthGate() {
+  // undefined while checking the stored token, null when signed out
+  const [user, setUser] = useState(undefined);
+
+  useEffect(() => {
+    if (!api.hasToken()) {
+      setUser(null);
+      return;
+    }
+    api.getMe().then((res) => setUser(res.success ? res.data.user : null));
+  }, []);
+
+  // The API client signals when the server rejects the token (expired, user removed, ...)
+  useEffect(() => {
+    const handleLogout = () => setUser(null);
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleLogout);
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleLogout);
+  }, []);
+
+  const handleLogout = () => {
+    api.logout();
+    // The next user shouldn't land in this user's conversation.
+    localStorage.removeItem(CONVERSATION_KEY);
+    setUser(null);
+  };
+
+  if (user === undefined) {
+    return (
+      <div className="flex h-screen flex-col items-center justify-center bg-slate-950 text-slate-100">
+        <div className="mb-4 h-10 w-10 animate-spin rounded-full border-2 border-slate-600 border-t-primary" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen onAuthenticated={setUser} />;
+  }
+
+  return <AppContent key={user.id} user={user} onLogout={handleLogout} />;
+}
+
 function App() {
   return (
     <ErrorBoundary>
-      <AppContent />
+      <AuthGate />
     </ErrorBoundary>
   );
 }
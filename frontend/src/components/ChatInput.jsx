@@ -1,11 +1,14 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { PaperAirplaneIcon } from '@heroicons/react/24/solid';
+import { CATEGORIES } from '../constants';
 
 const MAX_CHARS = 1000;
 
 function ChatInput({ onSend, loading, disabled }) {
   const [value, setValue] = useState('');
   const [warning, setWarning] = useState('');
+  // Category the answer's retrieval is limited to; '' searches the whole knowledge base.
+  const [category, setCategory] = useState('');
   const textareaRef = useRef(null);
 
   const totalDisabled = disabled || loading;
@@ -45,7 +48,7 @@ function ChatInput({ onSend, loading, disabled }) {
       setWarning('Message is too short. Please provide a bit more detail.');
       return;
     }
-    onSend?.(trimmed);
+    onSend?.(trimmed, category ? { category } : null);
     setValue('');
     setWarning('');
   };
@@ -75,7 +78,23 @@ function ChatInput({ onSend, loading, disabled }) {
             disabled={totalDisabled}
           />
           <div className="mt-1 flex items-center justify-between text-xs text-slate-500">
-            <span className={remaining < 0 ? 'text-red-500' : ''}>{remaining} characters remaining</span>
+            <div className="flex items-center gap-2">
+              <select
+                className="rounded border border-slate-300 bg-slate-50 px-1 py-0.5 text-xs text-slate-700 outline-none focus:border-blue-500"
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                title="Only use documents from this category"
+                aria-label="Knowledge scope"
+              >
+                <option value="">All knowledge</option>
+                {CATEGORIES.map((c) => (
+                  <option key={c} value={c}>
+                    {c} only
+                  </option>
+                ))}
+              </select>
+              <span className={remaining < 0 ? 'text-red-500' : ''}>{remaining} characters remaining</span>
+            </div>
             {warning && <span className="text-amber-600">{warning}</span>}
           </div>
         </div>
@@ -1,56 +1,80 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { ArrowPathIcon, TrashIcon } from '@heroicons/react/24/outline';
 import ChatInput from './ChatInput';
 import MessageList from './MessageList';
 import api from '../services/api';
 
-const STORAGE_KEY_MESSAGES = 'enterprise-ai-assistant:messages';
-const STORAGE_KEY_CONVERSATION = 'enterprise-ai-assistant:conversationId';
-
-function ChatInterface() {
+/**
+ * Chat view for a single conversation. The active conversation is owned by the parent
+ * (`conversationId` / `onConversationChange`); messages are loaded from the server whenever
+ * it changes. `onConversationUpdated` is called after anything that changes the conversation list.
+ * `generationSettings` ({ model, temperature }) is sent with each message; empty values use the server defaults.
+ */
+function ChatInterface({ conversationId, onConversationChange, onConversationUpdated, generationSettings }) {
   const [messages, setMessages] = useState([]);
-  const [conversationId, setConversationId] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingHistory, setLoadingHistory] = useState(false);
   const [error, setError] = useState('');
   const [showError, setShowError] = useState(false);
 
-  // Restore from localStorage on mount
-  useEffect(() => {
-    try {
-      const storedMessages = localStorage.getItem(STORAGE_KEY_MESSAGES);
-      const storedConversationId = localStorage.getItem(STORAGE_KEY_CONVERSATION);
-      if (storedMessages) {
-        setMessages(JSON.parse(storedMessages));
-      }
-      if (storedConversationId) {
-        setConversationId(storedConversationId);
-      }
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.error('Failed to restore conversation from storage', e);
+  // Conversation whose messages are already in state, so adopting an id created by our own
+  // request doesn't trigger a reload that would clobber the message being streamed.
+  const syncedConversationRef = useRef(null);
+
+  const adoptConversation = (id) => {
+    syncedConversationRef.current = id;
+    if (id !== conversationId) {
+      onConversationChange?.(id);
     }
-  }, []);
+  };
 
-  // Persist to localStorage whenever messages / conversation change
+  // Load history whenever the active conversation changes
   useEffect(() => {
-    try {
-      localStorage.setItem(STORAGE_KEY_MESSAGES, JSON.stringify(messages));
-      if (conversationId) {
-        localStorage.setItem(STORAGE_KEY_CONVERSATION, conversationId);
-      } else {
-        localStorage.removeItem(STORAGE_KEY_CONVERSATION);
-      }
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.error('Failed to persist conversation', e);
+    if (conversationId === syncedConversationRef.current) return undefined;
+    syncedConversationRef.current = conversationId;
+    setShowError(false);
+
+    if (!conversationId) {
+      setMessages([]);
+      return undefined;
     }
-  }, [messages, conversationId]);
+
+    let cancelled = false;
+    setLoadingHistory(true);
+    setMessages([]);
+
+    api
+      .getHistory(conversationId)
+      .then((res) => {
+        if (cancelled) return;
+        if (!res.success) {
+          // Expired or deleted on the server: fall back to a fresh conversation.
+          syncedConversationRef.current = null;
+          onConversationChange?.(null);
+          return;
+        }
+        setMessages(res.data.messages || []);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingHistory(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [conversationId]);
 
   const pushMessage = (msg) => {
     setMessages((prev) => [...prev, msg]);
   };
 
-  const handleSend = async (text) => {
+  const updateMessage = (id, changes) => {
+    setMessages((prev) => prev.map((m) => (m.id === id ? { ...m, ...changes } : m)));
+  };
+
+  // `scope` is the ChatInput selection: { category } or null for the whole knowledge base.
+  const handleSend = async (text, scope) => {
     setError('');
     setShowError(false);
     const timestamp = new Date().toISOString();
@@ -66,36 +90,78 @@ function ChatInterface() {
     setLoading(true);
     const currentConversationId = conversationId;
 
+    // Placeholder assistant message that is filled in as tokens stream in.
+    const aiMessageId = `${new Date().toISOString()}-assistant`;
+    pushMessage({
+      id: aiMessageId,
+      role: 'assistant',
+      content: '',
+      timestamp: new Date().toISOString(),
+      sources: [],
+      streaming: true,
+      // Not stored on the server until the answer completes, so it cannot be rated yet.
+      local: true,
+    });
+
     try {
-      const result = await api.sendMessage(text, currentConversationId);
+      const streamHandlers = {
+        filters: scope?.category ? { category: scope.category } : undefined,
+        model: generationSettings?.model || undefined,
+        temperature: generationSettings?.temperature ?? undefined,
+        onContext: (context) => {
+          if (context.conversationId) {
+            adoptConversation(context.conversationId);
+          }
+          updateMessage(aiMessageId, {
+            sources: context.sources || [],
+            confidence: context.confidence,
+          });
+        },
+        onToken: (token) => {
+          setMessages((prev) =>
+            prev.map((m) => (m.id === aiMessageId ? { ...m, content: m.content + token } : m))
+          );
+        },
+      };
+
+      let result = await api.streamMessage(text, currentConversationId, streamHandlers);
+
+      // The server no longer knows this conversation (expired or deleted): start a fresh one.
+      if (!result.success && result.status === 404 && currentConversationId) {
+        result = await api.streamMessage(text, null, streamHandlers);
+      }
 
       if (!result.success) {
         throw new Error(result.error || 'Failed to send message.');
       }
 
       const data = result.data;
-      const newConversationId = data.conversationId || currentConversationId;
-      setConversationId(newConversationId);
+      adoptConversation(data.conversationId || currentConversationId);
 
-      const aiTimestamp = data.timestamp || new Date().toISOString();
-      const aiMessage = {
-        id: `${aiTimestamp}-assistant`,
-        role: 'assistant',
+      updateMessage(aiMessageId, {
+        id: data.messageId || aiMessageId,
         content: data.response,
-        timestamp: aiTimestamp,
-        sources: data.sources || [],
-        confidence: data.confidence,
-      };
-
-      pushMessage(aiMessage);
+        citations: data.citations || [],
+        model: data.model,
+        timestamp: data.timestamp || new Date().toISOString(),
+        streaming: false,
+        local: false,
+      });
     } catch (err) {
       // eslint-disable-next-line no-console
       console.error('Chat send error:', err);
       const message = err.message || 'Failed to send message.';
+      // Drop the placeholder if nothing was streamed, otherwise keep the partial answer.
+      setMessages((prev) =>
+        prev
+          .filter((m) => m.id !== aiMessageId || m.content)
+          .map((m) => (m.id === aiMessageId ? { ...m, streaming: false } : m))
+      );
       setError(message);
       setShowError(true);
     } finally {
       setLoading(false);
+      onConversationUpdated?.();
     }
   };
 
@@ -108,6 +174,17 @@ function ChatInterface() {
     }
   };
 
+  const handleFeedback = async (message, rating, comment = null) => {
+    const result = await api.sendFeedback(conversationId, message.id, { rating, comment });
+    if (!result.success) {
+      setError(result.error || 'Failed to send feedback.');
+      setShowError(true);
+      return false;
+    }
+    updateMessage(message.id, { feedback: { rating, comment } });
+    return true;
+  };
+
   const handleClearConversation = async () => {
     if (!conversationId) {
       setMessages([]);
@@ -125,8 +202,9 @@ function ChatInterface() {
       console.error('Failed to clear conversation on server', err);
     } finally {
       setLoading(false);
-      setConversationId(null);
+      adoptConversation(null);
       setMessages([]);
+      onConversationUpdated?.();
     }
   };
 
@@ -175,8 +253,19 @@ function ChatInterface() {
       )}
 
       <main className="flex flex-1 flex-col">
-        <MessageList messages={messages} onCopyMessage={handleCopyMessage} loading={loading} />
-        <ChatInput onSend={handleSend} loading={loading} disabled={false} />
+        {loadingHistory ? (
+          <div className="flex flex-1 items-center justify-center bg-gradient-to-b from-slate-50 to-slate-100 text-xs text-slate-500">
+            Loading conversation…
+          </div>
+        ) : (
+          <MessageList
+            messages={messages}
+            onCopyMessage={handleCopyMessage}
+            onFeedback={handleFeedback}
+            loading={loading}
+          />
+        )}
+        <ChatInput onSend={handleSend} loading={loading} disabled={loadingHistory} />
       </main>
     </div>
   );
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import {
+  ChatBubbleLeftRightIcon,
+  CheckIcon,
+  MagnifyingGlassIcon,
+  PencilSquareIcon,
+  PlusIcon,
+  TrashIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+function formatRelative(dateString) {
+  const date = new Date(dateString);
+  const diffMinutes = Math.round((Date.now() - date.getTime()) / 60000);
+  if (diffMinutes < 1) return 'just now';
+  if (diffMinutes < 60) return `${diffMinutes}m ago`;
+  const diffHours = Math.round(diffMinutes / 60);
+  if (diffHours < 24) return `${diffHours}h ago`;
+  return date.toLocaleDateString();
+}
+
+function ConversationItem({ conversation, active, onSelect, onRename, onDelete }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const startEditing = () => {
+    setDraft(conversation.title || '');
+    setEditing(true);
+  };
+
+  const submitRename = () => {
+    const title = draft.trim();
+    setEditing(false);
+    if (title && title !== conversation.title) {
+      onRename(conversation.conversationId, title);
+    }
+  };
+
+  if (editing) {
+    return (
+      <li className="flex items-center gap-1 rounded-lg bg-slate-800 px-2 py-1.5">
+        <input
+          // eslint-disable-next-line jsx-a11y/no-autofocus
+          autoFocus
+          className="min-w-0 flex-1 rounded border border-slate-600 bg-slate-900 px-1.5 py-0.5 text-xs text-slate-100 outline-none focus:border-primary"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') submitRename();
+            if (e.key === 'Escape') setEditing(false);
+          }}
+        />
+        <button type="button" onClick={submitRename} className="text-slate-300 hover:text-emerald-400">
+          <CheckIcon className="h-4 w-4" />
+        </button>
+        <button type="button" onClick={() => setEditing(false)} className="text-slate-300 hover:text-slate-100">
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      </li>
+    );
+  }
+
+  return (
+    <li
+      className={`group flex items-center gap-1 rounded-lg px-2 py-1.5 transition ${
+        active ? 'bg-slate-800 text-white' : 'text-slate-300 hover:bg-slate-800/60'
+      }`}
+    >
+      <button
+        type="button"
+        onClick={() => onSelect(conversation.conversationId)}
+        className="flex min-w-0 flex-1 flex-col text-left"
+      >
+        <span className="truncate text-xs font-medium">{conversation.title || 'New conversation'}</span>
+        <span className="text-[10px] text-slate-500">
+          {conversation.messageCount} messages · {formatRelative(conversation.lastActivity)}
+        </span>
+      </button>
+      <button
+        type="button"
+        onClick={startEditing}
+        title="Rename"
+        className="hidden text-slate-400 hover:text-slate-100 group-hover:block"
+      >
+        <PencilSquareIcon className="h-3.5 w-3.5" />
+      </button>
+      <button
+        type="button"
+        onClick={() => onDelete(conversation.conversationId)}
+        title="Delete"
+        className="hidden text-slate-400 hover:text-red-400 group-hover:block"
+      >
+        <TrashIcon className="h-3.5 w-3.5" />
+      </button>
+    </li>
+  );
+}
+
+/**
+ * Conversation list with search, rename and delete. Searching is done server-side
+ * (titles and message content); the parent passes the filtered `conversations`.
+ */
+function ConversationSidebar({
+  conversations,
+  activeId,
+  loading,
+  search,
+  onSearchChange,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete,
+}) {
+  const searching = Boolean(search && search.trim());
+
+  return (
+    <div className="flex h-full flex-col rounded-xl bg-slate-900/90 p-3 shadow-card-soft">
+      <div className="mb-2 flex items-center justify-between">
+        <h2 className="flex items-center gap-2 text-sm font-semibold text-slate-100">
+          <ChatBubbleLeftRightIcon className="h-5 w-5 text-primary" />
+          Conversations
+        </h2>
+        <button
+          type="button"
+          onClick={onNew}
+          className="inline-flex items-center gap-1 rounded-full bg-primary px-2 py-0.5 text-[11px] font-medium text-white shadow-sm hover:bg-blue-700"
+        >
+          <PlusIcon className="h-3.5 w-3.5" />
+          New
+        </button>
+      </div>
+
+      <div className="relative mb-2">
+        <MagnifyingGlassIcon className="pointer-events-none absolute left-2 top-1.5 h-3.5 w-3.5 text-slate-500" />
+        <input
+          className="w-full rounded-lg border border-slate-700 bg-slate-800 py-1 pl-7 pr-2 text-xs text-slate-100 outline-none transition focus:border-primary focus:ring-1 focus:ring-primary/40"
+          placeholder="Search conversations..."
+          value={search}
+          onChange={(e) => onSearchChange(e.target.value)}
+        />
+      </div>
+
+      <ul className="flex-1 space-y-1 overflow-y-auto">
+        {loading && conversations.length === 0 && (
+          <li className="px-2 py-4 text-center text-[11px] text-slate-500">Loading…</li>
+        )}
+        {!loading && conversations.length === 0 && (
+          <li className="px-2 py-4 text-center text-[11px] text-slate-500">
+            {searching ? 'No matching conversations.' : 'No conversations yet.'}
+          </li>
+        )}
+        {conversations.map((conversation) => (
+          <ConversationItem
+            key={conversation.conversationId}
+            conversation={conversation}
+            active={conversation.conversationId === activeId}
+            onSelect={onSelect}
+            onRename={onRename}
+            onDelete={onDelete}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ConversationSidebar;
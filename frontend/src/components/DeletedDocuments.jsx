@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon, ClockIcon, TrashIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+/**
+ * Deleted documents (editors) from GET /api/knowledge/deleted, most recently deleted first.
+ * `onHistory` opens a document's version history, where it can be restored. The list is
+ * reloaded whenever `reloadKey` changes (e.g. after a delete or restore).
+ */
+function DeletedDocuments({ reloadKey, onHistory }) {
+  const [documents, setDocuments] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    api.listDeletedDocuments().then((res) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (!res.success) {
+        toast.error(res.error || 'Failed to load deleted documents.');
+        return;
+      }
+      setDocuments(res.data.documents || []);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey, refreshKey]);
+
+  return (
+    <div className="flex h-full flex-col gap-2 text-xs">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          disabled={loading}
+          onClick={() => setRefreshKey((key) => key + 1)}
+          title="Refresh"
+          className="rounded-full border border-slate-200 bg-white p-1 text-slate-700 hover:bg-slate-50 disabled:cursor-not-allowed dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700"
+        >
+          <ArrowPathIcon className={`h-3.5 w-3.5 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+        {documents && (
+          <span className="ml-auto text-[11px] text-slate-500 dark:text-slate-400">
+            {documents.length} deleted document{documents.length === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+
+      <div className="flex-1 space-y-2 overflow-y-auto">
+        {documents?.length === 0 && !loading && (
+          <p className="text-[11px] text-slate-500 dark:text-slate-400">
+            No deleted documents. Deleted documents keep their version history and can be restored from here.
+          </p>
+        )}
+        {documents?.map((doc) => (
+          <div
+            key={doc.id}
+            className="flex items-start gap-2 rounded-lg border border-slate-200 bg-white p-2 dark:border-slate-700 dark:bg-slate-800"
+          >
+            <TrashIcon className="mt-0.5 h-4 w-4 flex-shrink-0 text-slate-400" />
+            <div className="min-w-0 flex-1">
+              <p className="truncate font-medium text-slate-800 dark:text-slate-100">
+                {doc.title || doc.source || doc.id}
+              </p>
+              <p className="text-[10px] text-slate-500 dark:text-slate-400">
+                {doc.category || 'Other'} · deleted {new Date(doc.deletedAt).toLocaleString()}
+                {doc.deletedBy && ` by ${doc.deletedBy.username}`} · {doc.textLength.toLocaleString()} characters
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => onHistory(doc.id)}
+              title="Version history"
+              className="inline-flex items-center justify-center rounded-full border border-slate-200 bg-white px-2 py-0.5 text-[10px] text-slate-700 hover:bg-slate-50 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700"
+            >
+              <ClockIcon className="mr-1 h-3 w-3" />
+              History
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DeletedDocuments;
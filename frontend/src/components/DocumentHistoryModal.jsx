@@ -0,0 +1,339 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowUturnLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import api from '../services/api';
+
+const ACTION_LABELS = {
+  imported: 'Imported',
+  created: 'Created',
+  updated: 'Edited',
+  restored: 'Restored',
+  deleted: 'Deleted',
+};
+const METADATA_FIELDS = ['title', 'category', 'source'];
+// Above this many LCS cells the changed region is shown as a plain remove/add block.
+const MAX_DIFF_CELLS = 4_000_000;
+// Unchanged lines shown around each change; longer unchanged runs are collapsed.
+const DIFF_CONTEXT = 2;
+
+/**
+ * Line diff of two texts: [{ type: 'same' | 'removed' | 'added', line }].
+ */
+function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const same = (line) => ({ type: 'same', line });
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  let middle;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    middle = [
+      ...midA.map((line) => ({ type: 'removed', line })),
+      ...midB.map((line) => ({ type: 'added', line })),
+    ];
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i -= 1) {
+      for (let j = m - 1; j >= 0; j -= 1) {
+        lcs[i * (m + 1) + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        middle.push(same(midA[i]));
+        i += 1;
+        j += 1;
+      } else if (i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])) {
+        middle.push({ type: 'removed', line: midA[i] });
+        i += 1;
+      } else {
+        middle.push({ type: 'added', line: midB[j] });
+        j += 1;
+      }
+    }
+  }
+
+  return [...a.slice(0, start).map(same), ...middle, ...a.slice(endA).map(same)];
+}
+
+/**
+ * Collapse unchanged runs longer than the context into { type: 'skip', count } markers.
+ */
+function collapseUnchanged(lines) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].type !== 'same') {
+      out.push(lines[i]);
+      i += 1;
+    } else {
+      let end = i;
+      while (end < lines.length && lines[end].type === 'same') end += 1;
+      const keepBefore = i === 0 ? 0 : DIFF_CONTEXT;
+      const keepAfter = end === lines.length ? 0 : DIFF_CONTEXT;
+      if (end - i > keepBefore + keepAfter + 1) {
+        out.push(...lines.slice(i, i + keepBefore));
+        out.push({ type: 'skip', count: end - i - keepBefore - keepAfter });
+        out.push(...lines.slice(end - keepAfter, end));
+      } else {
+        out.push(...lines.slice(i, end));
+      }
+      i = end;
+    }
+  }
+  return out;
+}
+
+const DIFF_LINE_CLASSES = {
+  same: 'text-slate-600 dark:text-slate-300',
+  removed: 'bg-danger/10 text-danger line-through decoration-danger/40',
+  added: 'bg-accent/10 text-emerald-700 dark:text-emerald-300',
+};
+const DIFF_LINE_PREFIX = { same: ' ', removed: '-', added: '+' };
+
+function versionLabel(entry) {
+  const label = ACTION_LABELS[entry.action] || entry.action;
+  return entry.action === 'restored' ? `${label} from v${entry.restoredFrom}` : label;
+}
+
+/**
+ * Version history of a knowledge document: every change with its editor, a line diff between
+ * any two versions, and restoring an earlier version (re-embedded server-side).
+ */
+function DocumentHistoryModal({ documentId, canRestore, onClose, onRestored }) {
+  const [history, setHistory] = useState(null);
+  // version number -> full version entry (with text), fetched on demand
+  const [texts, setTexts] = useState({});
+  const [selected, setSelected] = useState(null);
+  const [compareTo, setCompareTo] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadHistory = async () => {
+    const res = await api.listDocumentVersions(documentId);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to load version history.');
+      onClose();
+      return;
+    }
+    setHistory(res.data);
+    const [latest] = res.data.versions;
+    setSelected(latest.version);
+    setCompareTo(latest.version > 1 ? latest.version - 1 : null);
+  };
+
+  useEffect(() => {
+    loadHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [documentId]);
+
+  useEffect(() => {
+    [selected, compareTo]
+      .filter((version) => version && !texts[version])
+      .forEach(async (version) => {
+        const res = await api.getDocumentVersion(documentId, version);
+        if (res.success) {
+          setTexts((prev) => ({ ...prev, [version]: res.data.version }));
+        } else {
+          toast.error(res.error || `Failed to load version ${version}.`);
+        }
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [documentId, selected, compareTo]);
+
+  const current = texts[selected];
+  const base = compareTo ? texts[compareTo] : null;
+  const diff = useMemo(() => {
+    if (!current || (compareTo && !base)) return null;
+    return collapseUnchanged(diffLines(base ? base.text : '', current.text));
+  }, [current, base, compareTo]);
+
+  const document = history?.document;
+  const isCurrentVersion = document && selected === document.version && !document.deletedAt;
+
+  const handleRestore = async () => {
+    setRestoring(true);
+    const res = await api.restoreDocumentVersion(documentId, selected);
+    setRestoring(false);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to restore version.');
+      return;
+    }
+    toast.success(`Restored version ${selected}.`);
+    onRestored?.(res.data.document);
+  };
+
+  const selectVersion = (version) => {
+    setSelected(version);
+    setCompareTo(version > 1 ? version - 1 : null);
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <motion.div
+        className="flex h-full max-h-[36rem] w-full max-w-3xl flex-col rounded-xl bg-white p-4 text-xs shadow-card-strong dark:bg-slate-900"
+        initial={{ scale: 0.9, opacity: 0, y: 10 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 10 }}
+      >
+        <div className="mb-2 flex items-center gap-2 text-slate-800 dark:text-slate-100">
+          <ClockIcon className="h-5 w-5 text-primary" />
+          <h3 className="truncate text-sm font-semibold">
+            Version history{document?.title ? ` · ${document.title}` : ''}
+          </h3>
+          {document?.deletedAt && (
+            <span className="rounded-full bg-danger/10 px-2 py-0.5 text-[10px] text-danger">Deleted</span>
+          )}
+        </div>
+
+        {!history ? (
+          <div className="flex-1 animate-pulse rounded-lg bg-slate-100 dark:bg-slate-800" />
+        ) : (
+          <div className="flex min-h-0 flex-1 gap-3">
+            <ul className="w-48 flex-shrink-0 space-y-1 overflow-y-auto">
+              {history.versions.map((entry) => (
+                <li key={entry.version}>
+                  <button
+                    type="button"
+                    onClick={() => selectVersion(entry.version)}
+                    className={`w-full rounded-lg border px-2 py-1.5 text-left transition ${
+                      entry.version === selected
+                        ? 'border-primary bg-primary/5 dark:bg-primary/10'
+                        : 'border-slate-200 hover:bg-slate-50 dark:border-slate-700 dark:hover:bg-slate-800'
+                    }`}
+                  >
+                    <span className="block font-medium text-slate-800 dark:text-slate-100">
+                      v{entry.version} · {versionLabel(entry)}
+                    </span>
+                    <span className="block text-[10px] text-slate-500 dark:text-slate-400">
+                      {entry.editedBy?.username || 'unknown'} · {new Date(entry.editedAt).toLocaleString()}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex min-w-0 flex-1 flex-col gap-2">
+              <div className="flex items-center justify-between gap-2 text-slate-600 dark:text-slate-300">
+                <label className="flex items-center gap-1">
+                  Compare v{selected} with
+                  <select
+                    className="rounded-md border border-slate-200 bg-white px-1.5 py-0.5 text-xs dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50"
+                    value={compareTo ?? ''}
+                    onChange={(e) => setCompareTo(e.target.value ? Number(e.target.value) : null)}
+                  >
+                    <option value="">nothing</option>
+                    {history.versions
+                      .filter((entry) => entry.version !== selected)
+                      .map((entry) => (
+                        <option key={entry.version} value={entry.version}>
+                          v{entry.version}
+                        </option>
+                      ))}
+                  </select>
+                </label>
+                {canRestore && (
+                  <button
+                    type="button"
+                    disabled={isCurrentVersion || restoring}
+                    onClick={handleRestore}
+                    title={isCurrentVersion ? 'This is the current version' : undefined}
+                    className="inline-flex items-center gap-1 rounded-full bg-primary px-3 py-1 text-[11px] font-medium text-white shadow-sm hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-slate-400"
+                  >
+                    <ArrowUturnLeftIcon className="h-3.5 w-3.5" />
+                    {restoring ? 'Restoring…' : `Restore v${selected}`}
+                  </button>
+                )}
+              </div>
+
+              {current?.textReconstructed && (
+                <p className="rounded-md bg-amber-50 p-2 text-[11px] text-amber-700 dark:bg-amber-500/10 dark:text-amber-300">
+                  This version&apos;s text was rebuilt from stored chunks and may repeat headings or overlapping passages.
+                </p>
+              )}
+
+              {current && (!compareTo || base) && (
+                <div className="flex flex-wrap gap-x-3 gap-y-0.5 text-[11px]">
+                  {METADATA_FIELDS.map((field) => {
+                    const changed = base && (base[field] || '') !== (current[field] || '');
+                    return (
+                      <span key={field} className="text-slate-500 dark:text-slate-400">
+                        {field}:{' '}
+                        {changed && <span className="text-danger line-through">{base[field] || '—'}</span>}{' '}
+                        <span className={changed ? 'text-emerald-700 dark:text-emerald-300' : 'text-slate-700 dark:text-slate-200'}>
+                          {current[field] || '—'}
+                        </span>
+                      </span>
+                    );
+                  })}
+                </div>
+              )}
+
+              <div className="min-h-0 flex-1 overflow-auto rounded-lg border border-slate-200 bg-slate-50 py-1 font-mono text-[11px] dark:border-slate-700 dark:bg-slate-950">
+                {!diff ? (
+                  <div className="m-2 h-24 animate-pulse rounded bg-slate-100 dark:bg-slate-800" />
+                ) : (
+                  diff.map((entry, idx) =>
+                    entry.type === 'skip' ? (
+                      // eslint-disable-next-line react/no-array-index-key
+                      <div key={idx} className="px-2 py-0.5 text-center text-[10px] text-slate-400">
+                        … {entry.count} unchanged line{entry.count === 1 ? '' : 's'} …
+                      </div>
+                    ) : (
+                      <div
+                        // eslint-disable-next-line react/no-array-index-key
+                        key={idx}
+                        className={`whitespace-pre-wrap break-words px-2 ${DIFF_LINE_CLASSES[entry.type]}`}
+                      >
+                        <span className="select-none pr-2 text-slate-400">{DIFF_LINE_PREFIX[entry.type]}</span>
+                        {entry.line || ' '}
+                      </div>
+                    )
+                  )
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="mt-3 flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full border border-slate-200 bg-white px-3 py-1 text-[11px] text-slate-700 hover:bg-slate-50 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100"
+          >
+            Close
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default DocumentHistoryModal;
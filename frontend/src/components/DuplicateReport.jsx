@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { DocumentDuplicateIcon, PencilSquareIcon, TrashIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+const THRESHOLDS = [0.99, 0.95, 0.9, 0.85, 0.8];
+
+/**
+ * "Find duplicates" report (admin): clusters of exact and near-duplicate documents from
+ * GET /api/knowledge/duplicates. Merge by editing the document to keep and deleting the rest.
+ * The report is re-run whenever `reloadKey` changes after a scan (e.g. after a delete).
+ */
+function DuplicateReport({ reloadKey, onEdit, onDelete }) {
+  const [threshold, setThreshold] = useState(0.95);
+  const [clusters, setClusters] = useState(null);
+  const [scanning, setScanning] = useState(false);
+
+  const scan = async () => {
+    setScanning(true);
+    const res = await api.findDuplicates(threshold);
+    setScanning(false);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to find duplicates.');
+      return;
+    }
+    setClusters(res.data.clusters || []);
+  };
+
+  useEffect(() => {
+    if (clusters) scan();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reloadKey]);
+
+  return (
+    <div className="flex h-full flex-col gap-2 text-xs">
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-1 text-slate-600 dark:text-slate-300">
+          Similarity
+          <select
+            className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-800 shadow-sm outline-none focus:border-primary focus:ring-1 focus:ring-primary/40 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50"
+            value={threshold}
+            onChange={(e) => setThreshold(Number(e.target.value))}
+          >
+            {THRESHOLDS.map((value) => (
+              <option key={value} value={value}>
+                ≥ {Math.round(value * 100)}%
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          disabled={scanning}
+          onClick={scan}
+          className="inline-flex items-center gap-1 rounded-lg bg-primary px-3 py-1 text-xs font-medium text-white shadow-card-soft transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-slate-400"
+        >
+          <DocumentDuplicateIcon className="h-3.5 w-3.5" />
+          {scanning ? 'Scanning…' : 'Find duplicates'}
+        </button>
+      </div>
+
+      <div className="flex-1 space-y-2 overflow-y-auto">
+        {clusters === null && !scanning && (
+          <p className="text-[11px] text-slate-500 dark:text-slate-400">
+            Scan the knowledge base for documents with the same text or very similar embeddings. Keep one
+            document of each group (edit it to merge in anything the others add) and delete the rest.
+          </p>
+        )}
+        {clusters?.length === 0 && !scanning && (
+          <p className="text-[11px] text-slate-500 dark:text-slate-400">No duplicates found.</p>
+        )}
+        {clusters?.map((cluster) => (
+          <div
+            key={cluster.documents[0].id}
+            className="rounded-lg border border-slate-200 bg-white p-2 dark:border-slate-700 dark:bg-slate-800"
+          >
+            <div className="mb-1 text-[11px] font-medium text-slate-700 dark:text-slate-100">
+              {cluster.documents.length} documents ·{' '}
+              {cluster.exact ? 'identical text' : `up to ${Math.round(cluster.maxSimilarity * 100)}% similar`}
+            </div>
+            <ul className="space-y-1">
+              {cluster.documents.map((doc, idx) => (
+                <li key={doc.id} className="flex items-start gap-2 rounded-md bg-slate-50 p-1.5 dark:bg-slate-900">
+                  <div className="min-w-0 flex-1">
+                    <span className="block truncate font-medium text-slate-800 dark:text-slate-100">
+                      {doc.title || doc.source || doc.id}
+                      {idx === 0 && <span className="ml-1 text-[10px] font-normal text-accent">oldest</span>}
+                    </span>
+                    <span className="block text-[10px] text-slate-500 dark:text-slate-400">
+                      {doc.category || 'Uncategorized'} · {doc.chunkCount} chunk{doc.chunkCount === 1 ? '' : 's'}
+                      {doc.createdAt && ` · ${new Date(doc.createdAt).toLocaleDateString()}`}
+                      {idx > 0 && ` · ${Math.round(doc.similarity * 100)}% similar`}
+                    </span>
+                    <span className="line-clamp-2 text-[11px] text-slate-600 dark:text-slate-300">{doc.preview}</span>
+                  </div>
+                  <div className="flex flex-shrink-0 gap-1">
+                    <button
+                      type="button"
+                      onClick={() => onEdit(doc.id)}
+                      title="Edit"
+                      className="rounded-full border border-slate-200 bg-white p-1 text-slate-700 hover:bg-slate-50 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700"
+                    >
+                      <PencilSquareIcon className="h-3 w-3" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onDelete({ id: doc.id, text: doc.preview })}
+                      title="Delete"
+                      className="rounded-full border border-danger/40 bg-danger/5 p-1 text-danger hover:bg-danger/10"
+                    >
+                      <TrashIcon className="h-3 w-3" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateReport;
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { ExclamationTriangleIcon, PencilSquareIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import api from '../services/api';
+import { CATEGORIES } from '../constants';
+
+// Keep in sync with MAX_TEXT_LENGTH in routes/knowledge.js.
+const MAX_CHARS = 200000;
+const FIELDS = ['text', 'category', 'source', 'title'];
+
+const inputClassName =
+  'mt-1 rounded-lg border border-slate-200 bg-white px-2 py-1.5 text-xs text-slate-800 shadow-sm outline-none transition focus:border-primary focus:ring-1 focus:ring-primary/40 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50';
+
+/**
+ * Edit a knowledge document in place. Only changed fields are sent (PATCH); the server
+ * re-embeds the document when its text changed and keeps its id either way.
+ */
+function EditDocumentModal({ documentId, onClose, onSaved }) {
+  const [original, setOriginal] = useState(null);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.getDocument(documentId).then((res) => {
+      if (cancelled) return;
+      if (!res.success) {
+        toast.error(res.error || 'Failed to load document.');
+        onClose();
+        return;
+      }
+      const { document } = res.data;
+      const values = {
+        text: document.text || '',
+        category: document.category || 'Other',
+        source: document.source || '',
+        title: document.title || '',
+      };
+      setOriginal({ ...document, ...values });
+      setForm(values);
+    });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [documentId]);
+
+  const changes = form ? Object.fromEntries(FIELDS.filter((f) => form[f] !== original[f]).map((f) => [f, form[f]])) : {};
+  const textChanged = 'text' in changes;
+  const hasChanges = Object.keys(changes).length > 0;
+
+  const handleSave = async () => {
+    if (!form.text.trim()) {
+      toast.error('Please enter document text.');
+      return;
+    }
+
+    setSaving(true);
+    const res = await api.updateDocument(documentId, changes);
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to update document.');
+      return;
+    }
+    toast.success(textChanged ? 'Document updated and re-embedded.' : 'Document updated.');
+    onSaved?.(res.data.document);
+  };
+
+  const categories = form && !CATEGORIES.includes(form.category) ? [form.category, ...CATEGORIES] : CATEGORIES;
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-black/40 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+    >
+      <motion.div
+        className="flex max-h-full w-full max-w-lg flex-col rounded-xl bg-white p-4 text-xs shadow-card-strong dark:bg-slate-900"
+        initial={{ scale: 0.9, opacity: 0, y: 10 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 10 }}
+      >
+        <div className="mb-2 flex items-center gap-2 text-slate-800 dark:text-slate-100">
+          <PencilSquareIcon className="h-5 w-5 text-primary" />
+          <h3 className="text-sm font-semibold">Edit document</h3>
+        </div>
+
+        {!form ? (
+          <div className="h-40 animate-pulse rounded-lg bg-slate-100 dark:bg-slate-800" />
+        ) : (
+          <div className="flex min-h-0 flex-col gap-2 overflow-y-auto">
+            {original.textReconstructed && (
+              <p className="flex items-start gap-1 rounded-md bg-amber-50 p-2 text-[11px] text-amber-700 dark:bg-amber-500/10 dark:text-amber-300">
+                <ExclamationTriangleIcon className="h-4 w-4 flex-shrink-0" />
+                This document predates stored originals, so its text was rebuilt from chunks and may repeat
+                headings or overlapping passages. Review it before saving text changes.
+              </p>
+            )}
+
+            <label className="flex flex-col text-slate-600 dark:text-slate-300">
+              Text
+              <textarea
+                className={`${inputClassName} h-48 resize-y bg-slate-50`}
+                value={form.text}
+                onChange={(e) => setForm({ ...form, text: e.target.value.slice(0, MAX_CHARS) })}
+              />
+            </label>
+
+            <div className="grid grid-cols-3 gap-2">
+              <label className="flex flex-col text-slate-600 dark:text-slate-300">
+                Category
+                <select
+                  className={inputClassName}
+                  value={form.category}
+                  onChange={(e) => setForm({ ...form, category: e.target.value })}
+                >
+                  {categories.map((cat) => (
+                    <option key={cat} value={cat}>
+                      {cat}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col text-slate-600 dark:text-slate-300">
+                Source
+                <input
+                  className={inputClassName}
+                  value={form.source}
+                  onChange={(e) => setForm({ ...form, source: e.target.value })}
+                />
+              </label>
+              <label className="flex flex-col text-slate-600 dark:text-slate-300">
+                Title
+                <input
+                  className={inputClassName}
+                  value={form.title}
+                  onChange={(e) => setForm({ ...form, title: e.target.value })}
+                />
+              </label>
+            </div>
+
+            <p className="text-[10px] text-slate-500 dark:text-slate-400">
+              {original.updatedAt
+                ? `Last edited ${new Date(original.updatedAt).toLocaleString()}`
+                : `Added ${original.createdAt ? new Date(original.createdAt).toLocaleString() : 'earlier'}`}
+              {textChanged && ' · Text changes are re-embedded on save.'}
+            </p>
+          </div>
+        )}
+
+        <div className="mt-3 flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full border border-slate-200 bg-white px-3 py-1 text-[11px] text-slate-700 hover:bg-slate-50 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-100"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={!hasChanges || saving}
+            onClick={handleSave}
+            className="rounded-full bg-primary px-3 py-1 text-[11px] font-medium text-white shadow-sm hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-slate-400"
+          >
+            {saving ? 'Saving…' : 'Save changes'}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default EditDocumentModal;
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowDownTrayIcon, HandThumbDownIcon, HandThumbUpIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+const RATINGS = [
+  { value: 'down', label: 'Negative' },
+  { value: 'up', label: 'Positive' },
+  { value: 'all', label: 'All' },
+];
+
+/**
+ * Answer feedback report (admin) from GET /api/feedback: rated questions with the user's
+ * correction, newest first. Negative feedback points at gaps in the knowledge base; export it
+ * as CSV to work through it elsewhere.
+ */
+function FeedbackReport() {
+  const [rating, setRating] = useState('down');
+  const [feedback, setFeedback] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    api.exportFeedback({ rating }).then((res) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (!res.success) {
+        toast.error(res.error || 'Failed to load feedback.');
+        return;
+      }
+      setFeedback(res.data.feedback || []);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [rating]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    const res = await api.exportFeedback({ rating, format: 'csv' });
+    setExporting(false);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to export feedback.');
+      return;
+    }
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `feedback-${rating}-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="flex h-full flex-col gap-2 text-xs">
+      <div className="flex items-center gap-2">
+        <select
+          className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-800 shadow-sm outline-none focus:border-primary focus:ring-1 focus:ring-primary/40 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50"
+          value={rating}
+          onChange={(e) => setRating(e.target.value)}
+        >
+          {RATINGS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          disabled={exporting || feedback.length === 0}
+          onClick={handleExport}
+          className="inline-flex items-center gap-1 rounded-lg bg-primary px-3 py-1 text-xs font-medium text-white shadow-card-soft transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-slate-400"
+        >
+          <ArrowDownTrayIcon className="h-3.5 w-3.5" />
+          {exporting ? 'Exporting…' : 'Export CSV'}
+        </button>
+        <span className="ml-auto text-[11px] text-slate-500 dark:text-slate-400">
+          {loading ? 'Loading…' : `${feedback.length} item${feedback.length === 1 ? '' : 's'}`}
+        </span>
+      </div>
+
+      <div className="flex-1 space-y-2 overflow-y-auto">
+        {!loading && feedback.length === 0 && (
+          <p className="text-[11px] text-slate-500 dark:text-slate-400">No feedback yet.</p>
+        )}
+        {feedback.map((entry) => (
+          <div
+            key={entry.id}
+            className="rounded-lg border border-slate-200 bg-white p-2 dark:border-slate-700 dark:bg-slate-800"
+          >
+            <div className="mb-1 flex items-center gap-1 text-[10px] text-slate-500 dark:text-slate-400">
+              {entry.rating === 'up' ? (
+                <HandThumbUpIcon className="h-3 w-3 text-accent" />
+              ) : (
+                <HandThumbDownIcon className="h-3 w-3 text-danger" />
+              )}
+              {entry.username || 'unknown'} · {new Date(entry.updatedAt).toLocaleString()}
+              {entry.confidence && ` · ${entry.confidence} confidence`}
+            </div>
+            <p className="font-medium text-slate-800 dark:text-slate-100">{entry.question || '(no question)'}</p>
+            <p className="mt-0.5 line-clamp-3 text-[11px] text-slate-600 dark:text-slate-300">{entry.answer}</p>
+            {entry.comment && (
+              <p className="mt-1 whitespace-pre-wrap rounded-md bg-slate-50 p-1.5 text-[11px] text-slate-700 dark:bg-slate-900 dark:text-slate-200">
+                {entry.comment}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default FeedbackReport;
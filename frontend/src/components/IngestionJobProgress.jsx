@@ -0,0 +1,109 @@
+import React from 'react';
+import { ArrowPathIcon, CheckCircleIcon, XCircleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Ingesting…',
+  completed: 'Completed',
+  completed_with_errors: 'Completed with errors',
+};
+
+/**
+ * Progress of a bulk ingestion job (GET /api/knowledge/jobs/:id): overall bar plus per-document status.
+ * `onRetry({ force })` re-queues the failed documents, with `force` also ingesting those that
+ * failed as duplicates; `onDismiss` hides a finished job.
+ */
+function IngestionJobProgress({ job, retrying, onRetry, onDismiss }) {
+  const { progress } = job;
+  const active = job.status === 'queued' || job.status === 'running';
+  const failedDuplicates = (job.items || []).filter(
+    (item) => item.status === 'failed' && item.duplicates?.length
+  ).length;
+  const done = progress.succeeded + progress.failed;
+  const percent = progress.total ? Math.round((done / progress.total) * 100) : 0;
+
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white px-2 py-2 text-[11px] dark:border-slate-700 dark:bg-slate-800">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-medium text-slate-700 dark:text-slate-100">
+          Bulk add · {STATUS_LABELS[job.status] || job.status}
+        </span>
+        <span className="flex items-center gap-1 text-slate-500 dark:text-slate-400">
+          {done}/{progress.total}
+          {!active && (
+            <button
+              type="button"
+              onClick={onDismiss}
+              title="Dismiss"
+              className="rounded p-0.5 hover:bg-slate-100 hover:text-slate-700 dark:hover:bg-slate-700 dark:hover:text-slate-100"
+            >
+              <XMarkIcon className="h-3.5 w-3.5" />
+            </button>
+          )}
+        </span>
+      </div>
+
+      <div className="mt-1 h-1 overflow-hidden rounded-full bg-slate-200 dark:bg-slate-700">
+        <div
+          className={`h-full transition-all ${progress.failed ? 'bg-amber-500' : 'bg-primary'} ${
+            active ? 'animate-pulse' : ''
+          }`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      {job.items && (
+        <ul className="mt-1.5 max-h-32 space-y-0.5 overflow-y-auto">
+          {job.items.map((item) => (
+            <li key={item.index} className="flex items-start gap-1.5">
+              {item.status === 'succeeded' && <CheckCircleIcon className="mt-px h-3.5 w-3.5 flex-shrink-0 text-accent" />}
+              {item.status === 'failed' && <XCircleIcon className="mt-px h-3.5 w-3.5 flex-shrink-0 text-danger" />}
+              {(item.status === 'pending' || item.status === 'processing') && (
+                <span
+                  className={`mt-1 h-2 w-2 flex-shrink-0 rounded-full ${
+                    item.status === 'processing' ? 'animate-pulse bg-primary' : 'bg-slate-300 dark:bg-slate-600'
+                  }`}
+                />
+              )}
+              <div className="min-w-0 flex-1">
+                <span className="block truncate text-slate-700 dark:text-slate-200">
+                  {item.title || `Document ${item.index + 1}`}
+                  {item.status === 'succeeded' && (
+                    <span className="ml-1 text-slate-400">({item.chunks} chunk{item.chunks === 1 ? '' : 's'})</span>
+                  )}
+                </span>
+                {item.error && <span className="block text-[10px] text-danger">{item.error}</span>}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!active && progress.failed > 0 && (
+        <div className="mt-1.5 flex flex-wrap gap-1.5">
+          <button
+            type="button"
+            disabled={retrying}
+            onClick={() => onRetry()}
+            className="inline-flex items-center gap-1 rounded-md border border-slate-200 px-2 py-0.5 text-[11px] text-slate-700 hover:bg-slate-50 disabled:opacity-60 dark:border-slate-600 dark:text-slate-200 dark:hover:bg-slate-700"
+          >
+            <ArrowPathIcon className={`h-3.5 w-3.5 ${retrying ? 'animate-spin' : ''}`} />
+            Retry {progress.failed} failed
+          </button>
+          {failedDuplicates > 0 && (
+            <button
+              type="button"
+              disabled={retrying}
+              onClick={() => onRetry({ force: true })}
+              className="inline-flex items-center gap-1 rounded-md border border-amber-300 px-2 py-0.5 text-[11px] text-amber-700 hover:bg-amber-50 disabled:opacity-60 dark:border-amber-500/40 dark:text-amber-300 dark:hover:bg-amber-500/10"
+            >
+              Add {failedDuplicates} duplicate{failedDuplicates === 1 ? '' : 's'} anyway
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default IngestionJobProgress;
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon, QuestionMarkCircleIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 0, label: 'All time' },
+];
+
+/**
+ * Knowledge-gap report (editors) from GET /api/analytics/knowledge-gaps: topics users asked about
+ * that the knowledge base could not answer, most frequent first. Each topic is a cluster of similar
+ * questions with low retrieval confidence or a "not in the knowledge base" answer.
+ */
+function KnowledgeGapReport() {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    const from = days ? new Date(Date.now() - days * DAY_MS).toISOString() : undefined;
+    api.getKnowledgeGaps({ from }).then((res) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (!res.success) {
+        toast.error(res.error || 'Failed to load knowledge gaps.');
+        return;
+      }
+      setReport(res.data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [days, reloadKey]);
+
+  return (
+    <div className="flex h-full flex-col gap-2 text-xs">
+      <div className="flex items-center gap-2">
+        <select
+          className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-800 shadow-sm outline-none focus:border-primary focus:ring-1 focus:ring-primary/40 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50"
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+        >
+          {PERIODS.map((period) => (
+            <option key={period.days} value={period.days}>
+              {period.label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          disabled={loading}
+          onClick={() => setReloadKey((key) => key + 1)}
+          title="Refresh"
+          className="rounded-full border border-slate-200 bg-white p-1 text-slate-700 hover:bg-slate-50 disabled:cursor-not-allowed dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700"
+        >
+          <ArrowPathIcon className={`h-3.5 w-3.5 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+        {report && (
+          <span className="ml-auto text-[11px] text-slate-500 dark:text-slate-400">
+            {report.total} unanswered question{report.total === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+
+      <div className="flex-1 space-y-2 overflow-y-auto">
+        {report?.topics.length === 0 && !loading && (
+          <p className="text-[11px] text-slate-500 dark:text-slate-400">
+            No unanswered questions in this period. Questions answered with low confidence, or that the assistant
+            could not find in the knowledge base, show up here grouped by topic.
+          </p>
+        )}
+        {report?.topics.map((topic) => (
+          <div
+            key={`${topic.label}-${topic.firstAskedAt}`}
+            className="rounded-lg border border-slate-200 bg-white p-2 dark:border-slate-700 dark:bg-slate-800"
+          >
+            <div className="flex items-start gap-2">
+              <QuestionMarkCircleIcon className="mt-0.5 h-4 w-4 flex-shrink-0 text-danger" />
+              <div className="min-w-0 flex-1">
+                <p className="font-medium text-slate-800 dark:text-slate-100">{topic.label}</p>
+                <p className="text-[10px] text-slate-500 dark:text-slate-400">
+                  Asked {topic.count} time{topic.count === 1 ? '' : 's'} by {topic.users} user
+                  {topic.users === 1 ? '' : 's'} · last {new Date(topic.lastAskedAt).toLocaleDateString()}
+                  {topic.reasons.not_in_knowledge_base > 0 &&
+                    ` · ${topic.reasons.not_in_knowledge_base} "not in the knowledge base"`}
+                </p>
+              </div>
+              <span className="rounded-full bg-slate-900 px-2 py-0.5 text-[10px] font-medium text-white dark:bg-slate-100 dark:text-slate-900">
+                {topic.count}
+              </span>
+            </div>
+            {topic.examples.length > 1 && (
+              <ul className="mt-1 list-disc space-y-0.5 pl-8 text-[11px] text-slate-600 dark:text-slate-300">
+                {topic.examples
+                  .filter((example) => example !== topic.label)
+                  .map((example) => (
+                    <li key={example}>{example}</li>
+                  ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default KnowledgeGapReport;
@@ -1,28 +1,76 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import toast, { Toaster } from 'react-hot-toast';
 import {
+  ArrowUpTrayIcon,
   BookOpenIcon,
+  CheckCircleIcon,
+  ClockIcon,
+  XCircleIcon,
   ListBulletIcon,
   MagnifyingGlassIcon,
+  PencilSquareIcon,
   TrashIcon,
   ExclamationTriangleIcon,
 } from '@heroicons/react/24/outline';
 import { motion, AnimatePresence } from 'framer-motion';
 import api from '../services/api';
+import { CATEGORIES } from '../constants';
+import IngestionJobProgress from './IngestionJobProgress';
+import EditDocumentModal from './EditDocumentModal';
+import DocumentHistoryModal from './DocumentHistoryModal';
+import DeletedDocuments from './DeletedDocuments';
+import DuplicateReport from './DuplicateReport';
+import FeedbackReport from './FeedbackReport';
+import KnowledgeGapReport from './KnowledgeGapReport';
 
-const TABS = ['Add Knowledge', 'View All', 'Search'];
-const CATEGORIES = ['Sales', 'HR', 'Product', 'Technical', 'Other'];
-const MAX_CHARS = 5000;
+const TABS = ['Add Knowledge', 'View All', 'Search', 'Gaps', 'Deleted', 'Duplicates', 'Feedback'];
+const EDITOR_TABS = ['Add Knowledge', 'Gaps', 'Deleted'];
+const ADMIN_TABS = ['Duplicates', 'Feedback'];
+const SEARCH_MODES = [
+  { value: 'hybrid', label: 'Hybrid' },
+  { value: 'vector', label: 'Semantic' },
+  { value: 'keyword', label: 'Keyword' },
+];
+// Long documents are chunked server-side; keep in sync with MAX_TEXT_LENGTH in routes/knowledge.js.
+const MAX_CHARS = 200000;
 const PAGE_SIZE = 50;
+const UPLOAD_ACCEPT = '.pdf,.docx,.md,.markdown,.txt,.html,.htm,.csv';
+const JOB_POLL_MS = 1000;
 
-function KnowledgePanel() {
-  const [activeTab, setActiveTab] = useState('Add Knowledge');
+const isJobActive = (job) => job && (job.status === 'queued' || job.status === 'running');
+
+const describeDuplicate = (dup) =>
+  `${dup.title || dup.source || dup.id} (${dup.kind === 'exact' ? 'identical' : `${Math.round(dup.similarity * 100)}% similar`})`;
+
+/**
+ * `role` is the signed-in user's role: editors and admins can add knowledge and see the knowledge gaps
+ * and deleted documents, only admins can delete it or see the duplicates and feedback reports.
+ */
+function KnowledgePanel({ role }) {
+  const canEdit = role === 'editor' || role === 'admin';
+  const canDelete = role === 'admin';
+  const tabs = TABS.filter(
+    (tab) => (!EDITOR_TABS.includes(tab) || canEdit) && (!ADMIN_TABS.includes(tab) || canDelete)
+  );
+
+  const [activeTab, setActiveTab] = useState(tabs[0]);
 
   // Add Knowledge state
   const [text, setText] = useState('');
   const [category, setCategory] = useState('Other');
   const [source, setSource] = useState('');
   const [submitting, setSubmitting] = useState(false);
+  // Existing documents the text duplicates, from a 409 on save; cleared when the text changes
+  const [duplicateWarning, setDuplicateWarning] = useState(null);
+
+  // File upload state: [{ key, name, progress, status: 'uploading' | 'processing' | 'done' | 'error', message }]
+  const [uploads, setUploads] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Bulk ingestion job being tracked (GET /api/knowledge/jobs/:id)
+  const [job, setJob] = useState(null);
+  const [retryingJob, setRetryingJob] = useState(false);
 
   // View All state
   const [documents, setDocuments] = useState([]);
@@ -30,9 +78,19 @@ function KnowledgePanel() {
   const [total, setTotal] = useState(0);
   const [loadingDocs, setLoadingDocs] = useState(false);
   const [deleteTarget, setDeleteTarget] = useState(null);
+  // Parent document id being edited
+  const [editTarget, setEditTarget] = useState(null);
+  // Parent document id whose version history is open
+  const [historyTarget, setHistoryTarget] = useState(null);
+  // Bumped when documents change so the duplicates report re-runs
+  const [duplicatesReloadKey, setDuplicatesReloadKey] = useState(0);
+  // Bumped on deletes and restores so the deleted documents list reloads
+  const [deletedReloadKey, setDeletedReloadKey] = useState(0);
 
   // Search state
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchCategory, setSearchCategory] = useState('');
+  const [searchMode, setSearchMode] = useState('hybrid');
   const [searchResults, setSearchResults] = useState([]);
   const [searching, setSearching] = useState(false);
 
@@ -42,6 +100,60 @@ function KnowledgePanel() {
     }
   }, [activeTab]);
 
+  // Resume tracking a bulk ingestion that is still running, e.g. after a reload.
+  useEffect(() => {
+    if (!canEdit) return undefined;
+    let cancelled = false;
+    api.listJobs().then(async (res) => {
+      const running = res.success ? (res.data.jobs || []).find(isJobActive) : null;
+      if (!running) return;
+      const jobRes = await api.getJob(running.id);
+      if (!cancelled && jobRes.success) setJob((current) => current || jobRes.data.job);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [canEdit]);
+
+  // Poll the tracked job until it finishes.
+  useEffect(() => {
+    if (!isJobActive(job)) return undefined;
+
+    const timeout = setTimeout(async () => {
+      const res = await api.getJob(job.id);
+      if (!res.success) {
+        toast.error(res.error || 'Lost track of the bulk ingestion job.');
+        setJob(null);
+        return;
+      }
+
+      const next = res.data.job;
+      setJob(next);
+      if (!isJobActive(next)) {
+        const { succeeded, failed } = next.progress;
+        if (failed) {
+          toast.error(`Bulk add finished: ${succeeded} added, ${failed} failed.`);
+        } else {
+          toast.success(`Bulk add finished: ${succeeded} documents added.`);
+        }
+      }
+    }, JOB_POLL_MS);
+
+    return () => clearTimeout(timeout);
+  }, [job]);
+
+  const handleRetryJob = async ({ force = false } = {}) => {
+    if (!job) return;
+    setRetryingJob(true);
+    const res = await api.retryJob(job.id, { force });
+    setRetryingJob(false);
+    if (!res.success) {
+      toast.error(res.error || 'Failed to retry documents.');
+      return;
+    }
+    setJob(res.data.job);
+  };
+
   const remainingChars = MAX_CHARS - text.length;
 
   const loadDocuments = async (pageToLoad) => {
@@ -61,7 +173,7 @@ function KnowledgePanel() {
     }
   };
 
-  const handleAddKnowledge = async () => {
+  const handleAddKnowledge = async ({ force = false } = {}) => {
     if (!text.trim()) {
       toast.error('Please enter document text.');
       return;
@@ -82,17 +194,26 @@ function KnowledgePanel() {
           category,
           source,
         }));
-        const res = await api.bulkAdd(documentsPayload);
+        const res = await api.bulkAdd(documentsPayload, { force });
         if (!res.success) throw new Error(res.error);
-        toast.success(`Bulk added ${res.data.added} documents (failed: ${res.data.failed}).`);
+        setJob(res.data.job);
+        toast.success(`Queued ${parts.length} documents for ingestion.`);
       } else {
-        const res = await api.addDocument(text.trim(), category, source || undefined);
+        const res = await api.addDocument(text.trim(), category, source || undefined, { force });
+        if (res.status === 409 && res.data?.duplicates) {
+          setDuplicateWarning(res.data.duplicates);
+          return;
+        }
         if (!res.success) throw new Error(res.error);
-        toast.success('Knowledge document added.');
+        const { chunks } = res.data;
+        toast.success(
+          chunks > 1 ? `Knowledge document added (${chunks} chunks).` : 'Knowledge document added.'
+        );
       }
 
       setText('');
       setSource('');
+      setDuplicateWarning(null);
       if (activeTab === 'View All') {
         loadDocuments(page);
       }
@@ -105,6 +226,67 @@ function KnowledgePanel() {
     }
   };
 
+  const updateUpload = (key, changes) => {
+    setUploads((prev) => prev.map((u) => (u.key === key ? { ...u, ...changes } : u)));
+  };
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const entries = files.map((file) => ({
+      key: `${file.name}-${file.size}-${Date.now()}-${Math.random()}`,
+      name: file.name,
+      progress: 0,
+      status: 'uploading',
+      message: '',
+    }));
+    setUploads((prev) => [...entries, ...prev]);
+
+    // Upload one file at a time so each gets its own progress and error reporting.
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [idx, file] of files.entries()) {
+      const { key } = entries[idx];
+      // eslint-disable-next-line no-await-in-loop
+      const res = await api.uploadFile(file, category, (progress) => {
+        updateUpload(key, { progress, status: progress >= 100 ? 'processing' : 'uploading' });
+      });
+
+      const fileResult = res.success ? res.data.files?.[0] : null;
+      if (fileResult?.queued) {
+        // Large files are ingested by a background job, tracked like a bulk add.
+        setJob(fileResult.job);
+        updateUpload(key, {
+          progress: 100,
+          status: 'done',
+          message: `${fileResult.documents} section(s) queued for ingestion`,
+        });
+      } else if (fileResult?.success) {
+        updateUpload(key, {
+          progress: 100,
+          status: 'done',
+          message: `${fileResult.documents} section(s), ${fileResult.chunks} chunk(s)${
+            fileResult.skipped ? `, ${fileResult.skipped} duplicate(s) skipped` : ''
+          }`,
+        });
+      } else {
+        const message = fileResult?.error || res.error || 'Upload failed.';
+        updateUpload(key, { status: 'error', message });
+        toast.error(`${file.name}: ${message}`);
+      }
+    }
+
+    if (activeTab === 'View All') {
+      loadDocuments(page);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
   const handleSearch = async () => {
     if (!searchQuery.trim()) {
       toast.error('Please enter a search query.');
@@ -112,7 +294,10 @@ function KnowledgePanel() {
     }
     setSearching(true);
     try {
-      const res = await api.search(searchQuery.trim(), 10);
+      const res = await api.search(searchQuery.trim(), 10, {
+        category: searchCategory || undefined,
+        mode: searchMode,
+      });
       if (!res.success) throw new Error(res.error);
       setSearchResults(res.data.results || []);
     } catch (err) {
@@ -140,6 +325,8 @@ function KnowledgePanel() {
       toast.success('Document deleted.');
       closeDeleteModal();
       loadDocuments(page);
+      setDuplicatesReloadKey((key) => key + 1);
+      setDeletedReloadKey((key) => key + 1);
     } catch (err) {
       // eslint-disable-next-line no-console
       console.error('Delete failed', err);
@@ -159,8 +346,8 @@ function KnowledgePanel() {
         </h2>
       </div>
 
-      <div className="mb-3 flex gap-1 rounded-full bg-slate-100 p-1 text-xs dark:bg-slate-800">
-        {TABS.map((tab) => (
+      <div className="mb-3 flex flex-wrap gap-1 rounded-2xl bg-slate-100 p-1 text-xs dark:bg-slate-800">
+        {tabs.map((tab) => (
           <button
             key={tab}
             type="button"
@@ -178,14 +365,14 @@ function KnowledgePanel() {
 
       <div className="flex-1 overflow-hidden">
         <AnimatePresence mode="wait">
-          {activeTab === 'Add Knowledge' && (
+          {activeTab === 'Add Knowledge' && canEdit && (
             <motion.div
               key="add"
               initial={{ opacity: 0, x: 10 }}
               animate={{ opacity: 1, x: 0 }}
               exit={{ opacity: 0, x: -10 }}
               transition={{ duration: 0.15 }}
-              className="flex h-full flex-col gap-2"
+              className="flex h-full flex-col gap-2 overflow-y-auto"
             >
               <label className="text-xs font-medium text-slate-600 dark:text-slate-300">
                 Document text
@@ -193,7 +380,10 @@ function KnowledgePanel() {
                   className="mt-1 h-40 w-full resize-none rounded-lg border border-slate-200 bg-slate-50 px-2.5 py-2 text-xs text-slate-900 shadow-inner outline-none transition focus:border-primary focus:bg-white focus:ring-1 focus:ring-primary/40 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50"
                   placeholder="Paste or type your knowledge document here. For bulk upload, separate documents with a line containing only ---"
                   value={text}
-                  onChange={(e) => setText(e.target.value.slice(0, MAX_CHARS))}
+                  onChange={(e) => {
+                    setText(e.target.value.slice(0, MAX_CHARS));
+                    setDuplicateWarning(null);
+                  }}
                 />
                 <div className="mt-0.5 flex items-center justify-between text-[11px] text-slate-500">
                   <span>{remainingChars} characters remaining</span>
@@ -231,11 +421,127 @@ function KnowledgePanel() {
               <button
                 type="button"
                 disabled={submitting}
-                onClick={handleAddKnowledge}
+                onClick={() => handleAddKnowledge()}
                 className="mt-1 inline-flex items-center justify-center rounded-lg bg-primary px-3 py-1.5 text-xs font-medium text-white shadow-card-soft transition hover:bg-blue-700 disabled:cursor-not-allowed disabled:bg-slate-400"
               >
                 {submitting ? 'Saving...' : 'Save to Knowledge Base'}
               </button>
+
+              {duplicateWarning && (
+                <div className="rounded-lg border border-amber-200 bg-amber-50 px-2 py-2 text-[11px] text-amber-800 dark:border-amber-500/30 dark:bg-amber-500/10 dark:text-amber-200">
+                  <p className="flex items-center gap-1 font-medium">
+                    <ExclamationTriangleIcon className="h-4 w-4" />
+                    This looks like a duplicate of:
+                  </p>
+                  <ul className="ml-5 mt-0.5 list-disc">
+                    {duplicateWarning.map((dup) => (
+                      <li key={dup.id}>{describeDuplicate(dup)}</li>
+                    ))}
+                  </ul>
+                  <div className="mt-1.5 flex gap-2">
+                    <button
+                      type="button"
+                      disabled={submitting}
+                      onClick={() => handleAddKnowledge({ force: true })}
+                      className="rounded-full bg-amber-600 px-3 py-0.5 font-medium text-white hover:bg-amber-700 disabled:opacity-60"
+                    >
+                      Add anyway
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDuplicateWarning(null)}
+                      className="rounded-full border border-amber-300 px-3 py-0.5 hover:bg-amber-100 dark:border-amber-500/40 dark:hover:bg-amber-500/20"
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {job && (
+                <IngestionJobProgress
+                  job={job}
+                  retrying={retryingJob}
+                  onRetry={handleRetryJob}
+                  onDismiss={() => setJob(null)}
+                />
+              )}
+
+              <div
+                role="button"
+                tabIndex={0}
+                onClick={() => fileInputRef.current?.click()}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') fileInputRef.current?.click();
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragActive(true);
+                }}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={handleDrop}
+                className={`mt-2 flex cursor-pointer flex-col items-center justify-center rounded-lg border border-dashed px-3 py-4 text-center text-[11px] transition ${
+                  dragActive
+                    ? 'border-primary bg-primary/5 text-primary'
+                    : 'border-slate-300 bg-slate-50 text-slate-500 hover:border-primary/60 dark:border-slate-700 dark:bg-slate-800 dark:text-slate-300'
+                }`}
+              >
+                <ArrowUpTrayIcon className="mb-1 h-5 w-5" />
+                <span className="font-medium">Drop files here or click to upload</span>
+                <span className="mt-0.5 text-[10px]">PDF, DOCX, Markdown, HTML, CSV · uses the category above</span>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  accept={UPLOAD_ACCEPT}
+                  className="hidden"
+                  onChange={(e) => {
+                    handleFiles(e.target.files);
+                    e.target.value = '';
+                  }}
+                />
+              </div>
+
+              {uploads.length > 0 && (
+                <ul className="space-y-1 text-[11px]">
+                  {uploads.map((u) => (
+                    <li
+                      key={u.key}
+                      className="rounded-md border border-slate-200 bg-white px-2 py-1 dark:border-slate-700 dark:bg-slate-800"
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="truncate text-slate-700 dark:text-slate-100">{u.name}</span>
+                        {u.status === 'done' && <CheckCircleIcon className="h-4 w-4 flex-shrink-0 text-accent" />}
+                        {u.status === 'error' && <XCircleIcon className="h-4 w-4 flex-shrink-0 text-danger" />}
+                        {(u.status === 'uploading' || u.status === 'processing') && (
+                          <span className="flex-shrink-0 text-[10px] text-slate-500">
+                            {u.status === 'processing' ? 'Processing…' : `${u.progress}%`}
+                          </span>
+                        )}
+                      </div>
+                      {(u.status === 'uploading' || u.status === 'processing') && (
+                        <div className="mt-1 h-1 overflow-hidden rounded-full bg-slate-200 dark:bg-slate-700">
+                          <div
+                            className={`h-full bg-primary transition-all ${
+                              u.status === 'processing' ? 'animate-pulse' : ''
+                            }`}
+                            style={{ width: `${u.progress}%` }}
+                          />
+                        </div>
+                      )}
+                      {u.message && (
+                        <p
+                          className={`mt-0.5 text-[10px] ${
+                            u.status === 'error' ? 'text-danger' : 'text-slate-500 dark:text-slate-400'
+                          }`}
+                        >
+                          {u.message}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </motion.div>
           )}
 
@@ -263,9 +569,10 @@ function KnowledgePanel() {
                     <thead>
                       <tr className="text-[11px] uppercase tracking-wide text-slate-500">
                         <th className="px-2 text-left">ID</th>
-                        <th className="px-2 text-left">Text</th>
+                        <th className="px-2 text-left">Document</th>
                         <th className="px-2 text-left">Category</th>
-                        <th className="px-2 text-left">Timestamp</th>
+                        <th className="px-2 text-right">Chunks</th>
+                        <th className="px-2 text-left">Updated</th>
                         <th className="px-2 text-right">Actions</th>
                       </tr>
                     </thead>
@@ -276,25 +583,51 @@ function KnowledgePanel() {
                             {String(doc.id).slice(0, 8)}…
                           </td>
                           <td className="bg-white px-2 py-1 text-[11px] text-slate-800 dark:bg-slate-800 dark:text-slate-100">
-                            {(doc.text || doc.description || doc.preview || doc.content || '').slice(0, 100) ||
-                              (doc.title || '')}
-                            {(doc.text || '').length > 100 && '…'}
+                            {(doc.title || doc.source) && (
+                              <div className="font-medium">{doc.title || doc.source}</div>
+                            )}
+                            <div className="text-slate-500 dark:text-slate-300">
+                              {(doc.preview || '').slice(0, 100)}
+                              {(doc.preview || '').length > 100 && '…'}
+                            </div>
                           </td>
                           <td className="bg-white px-2 py-1 dark:bg-slate-800">
                             <span className="inline-flex rounded-full bg-slate-100 px-2 py-0.5 text-[10px] text-slate-700 dark:bg-slate-700 dark:text-slate-100">
                               {doc.category || 'Other'}
                             </span>
                           </td>
+                          <td className="bg-white px-2 py-1 text-right text-[10px] text-slate-500 dark:bg-slate-800">
+                            {doc.chunkCount}
+                          </td>
                           <td className="bg-white px-2 py-1 text-[10px] text-slate-500 dark:bg-slate-800">
-                            {doc.timestamp
-                              ? new Date(doc.timestamp).toLocaleString()
-                              : ''}
+                            {doc.updatedAt ? new Date(doc.updatedAt).toLocaleString() : ''}
                           </td>
-                          <td className="rounded-r-md bg-white px-2 py-1 text-right dark:bg-slate-800">
+                          <td className="whitespace-nowrap rounded-r-md bg-white px-2 py-1 text-right dark:bg-slate-800">
+                            <button
+                              type="button"
+                              onClick={() => setHistoryTarget(doc.id)}
+                              title="Version history"
+                              className="mr-1 inline-flex items-center justify-center rounded-full border border-slate-200 bg-white px-2 py-0.5 text-[10px] text-slate-700 hover:bg-slate-50 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700"
+                            >
+                              <ClockIcon className="mr-1 h-3 w-3" />
+                              History
+                            </button>
+                            {canEdit && (
+                              <button
+                                type="button"
+                                onClick={() => setEditTarget(doc.id)}
+                                className="mr-1 inline-flex items-center justify-center rounded-full border border-slate-200 bg-white px-2 py-0.5 text-[10px] text-slate-700 hover:bg-slate-50 dark:border-slate-600 dark:bg-slate-800 dark:text-slate-100 dark:hover:bg-slate-700"
+                              >
+                                <PencilSquareIcon className="mr-1 h-3 w-3" />
+                                Edit
+                              </button>
+                            )}
                             <button
                               type="button"
                               onClick={() => openDeleteModal(doc)}
-                              className="inline-flex items-center justify-center rounded-full border border-danger/40 bg-danger/5 px-2 py-0.5 text-[10px] text-danger hover:bg-danger/10"
+                              disabled={!canDelete}
+                              title={canDelete ? undefined : 'Only admins can delete documents'}
+                              className="inline-flex items-center justify-center rounded-full border border-danger/40 bg-danger/5 px-2 py-0.5 text-[10px] text-danger hover:bg-danger/10 disabled:cursor-not-allowed disabled:opacity-40 disabled:hover:bg-danger/5"
                             >
                               <TrashIcon className="mr-1 h-3 w-3" />
                               Delete
@@ -305,7 +638,7 @@ function KnowledgePanel() {
                       {documents.length === 0 && !loadingDocs && (
                         <tr>
                           <td
-                            colSpan={5}
+                            colSpan={6}
                             className="px-2 py-4 text-center text-[11px] text-slate-500 dark:text-slate-300"
                           >
                             No documents found.
@@ -362,6 +695,31 @@ function KnowledgePanel() {
                     if (e.key === 'Enter') handleSearch();
                   }}
                 />
+                <select
+                  className="rounded-lg border border-slate-200 bg-white px-1.5 py-1.5 text-xs text-slate-800 shadow-sm outline-none focus:border-primary dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50"
+                  value={searchCategory}
+                  onChange={(e) => setSearchCategory(e.target.value)}
+                  title="Limit results to a category"
+                >
+                  <option value="">All</option>
+                  {CATEGORIES.map((c) => (
+                    <option key={c} value={c}>
+                      {c}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  className="rounded-lg border border-slate-200 bg-white px-1.5 py-1.5 text-xs text-slate-800 shadow-sm outline-none focus:border-primary dark:border-slate-700 dark:bg-slate-800 dark:text-slate-50"
+                  value={searchMode}
+                  onChange={(e) => setSearchMode(e.target.value)}
+                  title="Keyword matches exact terms such as product codes; hybrid combines both"
+                >
+                  {SEARCH_MODES.map((m) => (
+                    <option key={m.value} value={m.value}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
                 <button
                   type="button"
                   onClick={handleSearch}
@@ -419,11 +777,88 @@ function KnowledgePanel() {
               </div>
             </motion.div>
           )}
+
+          {activeTab === 'Gaps' && canEdit && (
+            <motion.div
+              key="gaps"
+              initial={{ opacity: 0, x: 10 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -10 }}
+              transition={{ duration: 0.15 }}
+              className="h-full"
+            >
+              <KnowledgeGapReport />
+            </motion.div>
+          )}
+
+          {activeTab === 'Deleted' && canEdit && (
+            <motion.div
+              key="deleted"
+              initial={{ opacity: 0, x: 10 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -10 }}
+              transition={{ duration: 0.15 }}
+              className="h-full"
+            >
+              <DeletedDocuments reloadKey={deletedReloadKey} onHistory={setHistoryTarget} />
+            </motion.div>
+          )}
+
+          {activeTab === 'Duplicates' && canDelete && (
+            <motion.div
+              key="duplicates"
+              initial={{ opacity: 0, x: 10 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -10 }}
+              transition={{ duration: 0.15 }}
+              className="h-full"
+            >
+              <DuplicateReport reloadKey={duplicatesReloadKey} onEdit={setEditTarget} onDelete={openDeleteModal} />
+            </motion.div>
+          )}
+
+          {activeTab === 'Feedback' && canDelete && (
+            <motion.div
+              key="feedback"
+              initial={{ opacity: 0, x: 10 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -10 }}
+              transition={{ duration: 0.15 }}
+              className="h-full"
+            >
+              <FeedbackReport />
+            </motion.div>
+          )}
         </AnimatePresence>
       </div>
 
       {/* Delete confirmation modal */}
       <AnimatePresence>
+        {editTarget && (
+          <EditDocumentModal
+            key="edit"
+            documentId={editTarget}
+            onClose={() => setEditTarget(null)}
+            onSaved={() => {
+              setEditTarget(null);
+              loadDocuments(page);
+              setDuplicatesReloadKey((key) => key + 1);
+            }}
+          />
+        )}
+        {historyTarget && (
+          <DocumentHistoryModal
+            key="history"
+            documentId={historyTarget}
+            canRestore={canEdit}
+            onClose={() => setHistoryTarget(null)}
+            onRestored={() => {
+              setHistoryTarget(null);
+              loadDocuments(page);
+              setDeletedReloadKey((key) => key + 1);
+            }}
+          />
+        )}
         {deleteTarget && (
           <motion.div
             className="fixed inset-0 z-40 flex items-center justify-center bg-black/40"
@@ -442,11 +877,12 @@ function KnowledgePanel() {
                 <h3 className="text-sm font-semibold">Delete document?</h3>
               </div>
               <p className="mb-3 text-[11px] text-slate-600 dark:text-slate-200">
-                This will permanently remove the selected document from the knowledge base. This action cannot be
-                undone.
+                This will remove the selected document and all of its chunks from the knowledge base. Its version
+                history is kept, so editors can restore it from the Deleted tab.
               </p>
               <p className="mb-3 line-clamp-3 rounded-md bg-slate-50 p-2 text-[11px] text-slate-700 dark:bg-slate-800 dark:text-slate-100">
-                {deleteTarget.text || deleteTarget.metadata?.text}
+                {deleteTarget.title && <span className="font-medium">{deleteTarget.title}: </span>}
+                {deleteTarget.preview || deleteTarget.text || deleteTarget.metadata?.text}
               </p>
               <div className="flex justify-end gap-2">
                 <button
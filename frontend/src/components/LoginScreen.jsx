@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import api from '../services/api';
+
+/**
+ * Sign-in form. Offers account creation when the server has registration open
+ * (always the case on a fresh install with no users).
+ */
+function LoginScreen({ onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [registrationOpen, setRegistrationOpen] = useState(false);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.getAuthStatus().then((res) => {
+      if (res.success) setRegistrationOpen(Boolean(res.data.registrationOpen));
+    });
+  }, []);
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+    if (isRegister && password.length < 8) {
+      setError('Password must be at least 8 characters.');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    const res = isRegister
+      ? await api.register(username.trim(), password)
+      : await api.login(username.trim(), password);
+    setSubmitting(false);
+
+    if (!res.success) {
+      setError(res.error || 'Sign in failed.');
+      return;
+    }
+    onAuthenticated(res.data.user);
+  };
+
+  return (
+    <div className="flex h-screen items-center justify-center bg-slate-950 px-4 text-slate-100">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm rounded-xl bg-slate-900/90 p-6 shadow-card-strong"
+      >
+        <div className="mb-5 flex items-center gap-2">
+          <LockClosedIcon className="h-5 w-5 text-primary" />
+          <div>
+            <h1 className="text-sm font-semibold tracking-tight">Enterprise AI Assistant</h1>
+            <p className="text-[11px] text-slate-400">
+              {isRegister ? 'Create an account to continue.' : 'Sign in to continue.'}
+            </p>
+          </div>
+        </div>
+
+        <label className="mb-1 block text-[11px] font-medium text-slate-300" htmlFor="login-username">
+          Username
+        </label>
+        <input
+          id="login-username"
+          autoComplete="username"
+          className="mb-3 w-full rounded-lg border border-slate-700 bg-slate-800 px-3 py-2 text-sm text-slate-100 outline-none transition focus:border-primary focus:ring-1 focus:ring-primary/40"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+
+        <label className="mb-1 block text-[11px] font-medium text-slate-300" htmlFor="login-password">
+          Password
+        </label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete={isRegister ? 'new-password' : 'current-password'}
+          className="mb-3 w-full rounded-lg border border-slate-700 bg-slate-800 px-3 py-2 text-sm text-slate-100 outline-none transition focus:border-primary focus:ring-1 focus:ring-primary/40"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+
+        {error && <p className="mb-3 text-xs text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={submitting || !username.trim() || !password}
+          className="w-full rounded-full bg-primary px-4 py-2 text-sm font-medium text-white shadow hover:bg-blue-700 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {submitting ? 'Please wait…' : isRegister ? 'Create account' : 'Sign in'}
+        </button>
+
+        {registrationOpen && (
+          <button
+            type="button"
+            onClick={() => {
+              setMode(isRegister ? 'login' : 'register');
+              setError('');
+            }}
+            className="mt-3 w-full text-center text-[11px] text-slate-400 hover:text-slate-200"
+          >
+            {isRegister ? 'Already have an account? Sign in' : 'No account yet? Create one'}
+          </button>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
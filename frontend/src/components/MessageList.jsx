@@ -1,7 +1,7 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import { AnimatePresence, motion } from 'framer-motion';
-import { ClipboardIcon, SparklesIcon } from '@heroicons/react/24/outline';
+import { ClipboardIcon, HandThumbDownIcon, HandThumbUpIcon, SparklesIcon } from '@heroicons/react/24/outline';
 
 function formatTime(dateString) {
   const date = new Date(dateString);
@@ -11,6 +11,30 @@ function formatTime(dateString) {
   });
 }
 
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+const CODE_PATTERN = /(```[\s\S]*?```|`[^`\n]*`)/g;
+const CITATION_HREF_PREFIX = '#citation-';
+
+/**
+ * Turn inline citations like [2] or [1, 3] into markdown links that render as citation chips.
+ * Numbers without a matching source are left as plain text (the server strips them once the
+ * answer is complete). Code spans are left untouched.
+ */
+function linkCitations(content, sourceCount) {
+  if (!sourceCount) return content;
+  return String(content || '')
+    .split(CODE_PATTERN)
+    .map((segment, idx) => {
+      if (idx % 2 === 1) return segment;
+      return segment.replace(CITATION_PATTERN, (match, group) => {
+        const numbers = group.split(',').map((n) => parseInt(n.trim(), 10));
+        if (!numbers.every((n) => n >= 1 && n <= sourceCount)) return match;
+        return numbers.map((n) => `[${n}](${CITATION_HREF_PREFIX}${n})`).join('');
+      });
+    })
+    .join('');
+}
+
 function UserMessage({ message }) {
   const initials = 'You';
 
@@ -31,8 +55,135 @@ function UserMessage({ message }) {
   );
 }
 
-function AIMessage({ message, onCopy }) {
+const FEEDBACK_BUTTON_BASE =
+  'inline-flex items-center rounded-full border px-1.5 py-0.5 shadow-sm transition disabled:cursor-not-allowed';
+
+/**
+ * Thumbs up/down on an answer. Thumbs down opens an optional correction box; `onFeedback`
+ * resolves with true once the rating is saved.
+ */
+function FeedbackButtons({ message, onFeedback }) {
+  const [correcting, setCorrecting] = useState(false);
+  const [comment, setComment] = useState('');
+  const [sending, setSending] = useState(false);
+  const rating = message.feedback?.rating;
+
+  const send = async (newRating, newComment = null) => {
+    setSending(true);
+    const saved = await onFeedback(message, newRating, newComment);
+    setSending(false);
+    if (saved) setCorrecting(false);
+  };
+
+  const buttonClass = (value) =>
+    `${FEEDBACK_BUTTON_BASE} ${
+      rating === value
+        ? 'border-slate-900 bg-slate-900 text-white'
+        : 'border-slate-200 bg-white text-slate-500 hover:border-slate-300 hover:text-slate-700'
+    }`;
+
+  return (
+    <>
+      <button
+        type="button"
+        title="Good answer"
+        disabled={sending}
+        onClick={() => send('up')}
+        className={buttonClass('up')}
+      >
+        <HandThumbUpIcon className="h-3 w-3" />
+      </button>
+      <button
+        type="button"
+        title="Bad answer"
+        disabled={sending}
+        onClick={() => {
+          setComment(message.feedback?.comment || '');
+          setCorrecting(true);
+        }}
+        className={buttonClass('down')}
+      >
+        <HandThumbDownIcon className="h-3 w-3" />
+      </button>
+      {correcting && (
+        <form
+          className="order-last mt-1 flex w-full flex-col gap-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            send('down', comment.trim() || null);
+          }}
+        >
+          <textarea
+            rows={2}
+            maxLength={2000}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="What was wrong? Add the correct answer if you know it (optional)."
+            className="w-full rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-800 shadow-sm outline-none focus:border-primary focus:ring-1 focus:ring-primary/40"
+          />
+          <div className="flex justify-end gap-1">
+            <button
+              type="button"
+              onClick={() => setCorrecting(false)}
+              className="rounded-full border border-slate-200 bg-white px-2 py-0.5 text-[11px] text-slate-500 hover:text-slate-700"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={sending}
+              className="rounded-full bg-slate-900 px-2 py-0.5 text-[11px] font-medium text-white hover:bg-slate-700 disabled:cursor-not-allowed disabled:bg-slate-400"
+            >
+              {sending ? 'Sending…' : 'Send feedback'}
+            </button>
+          </div>
+        </form>
+      )}
+    </>
+  );
+}
+
+function AIMessage({ message, onCopy, onFeedback }) {
   const hasSources = Array.isArray(message.sources) && message.sources.length > 0;
+  const [sourcesOpen, setSourcesOpen] = useState(false);
+  const [highlightedSource, setHighlightedSource] = useState(null);
+  const sourceRefs = useRef([]);
+
+  const citedNumbers = new Set((message.citations || []).map((c) => c.number));
+
+  const showSource = (number) => {
+    setSourcesOpen(true);
+    setHighlightedSource(number);
+    // Wait for the <details> block to open before scrolling.
+    requestAnimationFrame(() => {
+      sourceRefs.current[number - 1]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+  };
+
+  const markdownComponents = {
+    // eslint-disable-next-line react/no-unstable-nested-components, no-unused-vars
+    a: ({ node, href, children, ...props }) => {
+      if (href?.startsWith(CITATION_HREF_PREFIX)) {
+        const number = Number(href.slice(CITATION_HREF_PREFIX.length));
+        const source = message.sources[number - 1];
+        return (
+          <button
+            type="button"
+            onClick={() => showSource(number)}
+            title={source?.title || `Source ${number}`}
+            className="mx-0.5 inline-flex h-4 min-w-[1rem] items-center justify-center rounded-full bg-blue-100 px-1 align-text-top text-[10px] font-semibold text-blue-700 no-underline hover:bg-blue-600 hover:text-white"
+          >
+            {number}
+          </button>
+        );
+      }
+      return (
+        <a href={href} {...props}>
+          {children}
+        </a>
+      );
+    },
+  };
 
   return (
     <div className="flex justify-start gap-2">
@@ -40,23 +191,36 @@ function AIMessage({ message, onCopy }) {
         <SparklesIcon className="h-4 w-4" />
       </div>
       <div className="flex max-w-xl flex-col items-start">
-        <div className="flex items-center gap-2">
+        <div className="flex flex-wrap items-center gap-2">
           <span className="text-xs font-medium text-slate-700">Assistant</span>
           <span className="text-[11px] text-slate-400">{formatTime(message.timestamp)}</span>
           <button
             type="button"
             onClick={() => onCopy?.(message.content)}
+            disabled={message.streaming}
             className="inline-flex items-center gap-1 rounded-full border border-slate-200 bg-white px-2 py-0.5 text-[11px] text-slate-500 shadow-sm transition hover:border-slate-300 hover:text-slate-700"
           >
             <ClipboardIcon className="h-3 w-3" />
             Copy
           </button>
+          {onFeedback && !message.streaming && !message.local && (
+            <FeedbackButtons message={message} onFeedback={onFeedback} />
+          )}
         </div>
         <div className="prose prose-slate mt-1 max-w-none rounded-2xl bg-slate-100 px-3 py-2 text-sm text-slate-900 shadow">
-          <ReactMarkdown>{message.content}</ReactMarkdown>
+          <ReactMarkdown components={markdownComponents}>
+            {hasSources ? linkCitations(message.content, message.sources.length) : message.content}
+          </ReactMarkdown>
+          {message.streaming && (
+            <span className="ml-0.5 inline-block h-3.5 w-1.5 animate-pulse rounded-sm bg-slate-500 align-middle" />
+          )}
         </div>
         {hasSources && (
-          <details className="mt-2 w-full rounded-lg border border-slate-200 bg-white/80 p-2 text-xs shadow-sm">
+          <details
+            open={sourcesOpen}
+            onToggle={(e) => setSourcesOpen(e.currentTarget.open)}
+            className="mt-2 w-full rounded-lg border border-slate-200 bg-white/80 p-2 text-xs shadow-sm"
+          >
             <summary className="cursor-pointer text-slate-600">
               Sources & confidence
               {message.confidence && (
@@ -67,14 +231,36 @@ function AIMessage({ message, onCopy }) {
             </summary>
             <div className="mt-2 space-y-2">
               {message.sources.map((source, idx) => (
-                <div key={source.id || idx} className="rounded-md bg-slate-50 p-2">
+                <div
+                  key={source.id || idx}
+                  ref={(el) => {
+                    sourceRefs.current[idx] = el;
+                  }}
+                  className={`rounded-md p-2 transition ${
+                    highlightedSource === idx + 1 ? 'bg-blue-50 ring-2 ring-blue-400' : 'bg-slate-50'
+                  }`}
+                >
                   <div className="mb-1 flex items-center justify-between">
-                    <span className="text-[11px] font-semibold text-slate-600">Source {idx + 1}</span>
-                    <span className="text-[11px] text-slate-500">
+                    <span className="text-[11px] font-semibold text-slate-600">
+                      [{idx + 1}]
+                      {citedNumbers.has(idx + 1) && (
+                        <span className="ml-1 rounded-full bg-blue-100 px-1.5 text-[10px] font-medium text-blue-700">
+                          cited
+                        </span>
+                      )}
+                      {source.title && <span className="font-normal text-slate-500"> · {source.title}</span>}
+                      {source.section && <span className="font-normal text-slate-500"> · {source.section}</span>}
+                    </span>
+                    <span className="text-[11px] text-slate-500" title="Retrieval score / relevance after reranking">
                       Score: {(source.score ?? 0).toFixed(3)}
+                      {source.rerankScore != null && ` · Relevance: ${source.rerankScore.toFixed(2)}`}
                     </span>
                   </div>
-                  <p className="whitespace-pre-wrap text-[11px] text-slate-700 line-clamp-4">
+                  <p
+                    className={`whitespace-pre-wrap text-[11px] text-slate-700 ${
+                      highlightedSource === idx + 1 ? '' : 'line-clamp-4'
+                    }`}
+                  >
                     {source.text || source.metadata?.text}
                   </p>
                 </div>
@@ -126,23 +312,29 @@ function EmptyState() {
   );
 }
 
-function MessageList({ messages, onCopyMessage, loading }) {
+function MessageList({ messages, onCopyMessage, onFeedback, loading }) {
   const bottomRef = useRef(null);
 
+  const lastMessage = messages[messages.length - 1];
+  const streamedLength = lastMessage?.streaming ? lastMessage.content.length : 0;
+
   useEffect(() => {
     if (bottomRef.current) {
       bottomRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [messages.length, loading]);
+  }, [messages.length, loading, streamedLength]);
 
-  const hasMessages = messages && messages.length > 0;
+  // An assistant placeholder with no tokens yet is represented by the typing indicator.
+  const visibleMessages = messages.filter((m) => !(m.streaming && !m.content));
+  const hasMessages = visibleMessages.length > 0;
+  const awaitingFirstToken = loading && !streamedLength;
 
   return (
     <div className="flex-1 overflow-y-auto bg-gradient-to-b from-slate-50 to-slate-100 px-4 py-4">
       {!hasMessages && !loading && <EmptyState />}
       <div className="mx-auto flex max-w-3xl flex-col gap-4">
         <AnimatePresence initial={false}>
-          {messages.map((msg) => (
+          {visibleMessages.map((msg) => (
             <motion.div
               key={msg.id}
               initial={{ opacity: 0, y: 8 }}
@@ -153,12 +345,12 @@ function MessageList({ messages, onCopyMessage, loading }) {
               {msg.role === 'user' ? (
                 <UserMessage message={msg} />
               ) : (
-                <AIMessage message={msg} onCopy={onCopyMessage} />
+                <AIMessage message={msg} onCopy={onCopyMessage} onFeedback={onFeedback} />
               )}
             </motion.div>
           ))}
         </AnimatePresence>
-        {loading && (
+        {awaitingFirstToken && (
           <div className="flex justify-start">
             <TypingIndicator />
           </div>
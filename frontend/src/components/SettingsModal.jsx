@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import api from '../services/api';
+
+/**
+ * Generation settings: the chat model and temperature sent with each message.
+ * `settings` is { model, temperature }; an empty model or null temperature means the server default.
+ */
+function SettingsModal({ settings, onChange, onClose }) {
+  const [models, setModels] = useState([]);
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    api.listModels().then((res) => {
+      if (cancelled) return;
+      if (res.success) {
+        // The embedding model can't answer questions, so it isn't offered.
+        setModels((res.data.models || []).filter((m) => !m.embedding));
+        setDefaults(res.data.defaults);
+      } else {
+        setError(res.error || 'Failed to load models.');
+      }
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const defaultTemperature = defaults?.temperature ?? 0.7;
+  const temperature = settings.temperature ?? defaultTemperature;
+  const modelMissing =
+    !loading && settings.model && !models.some((m) => m.name === settings.model || m.name === `${settings.model}:latest`);
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-slate-950/70 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-title"
+        className="w-full max-w-sm rounded-xl border border-slate-800 bg-slate-900 p-4 text-slate-100 shadow-card-strong"
+        initial={{ scale: 0.95, y: 8 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: 8 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-3 flex items-center justify-between">
+          <h2 id="settings-title" className="text-sm font-semibold">
+            Settings
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-lg p-1 text-slate-400 hover:bg-slate-800 hover:text-slate-200"
+          >
+            <XMarkIcon className="h-4 w-4" />
+          </button>
+        </div>
+
+        <label htmlFor="settings-model" className="mb-1 block text-[11px] font-medium text-slate-300">
+          Model
+        </label>
+        <select
+          id="settings-model"
+          value={settings.model}
+          disabled={loading}
+          onChange={(e) => onChange({ ...settings, model: e.target.value })}
+          className="mb-1 w-full rounded-lg border border-slate-700 bg-slate-800 px-2 py-1.5 text-xs text-slate-100 focus:border-primary focus:outline-none"
+        >
+          <option value="">Default{defaults ? ` (${defaults.chatModel})` : ''}</option>
+          {models.map((m) => (
+            <option key={m.name} value={m.name}>
+              {m.name}
+              {m.parameterSize ? ` · ${m.parameterSize}` : ''}
+            </option>
+          ))}
+          {modelMissing && <option value={settings.model}>{settings.model} (not installed)</option>}
+        </select>
+        {loading && <p className="text-[11px] text-slate-400">Loading installed models…</p>}
+        {error && <p className="text-[11px] text-red-400">{error}</p>}
+        {modelMissing && (
+          <p className="text-[11px] text-amber-400">This model is no longer installed; pick another one.</p>
+        )}
+
+        <div className="mt-3 mb-1 flex items-center justify-between">
+          <label htmlFor="settings-temperature" className="text-[11px] font-medium text-slate-300">
+            Temperature: {temperature.toFixed(1)}
+            {settings.temperature == null && <span className="ml-1 text-slate-500">(default)</span>}
+          </label>
+          {settings.temperature != null && (
+            <button
+              type="button"
+              onClick={() => onChange({ ...settings, temperature: null })}
+              className="text-[11px] text-slate-400 hover:text-slate-200"
+            >
+              Reset
+            </button>
+          )}
+        </div>
+        <input
+          id="settings-temperature"
+          type="range"
+          min="0"
+          max="2"
+          step="0.1"
+          value={temperature}
+          onChange={(e) => onChange({ ...settings, temperature: parseFloat(e.target.value) })}
+          className="w-full accent-primary"
+        />
+        <p className="mt-1 text-[11px] text-slate-400">
+          Lower values give more focused answers; higher values more varied ones.
+        </p>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default SettingsModal;
@@ -0,0 +1,306 @@
+import React, { useEffect, useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { motion } from 'framer-motion';
+import api from '../services/api';
+
+const HOUR_MS = 60 * 60 * 1000;
+const PERIODS = [
+  { hours: 24, label: 'Last 24 hours', interval: 'hour' },
+  { hours: 7 * 24, label: 'Last 7 days', interval: 'day' },
+  { hours: 30 * 24, label: 'Last 30 days', interval: 'day' },
+  { hours: 90 * 24, label: 'Last 90 days', interval: 'day' },
+];
+const LATENCY_STAGES = [
+  { key: 'total', label: 'Total' },
+  { key: 'rewrite', label: 'Query rewrite' },
+  { key: 'retrieval', label: 'Retrieval' },
+  // Retrieval stages; reranking may call the LLM (RERANKER=llm).
+  { key: 'embedding', label: 'Query embedding (Ollama)', nested: true },
+  { key: 'vectorSearch', label: 'Vector search', nested: true },
+  { key: 'rerank', label: 'Rerank', nested: true },
+  { key: 'generation', label: 'Generation' },
+  { key: 'firstToken', label: 'First token' },
+];
+const LATENCY_COLUMNS = ['p50', 'p90', 'p95', 'p99', 'avg'];
+
+function formatMs(value) {
+  if (value === null || value === undefined) return '–';
+  return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${value} ms`;
+}
+
+function StatCard({ label, value, detail }) {
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950/60 p-2">
+      <div className="text-[10px] uppercase tracking-wide text-slate-400">{label}</div>
+      <div className="text-lg font-semibold text-slate-50">{value}</div>
+      {detail && <div className="text-[10px] text-slate-400">{detail}</div>}
+    </div>
+  );
+}
+
+function VolumeChart({ volume, interval }) {
+  const max = Math.max(1, ...volume.map((bucket) => bucket.requests));
+  const formatStart = (start) =>
+    interval === 'hour'
+      ? new Date(start).toLocaleTimeString(undefined, { hour: 'numeric' })
+      : new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+  if (!volume.length) {
+    return <p className="text-[11px] text-slate-400">No requests in this period.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex h-24 items-end gap-0.5">
+        {volume.map((bucket) => (
+          <div
+            key={bucket.start}
+            title={`${formatStart(bucket.start)}: ${bucket.requests} requests, ${bucket.errors} errors`}
+            className="flex flex-1 flex-col justify-end"
+            style={{ height: `${(bucket.requests / max) * 100}%` }}
+          >
+            <div className="bg-danger" style={{ height: `${(bucket.errors / Math.max(1, bucket.requests)) * 100}%` }} />
+            <div className="flex-1 rounded-t-sm bg-primary" />
+          </div>
+        ))}
+      </div>
+      <div className="mt-1 flex justify-between text-[10px] text-slate-400">
+        <span>{formatStart(volume[0].start)}</span>
+        <span>{formatStart(volume[volume.length - 1].start)}</span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Usage analytics (admin): chat volume, latency percentiles per stage, token counts, and which
+ * documents answers draw on, from GET /api/analytics/usage and /usage/documents.
+ */
+function UsageDashboard({ onClose }) {
+  const [period, setPeriod] = useState(PERIODS[1]);
+  const [usage, setUsage] = useState(null);
+  const [documents, setDocuments] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    const from = new Date(Date.now() - period.hours * HOUR_MS).toISOString();
+    Promise.all([api.getUsage({ from, interval: period.interval }), api.getDocumentUsage({ from })]).then(
+      ([usageRes, documentsRes]) => {
+        if (cancelled) return;
+        setLoading(false);
+        if (!usageRes.success || !documentsRes.success) {
+          setError(usageRes.error || documentsRes.error || 'Failed to load usage analytics.');
+          return;
+        }
+        setUsage(usageRes.data);
+        setDocuments(documentsRes.data);
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [period]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const confidence = usage?.retrieval.confidence;
+  const answered = confidence ? confidence.high + confidence.medium + confidence.low : 0;
+
+  return (
+    <motion.div
+      className="fixed inset-0 z-40 flex items-center justify-center bg-slate-950/70 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <motion.div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="usage-title"
+        className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-xl border border-slate-800 bg-slate-900 p-4 text-xs text-slate-100 shadow-card-strong"
+        initial={{ scale: 0.95, y: 8 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.95, y: 8 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-3 flex items-center justify-between gap-2">
+          <h2 id="usage-title" className="text-sm font-semibold">
+            Usage analytics
+          </h2>
+          <div className="flex items-center gap-2">
+            <select
+              className="rounded-lg border border-slate-700 bg-slate-800 px-2 py-1 text-xs text-slate-100 outline-none focus:border-primary"
+              value={period.hours}
+              onChange={(e) => setPeriod(PERIODS.find((p) => p.hours === Number(e.target.value)))}
+            >
+              {PERIODS.map((p) => (
+                <option key={p.hours} value={p.hours}>
+                  {p.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded-lg p-1 text-slate-400 hover:bg-slate-800 hover:text-slate-200"
+            >
+              <XMarkIcon className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        {error && <p className="mb-2 rounded-lg bg-danger/10 px-2 py-1 text-[11px] text-danger">{error}</p>}
+        {loading && !usage && <p className="text-[11px] text-slate-400">Loading…</p>}
+
+        {usage && documents && (
+          <div className={`space-y-4 ${loading ? 'opacity-60' : ''}`}>
+            <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+              <StatCard
+                label="Questions"
+                value={usage.totals.requests}
+                detail={`${usage.totals.errors} errors · ${usage.totals.aborted} cancelled`}
+              />
+              <StatCard
+                label="Users"
+                value={usage.totals.users}
+                detail={`${usage.totals.conversations} conversations`}
+              />
+              <StatCard
+                label="Median answer time"
+                value={formatMs(usage.latency.total.p50)}
+                detail={`p95 ${formatMs(usage.latency.total.p95)}`}
+              />
+              <StatCard
+                label="Tokens"
+                value={(usage.tokens.prompt + usage.tokens.completion).toLocaleString()}
+                detail={`${usage.tokens.prompt.toLocaleString()} prompt · ${usage.tokens.completion.toLocaleString()} generated`}
+              />
+            </div>
+
+            <section>
+              <h3 className="mb-1 font-semibold text-slate-200">Questions per {period.interval}</h3>
+              <VolumeChart volume={usage.volume} interval={period.interval} />
+            </section>
+
+            <section>
+              <h3 className="mb-1 font-semibold text-slate-200">Latency</h3>
+              <table className="w-full text-left">
+                <thead className="text-[10px] uppercase tracking-wide text-slate-400">
+                  <tr>
+                    <th className="py-1 font-medium">Stage</th>
+                    {LATENCY_COLUMNS.map((column) => (
+                      <th key={column} className="py-1 text-right font-medium">
+                        {column}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-800">
+                  {LATENCY_STAGES.map((stage) => (
+                    <tr key={stage.key}>
+                      <td className={`py-1 ${stage.nested ? 'pl-3 text-slate-400' : 'text-slate-300'}`}>{stage.label}</td>
+                      {LATENCY_COLUMNS.map((column) => (
+                        <td key={column} className="py-1 text-right tabular-nums">
+                          {formatMs(usage.latency[stage.key][column])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+
+            <section>
+              <h3 className="mb-1 font-semibold text-slate-200">Retrieval</h3>
+              <p className="text-[11px] text-slate-300">
+                Average top score {usage.retrieval.avgTopScore?.toFixed(3) ?? '–'} ·{' '}
+                {usage.retrieval.noResults} answer{usage.retrieval.noResults === 1 ? '' : 's'} without any context
+              </p>
+              {answered > 0 && (
+                <div className="mt-1 flex h-2 overflow-hidden rounded-full bg-slate-800">
+                  <div className="bg-accent" style={{ width: `${(confidence.high / answered) * 100}%` }} />
+                  <div className="bg-yellow-400" style={{ width: `${(confidence.medium / answered) * 100}%` }} />
+                  <div className="bg-danger" style={{ width: `${(confidence.low / answered) * 100}%` }} />
+                </div>
+              )}
+              <p className="mt-1 text-[10px] text-slate-400">
+                Confidence: {confidence.high} high · {confidence.medium} medium · {confidence.low} low
+              </p>
+            </section>
+
+            <section>
+              <h3 className="mb-1 font-semibold text-slate-200">Most-used documents</h3>
+              {documents.mostUsed.length === 0 ? (
+                <p className="text-[11px] text-slate-400">No documents retrieved in this period.</p>
+              ) : (
+                <table className="w-full text-left">
+                  <thead className="text-[10px] uppercase tracking-wide text-slate-400">
+                    <tr>
+                      <th className="py-1 font-medium">Document</th>
+                      <th className="py-1 text-right font-medium">Retrieved</th>
+                      <th className="py-1 text-right font-medium">Cited</th>
+                      <th className="py-1 text-right font-medium">Avg score</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-800">
+                    {documents.mostUsed.map((doc) => (
+                      <tr key={doc.id}>
+                        <td className="max-w-0 truncate py-1 pr-2 text-slate-300" title={doc.id}>
+                          {doc.title || doc.id}
+                          {doc.category && <span className="text-slate-500"> · {doc.category}</span>}
+                          {doc.deleted && <span className="ml-1 text-[10px] text-danger">deleted</span>}
+                        </td>
+                        <td className="py-1 text-right tabular-nums">{doc.retrieved}</td>
+                        <td className="py-1 text-right tabular-nums">{doc.cited}</td>
+                        <td className="py-1 text-right tabular-nums">{doc.avgScore.toFixed(3)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            <section>
+              <h3 className="mb-1 font-semibold text-slate-200">
+                Never retrieved ({documents.neverRetrievedCount} of {documents.documents} documents)
+              </h3>
+              {documents.neverRetrieved.length === 0 ? (
+                <p className="text-[11px] text-slate-400">Every document was retrieved at least once.</p>
+              ) : (
+                <ul className="space-y-0.5 text-[11px] text-slate-300">
+                  {documents.neverRetrieved.map((doc) => (
+                    <li key={doc.id} className="truncate" title={doc.id}>
+                      {doc.title || doc.id}
+                      {doc.category && <span className="text-slate-500"> · {doc.category}</span>}
+                      {doc.createdAt && (
+                        <span className="text-slate-500"> · added {new Date(doc.createdAt).toLocaleDateString()}</span>
+                      )}
+                    </li>
+                  ))}
+                  {documents.neverRetrievedCount > documents.neverRetrieved.length && (
+                    <li className="text-slate-500">
+                      …and {documents.neverRetrievedCount - documents.neverRetrieved.length} more (oldest shown first)
+                    </li>
+                  )}
+                </ul>
+              )}
+            </section>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
+
+export default UsageDashboard;
@@ -0,0 +1,2 @@
+// Knowledge base categories offered when adding documents and when scoping chat / search.
+export const CATEGORIES = ['Sales', 'HR', 'Product', 'Technical', 'Other'];
@@ -1,17 +1,30 @@
 import axios from 'axios';
 
+const TOKEN_KEY = 'authToken';
+
+/**
+ * Dispatched on `window` when the server rejects the stored token, so the app can
+ * return to the login screen.
+ */
+export const AUTH_LOGOUT_EVENT = 'auth:logout';
+
+function handleUnauthorized() {
+  if (!localStorage.getItem(TOKEN_KEY)) return;
+  localStorage.removeItem(TOKEN_KEY);
+  window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT));
+}
+
+// No default Content-Type: axios sends objects as JSON, and a JSON default would make it
+// serialize FormData (file uploads) as JSON too.
 const apiClient = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:3000',
   timeout: 30000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
 });
 
-// Request interceptor: attach auth token if present (future-ready)
+// Request interceptor: attach auth token if present
 apiClient.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('authToken');
+    const token = localStorage.getItem(TOKEN_KEY);
     if (token) {
       // eslint-disable-next-line no-param-reassign
       config.headers.Authorization = `Bearer ${token}`;
@@ -32,6 +45,9 @@ apiClient.interceptors.response.use(
 
     if (error.response) {
       // Server responded with a status outside the 2xx range
+      if (error.response.status === 401 && !error.config?.url?.startsWith('/api/auth/')) {
+        handleUnauthorized();
+      }
       message =
         error.response.data?.error ||
         error.response.data?.message ||
@@ -45,23 +61,212 @@ apiClient.interceptors.response.use(
 
     return Promise.resolve({
       success: false,
+      status: error.response?.status,
       error: message,
+      // Error details beyond the message, e.g. the `duplicates` of a 409 from /api/knowledge/add
+      data: error.response?.data,
     });
   }
 );
 
+/**
+ * Parse a Server-Sent Events body from a fetch Response, invoking `onEvent(event, data)`
+ * for every complete event. Resolves when the stream ends.
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+    rawEvent.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    });
+    if (dataLines.length === 0) return;
+    onEvent(event, JSON.parse(dataLines.join('\n')));
+  };
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    // eslint-disable-next-line no-await-in-loop
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    events.forEach(dispatch);
+  }
+
+  if (buffer.trim()) dispatch(buffer);
+}
+
 const api = {
+  // Auth
+  hasToken() {
+    return Boolean(localStorage.getItem(TOKEN_KEY));
+  },
+
+  async getAuthStatus() {
+    return apiClient.get('/api/auth/status');
+  },
+
+  async login(username, password) {
+    const res = await apiClient.post('/api/auth/login', { username, password });
+    if (res.success) {
+      localStorage.setItem(TOKEN_KEY, res.data.token);
+    }
+    return res;
+  },
+
+  async register(username, password) {
+    const res = await apiClient.post('/api/auth/register', { username, password });
+    if (res.success) {
+      localStorage.setItem(TOKEN_KEY, res.data.token);
+    }
+    return res;
+  },
+
+  logout() {
+    localStorage.removeItem(TOKEN_KEY);
+  },
+
+  async getMe() {
+    return apiClient.get('/api/me');
+  },
+
   // Chat
-  async sendMessage(message, conversationId) {
+  /**
+   * options: {
+   *   filters?: { category?, source?, from?, to? },
+   *   retrievalMode?: 'vector' | 'keyword' | 'hybrid',
+   *   model?: string,
+   *   temperature?: number,
+   * }
+   */
+  async sendMessage(message, conversationId, { filters, retrievalMode, model, temperature } = {}) {
     const payload = {
       message,
     };
     if (conversationId) {
       payload.conversationId = conversationId;
     }
+    if (filters) {
+      payload.filters = filters;
+    }
+    if (retrievalMode) {
+      payload.retrievalMode = retrievalMode;
+    }
+    if (model) {
+      payload.model = model;
+    }
+    if (temperature != null) {
+      payload.temperature = temperature;
+    }
     return apiClient.post('/api/chat', payload);
   },
 
+  /**
+   * Send a message and stream the answer back over SSE.
+   * Axios cannot expose a streamed body in the browser, so this uses fetch and
+   * resolves with the same `{ success, data | error }` shape as the other calls.
+   *
+   * options: {
+   *   onContext({ conversationId, sources, confidence }), onToken(token), signal,
+   *   filters, retrievalMode, model, temperature,
+   * }
+   */
+  async streamMessage(
+    message,
+    conversationId,
+    { onContext, onToken, signal, filters, retrievalMode, model, temperature } = {}
+  ) {
+    const payload = {
+      message,
+    };
+    if (conversationId) {
+      payload.conversationId = conversationId;
+    }
+    if (filters) {
+      payload.filters = filters;
+    }
+    if (retrievalMode) {
+      payload.retrievalMode = retrievalMode;
+    }
+    if (model) {
+      payload.model = model;
+    }
+    if (temperature != null) {
+      payload.temperature = temperature;
+    }
+
+    const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    try {
+      const response = await fetch(`${apiClient.defaults.baseURL}/api/chat/stream`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        credentials: 'include',
+        signal,
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) handleUnauthorized();
+        const body = await response.json().catch(() => ({}));
+        return {
+          success: false,
+          status: response.status,
+          error: body.error || body.message || `Request failed with status ${response.status}`,
+        };
+      }
+
+      let result = null;
+      let streamError = null;
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'context') onContext?.(data);
+        else if (event === 'token') onToken?.(data.token);
+        else if (event === 'done') result = data;
+        else if (event === 'error') streamError = data.error;
+      });
+
+      if (streamError || !result) {
+        return { success: false, error: streamError || 'The response stream ended unexpectedly.' };
+      }
+
+      return { success: true, data: result };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { success: false, error: 'Request cancelled.' };
+      }
+      return {
+        success: false,
+        error: 'No response from server. Please check your connection or try again later.',
+      };
+    }
+  },
+
+  async listConversations(query) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    const qs = params.toString();
+    return apiClient.get(`/api/chat/conversations${qs ? `?${qs}` : ''}`);
+  },
+
+  async renameConversation(conversationId, title) {
+    return apiClient.patch(`/api/chat/${conversationId}`, { title });
+  },
+
   async getHistory(conversationId) {
     return apiClient.get(`/api/chat/history/${conversationId}`);
   },
@@ -70,23 +275,133 @@ const api = {
     return apiClient.delete(`/api/chat/${conversationId}`);
   },
 
+  /**
+   * Rate an assistant answer. `comment` is an optional correction, usually sent with a 'down' rating.
+   */
+  async sendFeedback(conversationId, messageId, { rating, comment = null }) {
+    return apiClient.post(`/api/chat/${conversationId}/messages/${messageId}/feedback`, { rating, comment });
+  },
+
+  /**
+   * Answer feedback (admin). `format: 'csv'` resolves with the file as a Blob.
+   */
+  async exportFeedback({ rating = 'down', format = 'json' } = {}) {
+    const params = new URLSearchParams({ rating, format });
+    return apiClient.get(`/api/feedback?${params.toString()}`, format === 'csv' ? { responseType: 'blob' } : {});
+  },
+
+  // Analytics
+  /**
+   * The most frequently asked topics the knowledge base could not answer (editor).
+   * `from` / `to`: ISO 8601 dates.
+   */
+  async getKnowledgeGaps({ from, to, threshold, limit } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (threshold) params.set('threshold', String(threshold));
+    if (limit) params.set('limit', String(limit));
+    return apiClient.get(`/api/analytics/knowledge-gaps?${params.toString()}`);
+  },
+
+  /**
+   * Chat usage aggregates (admin). `interval`: 'hour' or 'day' buckets for the volume series.
+   */
+  async getUsage({ from, to, interval } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (interval) params.set('interval', interval);
+    return apiClient.get(`/api/analytics/usage?${params.toString()}`);
+  },
+
+  /**
+   * Most-used and never-retrieved documents (admin).
+   */
+  async getDocumentUsage({ from, to, limit } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (limit) params.set('limit', String(limit));
+    return apiClient.get(`/api/analytics/usage/documents?${params.toString()}`);
+  },
+
   // Knowledge
-  async addDocument(text, category, source) {
+  /**
+   * Duplicates of existing documents fail with status 409 and `data.duplicates`; pass
+   * `{ force: true }` to add the document anyway.
+   */
+  async addDocument(text, category, source, { force = false } = {}) {
     return apiClient.post('/api/knowledge/add', {
       text,
       category,
       source,
+      ...(force ? { force } : {}),
     });
   },
 
-  async bulkAdd(documents) {
+  /**
+   * Queue documents for background ingestion. Resolves with `{ jobId, job }`; poll `getJob` for progress.
+   */
+  async bulkAdd(documents, { force = false } = {}) {
     return apiClient.post('/api/knowledge/bulk-add', {
       documents,
+      ...(force ? { force } : {}),
     });
   },
 
-  async search(query, limit = 5) {
+  async listJobs() {
+    return apiClient.get('/api/knowledge/jobs');
+  },
+
+  async getJob(id) {
+    return apiClient.get(`/api/knowledge/jobs/${id}`);
+  },
+
+  /**
+   * Re-queue a job's failed documents; `force` also ingests the ones that failed as duplicates.
+   */
+  async retryJob(id, { force = false } = {}) {
+    return apiClient.post(`/api/knowledge/jobs/${id}/retry`, force ? { force } : {});
+  },
+
+  /**
+   * Clusters of duplicate documents (admin). `threshold`: similarity from 0.5 to 1.
+   */
+  async findDuplicates(threshold) {
+    const params = new URLSearchParams(threshold ? { threshold: String(threshold) } : {});
+    return apiClient.get(`/api/knowledge/duplicates?${params.toString()}`);
+  },
+
+  /**
+   * Upload a single file for ingestion. `onProgress` receives the upload percentage (0-100).
+   */
+  async uploadFile(file, category, onProgress) {
+    const formData = new FormData();
+    formData.append('files', file);
+    if (category) {
+      formData.append('category', category);
+    }
+    // The browser sets the multipart Content-Type with its boundary.
+    return apiClient.post('/api/knowledge/upload', formData, {
+      // Extraction and embedding of large files can take a while.
+      timeout: 5 * 60 * 1000,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      },
+    });
+  },
+
+  /**
+   * `options`: { category?, source?, from?, to?, mode? }; empty values are ignored.
+   */
+  async search(query, limit = 5, options = {}) {
     const params = new URLSearchParams({ q: query, limit: String(limit) });
+    Object.entries(options).forEach(([key, value]) => {
+      if (value) params.set(key, Array.isArray(value) ? value.join(',') : value);
+    });
     return apiClient.get(`/api/knowledge/search?${params.toString()}`);
   },
 
@@ -95,10 +410,53 @@ const api = {
     return apiClient.get(`/api/knowledge/list?${params.toString()}`);
   },
 
+  async getDocument(id) {
+    return apiClient.get(`/api/knowledge/${encodeURIComponent(id)}`);
+  },
+
+  /**
+   * Update a document in place. `changes`: any of { text, category, source, title };
+   * a changed text is re-embedded.
+   */
+  async updateDocument(id, changes) {
+    return apiClient.patch(`/api/knowledge/${encodeURIComponent(id)}`, changes);
+  },
+
+  /**
+   * Version history, newest first: { document, versions }. Entries omit the text; fetch a
+   * version with getDocumentVersion.
+   */
+  async listDocumentVersions(id) {
+    return apiClient.get(`/api/knowledge/${encodeURIComponent(id)}/versions`);
+  },
+
+  async getDocumentVersion(id, version) {
+    return apiClient.get(`/api/knowledge/${encodeURIComponent(id)}/versions/${version}`);
+  },
+
+  /**
+   * Restore (and re-embed) an earlier version; also brings back deleted documents.
+   */
+  async restoreDocumentVersion(id, version) {
+    return apiClient.post(`/api/knowledge/${encodeURIComponent(id)}/versions/${version}/restore`);
+  },
+
+  /**
+   * Deleted documents (editor), most recently deleted first; restore them from their version history.
+   */
+  async listDeletedDocuments() {
+    return apiClient.get('/api/knowledge/deleted');
+  },
+
   async deleteDocument(id) {
     return apiClient.delete(`/api/knowledge/${id}`);
   },
 
+  // Models
+  async listModels() {
+    return apiClient.get('/api/models');
+  },
+
   // Health
   async checkHealth() {
     return apiClient.get('/api/health');